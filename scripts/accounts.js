@@ -0,0 +1,277 @@
+import bcrypt from "bcrypt";
+import { accountQueries, tokenQueries, userQueries } from "./queries.js";
+import { createNotification } from "./notifications.js";
+
+// Account settings: sign-in details, profile, avatar and account deletion.
+// Changing the username, email or password, and deleting the account, all
+// need the current password.
+
+// Currencies values can be shown in. Everything is stored and traded in
+// USD; these only change how amounts are displayed.
+export const DISPLAY_CURRENCIES = {
+  USD: "US dollar",
+  EUR: "Euro",
+  GBP: "British pound",
+  JPY: "Japanese yen",
+  CAD: "Canadian dollar",
+  AUD: "Australian dollar",
+  CHF: "Swiss franc",
+  INR: "Indian rupee",
+};
+
+export const MAX_AVATAR_BYTES = 256 * 1024;
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Throws a 403 unless `password` is the user's current password.
+ */
+export async function assertCurrentPassword(db, userId, password) {
+  const { rows } = await db.query(accountQueries.getPasswordHash, [userId]);
+  if (!rows.length) throw httpError("User not found", 404);
+  if (
+    typeof password !== "string" ||
+    !password ||
+    !(await bcrypt.compare(password, rows[0].password_hash))
+  ) {
+    throw httpError("Current password is incorrect", 403);
+  }
+}
+
+/**
+ * Validate a username / email change. Returns { username, email } or
+ * throws a 400.
+ */
+export function parseCredentialsInput({ username, email }) {
+  const name = String(username ?? "").trim();
+  if (name.length < 3 || name.length > 50 || /\s/.test(name)) {
+    throw httpError("Username must be 3-50 characters with no spaces", 400);
+  }
+
+  const address = String(email ?? "").trim();
+  if (address.length > 100 || !EMAIL_PATTERN.test(address)) {
+    throw httpError("Enter a valid email address", 400);
+  }
+  return { username: name, email: address };
+}
+
+/**
+ * Validate a profile update. An empty display name clears it. Returns
+ * { displayName, displayCurrency } or throws a 400.
+ */
+export function parseProfileInput({ displayName, displayCurrency }) {
+  const name = String(displayName ?? "").trim();
+  if (name.length > 50) {
+    throw httpError("Display name must be at most 50 characters", 400);
+  }
+  if (/[\u0000-\u001f\u007f]/.test(name)) {
+    throw httpError("Display name contains invalid characters", 400);
+  }
+
+  const currency = String(displayCurrency || "USD").toUpperCase();
+  if (!DISPLAY_CURRENCIES[currency]) {
+    throw httpError(
+      `displayCurrency must be one of ${Object.keys(DISPLAY_CURRENCIES).join(
+        ", "
+      )}`,
+      400
+    );
+  }
+  return { displayName: name || null, displayCurrency: currency };
+}
+
+export function validateNewPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      400
+    );
+  }
+}
+
+/**
+ * Set a new password and retire outstanding reset links. Returns the new
+ * session version; sessions on the old one are signed out.
+ */
+export async function changePassword(db, userId, passwordHash) {
+  const { rows } = await db.query(userQueries.updatePassword, [
+    userId,
+    passwordHash,
+  ]);
+  await db.query(tokenQueries.revokeTokens, [userId, "PASSWORD_RESET"]);
+  return rows[0].session_version;
+}
+
+/**
+ * Change the username and email. A new address loses its verified status,
+ * and reset and verification links already sent to the old one stop
+ * working. Returns { id, username, email, email_verified_at }.
+ */
+export async function updateCredentials(pool, userId, { username, email }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(accountQueries.updateCredentials, [
+      userId,
+      username,
+      email,
+    ]);
+    if (!rows.length) throw httpError("User not found", 404);
+    const { email_changed: emailChanged, ...user } = rows[0];
+
+    if (emailChanged) {
+      for (const purpose of ["PASSWORD_RESET", "EMAIL_VERIFY"]) {
+        await client.query(tokenQueries.revokeTokens, [userId, purpose]);
+      }
+    }
+    await client.query("COMMIT");
+    return user;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Avatars are checked by their leading bytes rather than the declared
+// type, so nothing but a real image is ever served back
+const IMAGE_SIGNATURES = [
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+
+function detectImageType(buffer) {
+  for (const { type, bytes } of IMAGE_SIGNATURES) {
+    if (bytes.every((b, i) => buffer[i] === b)) return type;
+  }
+  // WebP: "RIFF" <size> "WEBP"
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Store an uploaded avatar (raw image bytes). Returns its updated_at.
+ */
+export async function saveAvatar(db, userId, buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    throw httpError("Upload a PNG, JPEG, GIF or WebP image", 400);
+  }
+  if (buffer.length > MAX_AVATAR_BYTES) {
+    throw httpError(
+      `Avatar must be at most ${MAX_AVATAR_BYTES / 1024} KB`,
+      413
+    );
+  }
+  const contentType = detectImageType(buffer);
+  if (!contentType) {
+    throw httpError("Upload a PNG, JPEG, GIF or WebP image", 400);
+  }
+
+  const { rows } = await db.query(accountQueries.setAvatar, [
+    userId,
+    contentType,
+    buffer,
+  ]);
+  return rows[0].avatar_updated_at;
+}
+
+/**
+ * The URL of a user's avatar, versioned so browsers refetch it after a
+ * change, or null without one.
+ */
+export function avatarUrl(userId, avatarUpdatedAt) {
+  if (!avatarUpdatedAt) return null;
+  return `/api/users/${userId}/avatar?v=${new Date(avatarUpdatedAt).getTime()}`;
+}
+
+// What deleting the account does to a league: owned leagues with other
+// members pass to the longest-standing one, owned leagues nobody else
+// joined are deleted, and in the rest the user simply leaves
+function leagueOutcome(league) {
+  if (!league.is_owner) return "LEAVE";
+  return league.other_members > 0 ? "TRANSFER" : "DELETE";
+}
+
+/**
+ * What deleting the account would do to each of the user's leagues:
+ * [{ id, name, status, isOwner, otherMembers, outcome }].
+ */
+export async function getAccountDeletionSummary(db, userId) {
+  const { rows } = await db.query(accountQueries.getAccountLeagues, [userId]);
+  return rows.map((l) => ({
+    id: l.id,
+    name: l.name,
+    status: l.status,
+    isOwner: l.is_owner,
+    otherMembers: l.other_members,
+    outcome: leagueOutcome(l),
+  }));
+}
+
+/**
+ * Delete the user and their portfolios, trades, orders, alerts and
+ * notifications. Closed rounds keep their scores with the user removed,
+ * and owned leagues are handed on or deleted (see leagueOutcome). Returns
+ * the deletion summary.
+ */
+export async function deleteAccount(pool, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const leagues = await getAccountDeletionSummary(client, userId);
+
+    for (const league of leagues) {
+      if (league.outcome === "DELETE") {
+        await client.query(accountQueries.deleteLeague, [league.id]);
+      } else if (league.outcome === "TRANSFER") {
+        const { rows } = await client.query(accountQueries.getLeagueSuccessor, [
+          league.id,
+          userId,
+        ]);
+        const newOwnerId = rows[0].user_id;
+        await client.query(accountQueries.transferLeagueOwnership, [
+          league.id,
+          newOwnerId,
+        ]);
+        await createNotification(client, {
+          userId: newOwnerId,
+          type: "LEAGUE_UPDATE",
+          title: `You now run ${league.name}`,
+          body: "The league's owner deleted their account, so it passed to you.",
+          link: "/league",
+          data: { leagueId: String(league.id) },
+        });
+      }
+    }
+
+    await client.query(accountQueries.deleteUser, [userId]);
+    await client.query("COMMIT");
+    return leagues;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,210 @@
+import { alertQueries, portfolioQueries } from "./queries.js";
+import { getStoredPriceAtOrBefore } from "./candles.js";
+import { computePositions } from "./cost_basis.js";
+import { createNotification } from "./notifications.js";
+
+// Price alerts, checked by the price worker against each tick:
+//   PRICE_ABOVE / PRICE_BELOW  the price crosses `threshold` (USD)
+//   PCT_MOVE                   the price moved `threshold` percent either way
+//                              since `window_minutes` ago
+//   HOLDING_DRAWDOWN           a long holding in the alert's league is
+//                              `threshold` percent below its average cost
+// An alert fires once when its condition becomes true and re-arms when it
+// stops being true; one-shot alerts are switched off when they fire. Each
+// firing drops a notification in the user's inbox.
+
+export const ALERT_TYPES = {
+  PRICE_ABOVE: { label: "Price above", unit: "USD" },
+  PRICE_BELOW: { label: "Price below", unit: "USD" },
+  PCT_MOVE: { label: "Moves by", unit: "%" },
+  HOLDING_DRAWDOWN: { label: "Holding down from cost", unit: "%" },
+};
+
+export const MAX_ACTIVE_ALERTS = 50;
+export const DEFAULT_WINDOW_MINUTES = 60;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate an alert from the API (symbol is checked by the caller).
+ * Returns { type, threshold, windowMinutes, repeat } or throws a 400.
+ */
+export function parseAlertInput({ type, threshold, windowMinutes, repeat }) {
+  const alertType = String(type || "").toUpperCase();
+  if (!ALERT_TYPES[alertType]) {
+    throw badRequest(
+      `type must be one of ${Object.keys(ALERT_TYPES).join(", ")}`
+    );
+  }
+
+  const value = Number(threshold);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw badRequest("threshold must be a positive number");
+  }
+  if (ALERT_TYPES[alertType].unit === "%" && value >= 1000) {
+    throw badRequest("threshold is a percent and must be below 1000");
+  }
+
+  let window = null;
+  if (alertType === "PCT_MOVE") {
+    window =
+      windowMinutes === undefined ||
+      windowMinutes === null ||
+      windowMinutes === ""
+        ? DEFAULT_WINDOW_MINUTES
+        : Number(windowMinutes);
+    if (
+      !Number.isInteger(window) ||
+      window < 1 ||
+      window > MAX_WINDOW_MINUTES
+    ) {
+      throw badRequest(
+        `windowMinutes must be a whole number from 1 to ${MAX_WINDOW_MINUTES}`
+      );
+    }
+  }
+
+  return {
+    type: alertType,
+    threshold: value,
+    windowMinutes: window,
+    repeat: repeat === true || repeat === "true",
+  };
+}
+
+function fmtUsd(n) {
+  return `$${Number(n).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+/**
+ * Whether `alert`'s condition holds at `price`, and what to tell the user
+ * if it does. `loadTrades(userId, leagueId)` supplies holding history.
+ */
+async function checkAlert(db, alert, price, now, loadTrades) {
+  const threshold = Number(alert.threshold);
+  const { symbol } = alert;
+
+  switch (alert.alert_type) {
+    case "PRICE_ABOVE":
+      return {
+        met: price >= threshold,
+        title: `${symbol} is above ${fmtUsd(threshold)}`,
+        body: `${symbol} is trading at ${fmtUsd(price)}.`,
+      };
+
+    case "PRICE_BELOW":
+      return {
+        met: price <= threshold,
+        title: `${symbol} is below ${fmtUsd(threshold)}`,
+        body: `${symbol} is trading at ${fmtUsd(price)}.`,
+      };
+
+    case "PCT_MOVE": {
+      const since = new Date(now.getTime() - alert.window_minutes * 60_000);
+      const past = await getStoredPriceAtOrBefore(db, symbol, since);
+      if (!(past > 0)) return { met: false };
+      const movePct = ((price - past) / past) * 100;
+      return {
+        met: Math.abs(movePct) >= threshold,
+        title: `${symbol} ${movePct >= 0 ? "up" : "down"} ${Math.abs(
+          movePct
+        ).toFixed(1)}% in ${alert.window_minutes} min`,
+        body: `${symbol} moved from ${fmtUsd(past)} to ${fmtUsd(price)}.`,
+      };
+    }
+
+    case "HOLDING_DRAWDOWN": {
+      if (!alert.league_id) return { met: false };
+      const trades = await loadTrades(alert.user_id, alert.league_id);
+      const position = computePositions(trades).get(symbol);
+      if (!position || !(position.qty > 0)) return { met: false };
+      const downPct = ((position.avgCost - price) / position.avgCost) * 100;
+      return {
+        met: downPct >= threshold,
+        title: `Your ${symbol} is down ${downPct.toFixed(1)}% from cost`,
+        body: `Average cost ${fmtUsd(position.avgCost)}, now ${fmtUsd(price)}.`,
+      };
+    }
+
+    default:
+      return { met: false };
+  }
+}
+
+/**
+ * Price worker step: check the active alerts on every coin in `prices`
+ * (symbol -> latest price) and notify the ones that fire. Returns how many
+ * fired.
+ */
+export async function runAlertJob(db, prices, now = new Date()) {
+  const symbols = Object.keys(prices);
+  if (!symbols.length) return 0;
+
+  const { rows: alerts } = await db.query(
+    alertQueries.getActiveAlertsForSymbols,
+    [symbols]
+  );
+
+  // holding alerts for the same portfolio share one trade replay
+  const tradeCache = new Map();
+  const loadTrades = async (userId, leagueId) => {
+    const key = `${userId}|${leagueId}`;
+    if (!tradeCache.has(key)) {
+      const { rows } = await db.query(portfolioQueries.getTradesForCostBasis, [
+        userId,
+        leagueId,
+      ]);
+      tradeCache.set(key, rows);
+    }
+    return tradeCache.get(key);
+  };
+
+  let fired = 0;
+  for (const alert of alerts) {
+    try {
+      const result = await checkAlert(
+        db,
+        alert,
+        prices[alert.symbol],
+        now,
+        loadTrades
+      );
+      if (!result.met) {
+        if (!alert.armed) await db.query(alertQueries.rearmAlert, [alert.id]);
+        continue;
+      }
+      if (!alert.armed) continue;
+
+      // disarm first so a failed notification can't repeat every tick
+      await db.query(alertQueries.markAlertTriggered, [
+        alert.id,
+        now.toISOString(),
+      ]);
+      await createNotification(db, {
+        userId: alert.user_id,
+        type: "PRICE_ALERT",
+        title: result.title,
+        body: result.body,
+        link: `/coin-detail?id=${encodeURIComponent(alert.symbol)}`,
+        data: {
+          alertId: String(alert.id),
+          symbol: alert.symbol,
+          alertType: alert.alert_type,
+          price: prices[alert.symbol],
+        },
+      });
+      fired++;
+    } catch (e) {
+      console.error(`price alert ${alert.id} error:`, e.message || e);
+    }
+  }
+  return fired;
+}
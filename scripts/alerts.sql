@@ -0,0 +1,58 @@
+-- Coins a user follows on the /coins page
+create table if not exists watchlists (
+  user_id    integer     not null references users(id) on delete cascade,
+  symbol     text        not null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, symbol)
+);
+
+-- Price alerts, checked by the price worker on every tick (see
+-- scripts/alerts.js). threshold is a USD price for PRICE_ABOVE/PRICE_BELOW
+-- and a percent for PCT_MOVE (over window_minutes) and HOLDING_DRAWDOWN
+-- (below the cost basis of the holding in league_id). An alert fires when
+-- its condition becomes true, then stays quiet until it's false again;
+-- one-shot alerts are deactivated when they fire.
+create table if not exists price_alerts (
+  id                bigserial primary key,
+  user_id           integer       not null references users(id) on delete cascade,
+  symbol            text          not null,
+  alert_type        text          not null
+    check (alert_type in ('PRICE_ABOVE','PRICE_BELOW','PCT_MOVE','HOLDING_DRAWDOWN')),
+  threshold         numeric(20,8) not null check (threshold > 0),
+  window_minutes    integer       check (window_minutes between 1 and 10080),
+  league_id         bigint        references leagues(id) on delete cascade,
+  repeat            boolean       not null default false,
+  active            boolean       not null default true,
+  armed             boolean       not null default true,
+  last_triggered_at timestamptz,
+  created_at        timestamptz   not null default now()
+);
+
+create index if not exists idx_price_alerts_active_symbol
+  on price_alerts (symbol) where active;
+
+-- In-app notification inbox shown from the topbar
+create table if not exists notifications (
+  id         bigserial primary key,
+  user_id    integer     not null references users(id) on delete cascade,
+  type       text        not null,
+  title      text        not null,
+  body       text,
+  link       text,
+  data       jsonb,
+  read_at    timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_notifications_user_time
+  on notifications (user_id, created_at desc);
+
+-- Notification types a user has switched off or back on; a type with no
+-- row here is on
+create table if not exists notification_preferences (
+  user_id    integer     not null references users(id) on delete cascade,
+  type       text        not null,
+  enabled    boolean     not null,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, type)
+);
@@ -0,0 +1,230 @@
+import { portfolioQueries, leagueQueries } from "./queries.js";
+import { getPortfolioValuesAt, getPricesAt } from "./valuation.js";
+import { computePositions, DEFAULT_COST_BASIS_METHOD } from "./cost_basis.js";
+
+// Portfolio analytics from daily closes (UTC midnight, plus now) of the
+// replayed portfolio value: returns, annualized volatility, max drawdown,
+// a Sharpe-style ratio (no risk-free rate), beta against holding only
+// BENCHMARK_SYMBOL, the win rate of closing trades and allocation by coin.
+// Crypto trades every day, so a year is 365 daily returns.
+
+export const BENCHMARK_SYMBOL = "bitcoin";
+const DAYS_PER_YEAR = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mean(xs) {
+  return xs.reduce((sum, x) => sum + x, 0) / xs.length;
+}
+
+// Sample standard deviation; null below two points
+function stdev(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(
+    xs.reduce((sum, x) => sum + (x - m) ** 2, 0) / (xs.length - 1)
+  );
+}
+
+function round(n, digits = 4) {
+  return n === null || !Number.isFinite(n) ? null : +n.toFixed(digits);
+}
+
+/**
+ * UTC midnights from the day of `startMs` through `endMs`, then `endMs`.
+ */
+export function dailyTimes(startMs, endMs) {
+  const times = [];
+  for (let t = Math.floor(startMs / DAY_MS) * DAY_MS; t < endMs; t += DAY_MS) {
+    times.push(t);
+  }
+  times.push(endMs);
+  return times;
+}
+
+function stepReturns(values) {
+  const out = [];
+  for (let i = 1; i < values.length; i++) {
+    out.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : null);
+  }
+  return out;
+}
+
+/**
+ * Largest peak-to-trough fall in `points` ({ ms, value }), with when the
+ * peak and trough were and when the value first got back to the peak
+ * (null if it hasn't).
+ */
+export function computeMaxDrawdown(points) {
+  let peak = null;
+  let worst = { pct: 0, peakAt: null, troughAt: null, recoveredAt: null };
+  let worstPeakValue = null;
+  for (const p of points) {
+    if (!peak || p.value >= peak.value) {
+      if (worst.troughAt !== null && worst.recoveredAt === null) {
+        if (p.value >= worstPeakValue) worst.recoveredAt = p.ms;
+      }
+      peak = p;
+      continue;
+    }
+    const pct =
+      peak.value > 0 ? ((peak.value - p.value) / peak.value) * 100 : 0;
+    if (pct > worst.pct) {
+      worst = { pct, peakAt: peak.ms, troughAt: p.ms, recoveredAt: null };
+      worstPeakValue = peak.value;
+    }
+  }
+  return worst;
+}
+
+/**
+ * Stats for daily portfolio values and the benchmark's prices at the same
+ * times. Ratios need at least two daily returns, beta a moving benchmark.
+ */
+export function computeAnalytics({ times, values, benchmarkPrices, closes }) {
+  const returns = stepReturns(values);
+  const benchReturns = stepReturns(benchmarkPrices);
+
+  const portfolioReturns = returns.filter((r) => r !== null);
+  const sd = stdev(portfolioReturns);
+  const volatility = sd === null ? null : sd * Math.sqrt(DAYS_PER_YEAR);
+  const sharpe =
+    sd === null || sd === 0
+      ? null
+      : (mean(portfolioReturns) / sd) * Math.sqrt(DAYS_PER_YEAR);
+
+  // beta over the days both returns are known
+  const paired = returns
+    .map((r, i) => [r, benchReturns[i]])
+    .filter(([r, b]) => r !== null && b !== null);
+  let beta = null;
+  if (paired.length >= 2) {
+    const mr = mean(paired.map(([r]) => r));
+    const mb = mean(paired.map(([, b]) => b));
+    let cov = 0;
+    let varB = 0;
+    for (const [r, b] of paired) {
+      cov += (r - mr) * (b - mb);
+      varB += (b - mb) ** 2;
+    }
+    beta = varB > 0 ? cov / varB : null;
+  }
+
+  const drawdown = computeMaxDrawdown(
+    times.map((ms, i) => ({ ms, value: values[i] }))
+  );
+  const wins = closes.filter((c) => c.realized > 0).length;
+  const startValue = values[0];
+  const endValue = values[values.length - 1];
+
+  return {
+    start_value_usd: round(startValue, 2),
+    end_value_usd: round(endValue, 2),
+    return_pct:
+      startValue > 0
+        ? round(((endValue - startValue) / startValue) * 100)
+        : null,
+    annualized_volatility_pct:
+      volatility === null ? null : round(volatility * 100),
+    sharpe: round(sharpe),
+    beta: round(beta),
+    max_drawdown: {
+      pct: round(drawdown.pct),
+      peak_at: drawdown.peakAt && new Date(drawdown.peakAt).toISOString(),
+      trough_at: drawdown.troughAt && new Date(drawdown.troughAt).toISOString(),
+      recovered_at:
+        drawdown.recoveredAt && new Date(drawdown.recoveredAt).toISOString(),
+    },
+    win_rate: {
+      closed_trades: closes.length,
+      wins,
+      losses: closes.length - wins,
+      pct: closes.length ? round((wins / closes.length) * 100, 2) : null,
+    },
+  };
+}
+
+/**
+ * Daily analytics for one member's portfolio in a league, from their first
+ * trade to `now`. `method` is the cost basis method for the win rate.
+ */
+export async function getPortfolioAnalytics(
+  db,
+  { userId, leagueId, method = DEFAULT_COST_BASIS_METHOD, now = new Date() }
+) {
+  const { rows: trades } = await db.query(
+    portfolioQueries.getTradesForCostBasis,
+    [userId, leagueId]
+  );
+
+  const nowMs = now.getTime();
+  const startMs = trades.length
+    ? new Date(trades[0].created_at).getTime()
+    : nowMs - DAY_MS;
+  const times = dailyTimes(startMs, nowMs);
+
+  const [series, benchmarkPrices] = await Promise.all([
+    getPortfolioValuesAt(db, { userId, leagueId, times }),
+    getPricesAt(db, BENCHMARK_SYMBOL, times),
+  ]);
+  const values = series.map((p) => p.totalValue);
+
+  const closes = [...computePositions(trades, method).values()].flatMap(
+    (p) => p.closes
+  );
+  const returns = stepReturns(values);
+  const benchReturns = stepReturns(benchmarkPrices);
+
+  return {
+    as_of: now.toISOString(),
+    benchmark: BENCHMARK_SYMBOL,
+    cost_basis_method: method,
+    summary: computeAnalytics({ times, values, benchmarkPrices, closes }),
+    daily: series.map((p, i) => ({
+      date: p.asOf,
+      value_usd: round(p.totalValue, 2),
+      return_pct:
+        i && returns[i - 1] !== null ? round(returns[i - 1] * 100) : null,
+      benchmark_return_pct:
+        i && benchReturns[i - 1] !== null
+          ? round(benchReturns[i - 1] * 100)
+          : null,
+    })),
+    // share of total value in cash and each coin (negative for shorts)
+    allocation: series.map((p) => ({
+      date: p.asOf,
+      cash_pct:
+        p.totalValue > 0 ? round((p.cash / p.totalValue) * 100, 2) : null,
+      coins: Object.fromEntries(
+        Object.entries(p.positions).map(([sym, value]) => [
+          sym,
+          p.totalValue > 0 ? round((value / p.totalValue) * 100, 2) : null,
+        ])
+      ),
+    })),
+  };
+}
+
+/**
+ * Summary analytics for every member of a league, for side-by-side
+ * comparison.
+ */
+export async function getLeagueAnalytics(
+  db,
+  leagueId,
+  { now = new Date() } = {}
+) {
+  const { rows: members } = await db.query(leagueQueries.getLeagueMembers, [
+    leagueId,
+  ]);
+
+  const result = [];
+  for (const member of members) {
+    const { summary } = await getPortfolioAnalytics(db, {
+      userId: member.id,
+      leagueId,
+      now,
+    });
+    result.push({ user_id: member.id, username: member.username, ...summary });
+  }
+  return result;
+}
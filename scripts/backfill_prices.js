@@ -0,0 +1,253 @@
+import { Pool } from "pg";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createPriceProvider } from "./price_provider.js";
+import { RESOLUTIONS, getRetentionCutoffs, rollupCandles } from "./candles.js";
+
+// Backfill price_points_min for whitelisted coins over a date range, from
+// the configured price provider or a local CSV/JSON price file, so early
+// rounds are scored with the prices of the time, then rolls the range up
+// into hourly/daily candles. Safe to re-run: existing minutes are left
+// alone. Prints the gaps it could not fill, checking the part of the range
+// past minute retention against the candles, since the worker prunes those
+// minutes once they're rolled up.
+//
+//   node scripts/backfill_prices.js --from 2024-06-01 [--to 2024-06-30]
+//     [--ids bitcoin,ethereum] [--file prices.json] [--max-gap 60]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function normalizeId(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+// ----------------------
+// ARGS
+// ----------------------
+const { values: args } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    ids: { type: "string" },
+    file: { type: "string" },
+    "max-gap": { type: "string", default: "60" },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const from = new Date(args.from || "");
+const to = args.to ? new Date(args.to) : new Date();
+const maxGapMin = Number(args["max-gap"]);
+
+if (Number.isNaN(from.getTime())) {
+  fail("--from must be a date, e.g. 2024-06-01");
+}
+if (Number.isNaN(to.getTime())) fail("--to must be a date");
+if (from >= to) fail("--from must be before --to");
+if (!Number.isFinite(maxGapMin) || maxGapMin <= 0) {
+  fail("--max-gap must be a positive number of minutes");
+}
+
+// ----------------------
+// DB CONFIG + ENV LOADING
+// ----------------------
+let dbConfig = null;
+let envData = {};
+
+if (process.env.DATABASE_URL) {
+  dbConfig = {
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  };
+} else {
+  const envPath = path.join(__dirname, "..", "env.json");
+  if (fs.existsSync(envPath)) {
+    envData = JSON.parse(fs.readFileSync(envPath, "utf-8"));
+    dbConfig = {
+      user: envData.user,
+      host: envData.host,
+      database: envData.database,
+      password: envData.password,
+      port: envData.port,
+    };
+  }
+}
+
+if (!dbConfig) fail("DATABASE_URL or env.json is required for the backfill");
+
+const whitelist = (
+  process.env.COIN_WHITELIST ||
+  process.env.CG_IDS ||
+  envData.CG_IDS ||
+  "bitcoin,ethereum,solana"
+)
+  .split(",")
+  .map(normalizeId)
+  .filter(Boolean);
+
+const ids = args.ids
+  ? args.ids.split(",").map(normalizeId).filter(Boolean)
+  : whitelist;
+const notAllowed = ids.filter((id) => !whitelist.includes(id));
+if (notAllowed.length) {
+  fail(`Not in the coin whitelist: ${notAllowed.join(", ")}`);
+}
+
+// A local file is replayed as-is; otherwise use the configured source
+const provider = args.file
+  ? createPriceProvider({ source: "replay", file: args.file })
+  : createPriceProvider({
+      source: process.env.PRICE_SOURCE || envData.PRICE_SOURCE,
+      apiKey: process.env.CG_API_KEY || envData.CG_API_KEY,
+      file: process.env.PRICE_FILE || envData.PRICE_FILE,
+    });
+
+const pool = new Pool(dbConfig);
+
+// ----------------------
+// BACKFILL
+// ----------------------
+async function insertPoints(symbol, points) {
+  if (!points.length) return 0;
+  const res = await pool.query(
+    `insert into price_points_min (symbol, ts_min, price_usd)
+     select $1, date_trunc('minute', x.ts), x.price
+     from unnest($2::timestamptz[], $3::numeric[]) as x(ts, price)
+     on conflict do nothing`,
+    [
+      symbol,
+      points.map((p) => new Date(p.ms).toISOString()),
+      points.map((p) => p.price),
+    ]
+  );
+  return res.rowCount;
+}
+
+// Where each part of the range is checked for gaps: minutes past their
+// retention are pruned once rolled up, and so are hourly candles past
+// theirs, so older stretches are checked against the candles that outlive
+// them
+const GAP_SOURCES = [
+  { resolution: "1m", table: "price_points_min", column: "ts_min" },
+  { resolution: "1h", table: "price_candles_hour", column: "bucket" },
+  { resolution: "1d", table: "price_candles_day", column: "bucket" },
+];
+
+/**
+ * Stretches of the range with no stored price, including before the first
+ * and after the last stored point, read from minutes for the recent part
+ * of the range and from candles past minute retention. Provider timestamps
+ * drift a little around their nominal spacing, so only stretches over 1.5
+ * x maxGapMin (or the candle interval, if longer) count.
+ */
+async function findGaps(symbol) {
+  const cutoffs = getRetentionCutoffs();
+  const gaps = [];
+  let end = to.getTime();
+  for (const { resolution, table, column } of GAP_SOURCES) {
+    const start = Math.max(from.getTime(), cutoffs[resolution]?.getTime() ?? 0);
+    if (start >= end) continue;
+
+    // a candle covers its whole bucket, so include the one start falls in
+    const stepMs = RESOLUTIONS[resolution].ms;
+    const { rows } = await pool.query(
+      `select ${column} as ts
+       from ${table}
+       where symbol = $1 and ${column} > $2 and ${column} <= $3
+       order by ${column} asc`,
+      [
+        symbol,
+        new Date(start - stepMs).toISOString(),
+        new Date(end).toISOString(),
+      ]
+    );
+
+    const maxGapMs = Math.max(maxGapMin * 60_000, stepMs);
+    const stamps = [
+      start,
+      ...rows.map((r) => Math.max(new Date(r.ts).getTime(), start)),
+      end,
+    ];
+    for (let i = 1; i < stamps.length; i++) {
+      if (stamps[i] - stamps[i - 1] > maxGapMs * 1.5) {
+        gaps.push({ from: new Date(stamps[i - 1]), to: new Date(stamps[i]) });
+      }
+    }
+    end = start;
+  }
+  return gaps.sort((a, b) => a.from - b.from);
+}
+
+async function backfillCoin(id) {
+  const points = await provider.getPriceHistory(id, { from, to });
+  const inserted = await insertPoints(id, points);
+
+  // points in the same minute share one row
+  const minutes = new Set(points.map((p) => Math.floor(p.ms / 60_000))).size;
+  console.log(
+    `${id}: ${points.length} points from ${provider.name}, ` +
+      `${inserted} new minute(s), ${minutes - inserted} already stored`
+  );
+}
+
+async function reportGaps(id) {
+  const gaps = await findGaps(id);
+  for (const g of gaps) {
+    const hours = ((g.to - g.from) / 3_600_000).toFixed(1);
+    console.log(
+      `${id}: gap ${g.from.toISOString()} -> ${g.to.toISOString()} (${hours}h)`
+    );
+  }
+  return gaps.length;
+}
+
+async function main() {
+  console.log(
+    `Backfilling ${ids.join(
+      ", "
+    )} from ${from.toISOString()} to ${to.toISOString()}`
+  );
+
+  const backfilled = [];
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      await backfillCoin(id);
+      backfilled.push(id);
+    } catch (e) {
+      failed++;
+      console.error(`${id}: backfill error:`, e.message || e);
+    }
+  }
+
+  const candles = await rollupCandles(pool, { from, to });
+  console.log(
+    `Rolled up ${candles.hours} hourly and ${candles.days} daily candle(s)`
+  );
+
+  // Checked after the rollup, since older stretches are read from candles
+  let gapCount = 0;
+  for (const id of backfilled) gapCount += await reportGaps(id);
+
+  console.log(
+    `Done: ${ids.length - failed} coin(s) backfilled, ${gapCount} gap(s) left` +
+      (failed ? `, ${failed} failed` : "")
+  );
+  return failed ? 1 : 0;
+}
+
+main()
+  .then((code) => (process.exitCode = code))
+  .catch((e) => {
+    console.error("Backfill error:", e.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,102 @@
+import { leagueQueries } from "./queries.js";
+import { getPortfolioValuesAt, getPricesAt } from "./valuation.js";
+import { BENCHMARK_SYMBOL } from "./analytics.js";
+
+// "Doing nothing" series for the portfolio chart, valued at the same
+// timestamps as the player's history and starting from the league's
+// starting balance:
+//   btc            all in BENCHMARK_SYMBOL at the first timestamp, held
+//   equal_weight   split equally over the league's coins, held
+//   cash           never traded
+//   league_median  the median member's portfolio value, from a sampled
+//                  series the caller caches (see getLeagueMedianSeries)
+
+export const BENCHMARKS = ["btc", "equal_weight", "cash", "league_median"];
+
+// Value of `balance` split equally over `symbols` at times[0] and held.
+// Coins with no price at the start are left out; null if none has one.
+async function buyAndHold(db, symbols, balance, times) {
+  const paths = [];
+  for (const sym of symbols) {
+    const prices = await getPricesAt(db, sym, times);
+    if (prices[0] > 0) paths.push(prices);
+  }
+  if (!paths.length) return null;
+
+  const perCoin = balance / paths.length;
+  return times.map((_, i) =>
+    paths.reduce((sum, prices) => sum + (perCoin / prices[0]) * prices[i], 0)
+  );
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// The league median is sampled at this many evenly spaced times, so one
+// series can be cached and shared by every member's chart
+const LEAGUE_MEDIAN_POINTS = 500;
+
+/**
+ * The median member's portfolio value sampled over [from, to] (ms) as
+ * { times, values }, or null for a league without members. It values every
+ * member's portfolio, so callers cache it per league.
+ */
+export async function getLeagueMedianSeries(db, leagueId, { from, to }) {
+  const { rows: members } = await db.query(leagueQueries.getLeagueMembers, [
+    leagueId,
+  ]);
+  if (!members.length) return null;
+
+  const count = to > from ? LEAGUE_MEDIAN_POINTS : 1;
+  const times = Array.from({ length: count }, (_, i) =>
+    i === count - 1 ? to : Math.round(from + ((to - from) * i) / (count - 1))
+  );
+
+  const series = [];
+  for (const member of members) {
+    const values = await getPortfolioValuesAt(db, {
+      userId: member.id,
+      leagueId,
+      times,
+    });
+    series.push(values.map((v) => v.totalValue));
+  }
+  return {
+    times,
+    values: times.map((_, i) => median(series.map((values) => values[i]))),
+  };
+}
+
+// A sampled series read at `times` (ascending): the last sample at or
+// before each time, or the first sample for times before the series starts
+function sampleAt({ times: sampled, values }, times) {
+  let i = 0;
+  return times.map((t) => {
+    while (i + 1 < sampled.length && sampled[i + 1] <= t) i++;
+    return values[i];
+  });
+}
+
+/**
+ * Each benchmark's value at `times` (ms, ascending) as an array lined up
+ * with them, or null when it can't be priced. `leagueMedian` is the
+ * league's getLeagueMedianSeries, covering the same window.
+ */
+export async function getBenchmarkSeries(
+  db,
+  { coins, startingBalance, times, leagueMedian }
+) {
+  if (!times.length) {
+    return Object.fromEntries(BENCHMARKS.map((key) => [key, []]));
+  }
+
+  return {
+    btc: await buyAndHold(db, [BENCHMARK_SYMBOL], startingBalance, times),
+    equal_weight: await buyAndHold(db, coins, startingBalance, times),
+    cash: times.map(() => startingBalance),
+    league_median: leagueMedian ? sampleAt(leagueMedian, times) : null,
+  };
+}
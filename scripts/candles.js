@@ -0,0 +1,306 @@
+import { candleQueries } from "./queries.js";
+
+// Price history at three resolutions: the worker's raw minutes
+// (price_points_min) and hourly / daily OHLC candles rolled up from them.
+// Once a coarser candle covers them, minutes older than
+// MINUTE_RETENTION_DAYS (default 30) and hourly candles older than
+// HOUR_RETENTION_DAYS (default 365) are pruned, so old history is kept at a
+// lower resolution instead of growing the minute table forever.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intervals, their bucket size and the queries that read them
+export const RESOLUTIONS = {
+  "1m": {
+    ms: 60_000,
+    seriesQuery: candleQueries.getMinuteSeries,
+    priceQuery: candleQueries.getMinutePriceAtOrBefore,
+  },
+  "1h": {
+    ms: 60 * 60_000,
+    seriesQuery: candleQueries.getHourSeries,
+    priceQuery: candleQueries.getHourPriceAtOrBefore,
+  },
+  "1d": {
+    ms: DAY_MS,
+    seriesQuery: candleQueries.getDaySeries,
+    priceQuery: candleQueries.getDayPriceAtOrBefore,
+  },
+};
+
+// Auto interval: minutes up to two days, hours up to 90 days, then days
+const AUTO_MAX_SPAN_MS = { "1m": 2 * DAY_MS, "1h": 90 * DAY_MS };
+
+export const MAX_SERIES_POINTS = 10_000;
+
+// Coin chart presets, in days; ALL starts at the oldest stored price
+export const CHART_RANGES = { "1D": 1, "7D": 7, "30D": 30, ALL: null };
+export const DEFAULT_CHART_POINTS = 500;
+export const MAX_CHART_POINTS = 2000;
+
+const PRUNE_EVERY_MS = 60 * 60_000;
+let lastPruneAt = 0;
+
+function retentionDays(name, fallback) {
+  const days = Number(process.env[name]);
+  return Number.isFinite(days) && days >= 1 ? days : fallback;
+}
+
+/**
+ * Oldest time each resolution is still kept for. Daily candles are kept
+ * forever.
+ */
+export function getRetentionCutoffs(now = new Date()) {
+  const minuteDays = retentionDays("MINUTE_RETENTION_DAYS", 30);
+  const hourDays = Math.max(
+    retentionDays("HOUR_RETENTION_DAYS", 365),
+    minuteDays
+  );
+  return {
+    "1m": new Date(now.getTime() - minuteDays * DAY_MS),
+    "1h": new Date(now.getTime() - hourDays * DAY_MS),
+    "1d": null,
+  };
+}
+
+/**
+ * Interval for a price range. An explicit `interval` (1m, 1h, 1d) is used
+ * as given; "auto" or none picks by span, then moves to a coarser interval
+ * when `from` is older than the finer one is kept.
+ */
+export function pickResolution({ from, to, interval, now = new Date() }) {
+  if (interval && interval !== "auto") {
+    if (!RESOLUTIONS[interval]) {
+      const err = new Error(
+        `interval must be auto, ${Object.keys(RESOLUTIONS).join(", ")}`
+      );
+      err.status = 400;
+      throw err;
+    }
+    return interval;
+  }
+
+  const span = to.getTime() - from.getTime();
+  let resolution = "1d";
+  if (span <= AUTO_MAX_SPAN_MS["1m"]) resolution = "1m";
+  else if (span <= AUTO_MAX_SPAN_MS["1h"]) resolution = "1h";
+
+  const cutoffs = getRetentionCutoffs(now);
+  if (resolution === "1m" && from < cutoffs["1m"]) resolution = "1h";
+  if (resolution === "1h" && from < cutoffs["1h"]) resolution = "1d";
+  return resolution;
+}
+
+async function querySeries(db, resolution, symbols, { from, to, limit }) {
+  const { ms, seriesQuery } = RESOLUTIONS[resolution];
+  const { rows } = await db.query(seriesQuery, [
+    symbols,
+    from.toISOString(),
+    to.toISOString(),
+    limit,
+  ]);
+  // a candle's close is only known once its bucket has ended
+  return rows.map((r) => {
+    const ts = new Date(r.ts);
+    return {
+      symbol: r.symbol,
+      ts,
+      closeAt: resolution === "1m" ? ts : new Date(ts.getTime() + ms),
+      open: Number(r.open),
+      high: Number(r.high),
+      low: Number(r.low),
+      close: Number(r.close),
+    };
+  });
+}
+
+function hasFullSeries(points, limit) {
+  const counts = new Map();
+  for (const p of points) {
+    const n = (counts.get(p.symbol) || 0) + 1;
+    if (n >= limit) return true;
+    counts.set(p.symbol, n);
+  }
+  return false;
+}
+
+/**
+ * Price points for `symbols` between two Dates at the chosen interval,
+ * oldest first. Minute rows are returned as flat candles. When the auto
+ * interval finds no candles yet (rollups haven't run), it reads minutes.
+ * Each symbol keeps at most `limit` points, the latest ones; `truncated`
+ * says whether any symbol was cut short.
+ */
+export async function getPriceSeries(
+  db,
+  symbols,
+  { from, to, interval, limit = MAX_SERIES_POINTS }
+) {
+  const resolution = pickResolution({ from, to, interval });
+  let used = resolution;
+  let points = await querySeries(db, resolution, symbols, { from, to, limit });
+
+  if (
+    !points.length &&
+    resolution !== "1m" &&
+    (!interval || interval === "auto")
+  ) {
+    used = "1m";
+    points = await querySeries(db, "1m", symbols, { from, to, limit });
+  }
+
+  return {
+    interval: used,
+    from,
+    to,
+    points,
+    truncated: hasFullSeries(points, limit),
+  };
+}
+
+/**
+ * Thin a series to at most `maxPoints` by splitting its time span into equal
+ * buckets and keeping the last point of each, so the chart still ends on
+ * the latest price.
+ */
+export function downsamplePoints(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+
+  const first = points[0].ts.getTime();
+  const span = points[points.length - 1].ts.getTime() - first || 1;
+  const kept = [];
+  let lastBucket = -1;
+  for (let i = points.length - 1; i >= 0; i--) {
+    const bucket = Math.min(
+      maxPoints - 1,
+      Math.floor(((points[i].ts.getTime() - first) / span) * maxPoints)
+    );
+    if (bucket !== lastBucket) {
+      kept.push(points[i]);
+      lastBucket = bucket;
+    }
+  }
+  return kept.reverse();
+}
+
+// Stored prices only stand in for a chart range when they cover most of
+// it, so a store that has just started collecting doesn't chart a few
+// hours as 30D
+const MIN_CHART_COVERAGE = 0.9;
+const LONGEST_CHART_DAYS = Math.max(
+  ...Object.values(CHART_RANGES).filter((days) => days !== null)
+);
+
+/**
+ * Chart series for one coin over a CHART_RANGES preset, from stored prices.
+ * `points` is empty when nothing is stored for the range; `complete` is
+ * false when the stored prices start too late to cover it (for ALL, when
+ * they don't reach back past the longest preset).
+ */
+export async function getChartSeries(
+  db,
+  symbol,
+  { range, maxPoints = DEFAULT_CHART_POINTS, now = new Date() }
+) {
+  if (!(range in CHART_RANGES)) {
+    const err = new Error(
+      `range must be one of ${Object.keys(CHART_RANGES).join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  let from;
+  let coverFrom;
+  if (CHART_RANGES[range] === null) {
+    const { rows } = await db.query(candleQueries.getFirstPriceTime, [symbol]);
+    if (!rows[0]?.ts) {
+      return { range, interval: null, points: [], complete: false };
+    }
+    from = new Date(rows[0].ts);
+    coverFrom = now.getTime() - LONGEST_CHART_DAYS * DAY_MS;
+  } else {
+    from = new Date(now.getTime() - CHART_RANGES[range] * DAY_MS);
+    coverFrom =
+      now.getTime() - MIN_CHART_COVERAGE * (now.getTime() - from.getTime());
+  }
+
+  const series = await getPriceSeries(db, [symbol], { from, to: now });
+  const first = series.points[0];
+  return {
+    range,
+    interval: series.interval,
+    points: downsamplePoints(series.points, maxPoints),
+    complete: Boolean(first) && first.ts.getTime() <= coverFrom,
+  };
+}
+
+/**
+ * Last known price at or before `asOf` from the finest resolution still
+ * kept for that time, falling back to finer ones that haven't been rolled
+ * up yet. Null when there is no stored history.
+ */
+export async function getStoredPriceAtOrBefore(db, symbol, asOf) {
+  const cutoffs = getRetentionCutoffs();
+  let order = ["1m"];
+  if (asOf < cutoffs["1h"]) order = ["1d", "1h", "1m"];
+  else if (asOf < cutoffs["1m"]) order = ["1h", "1m"];
+
+  for (const resolution of order) {
+    const { rows } = await db.query(RESOLUTIONS[resolution].priceQuery, [
+      symbol,
+      asOf.toISOString(),
+    ]);
+    if (rows.length) return Number(rows[0].price_usd);
+  }
+  return null;
+}
+
+/**
+ * Build or refresh the hourly and daily candles covering [from, to].
+ * Re-running over the same range is safe.
+ */
+export async function rollupCandles(db, { from, to = new Date() }) {
+  const range = [from.toISOString(), to.toISOString()];
+  const hours = await db.query(candleQueries.rollupHours, range);
+  const days = await db.query(candleQueries.rollupDays, range);
+  return { hours: hours.rowCount, days: days.rowCount };
+}
+
+/**
+ * Delete minutes and hourly candles past their retention whose coarser
+ * candle exists.
+ */
+export async function pruneRolledUpPrices(db, now = new Date()) {
+  const cutoffs = getRetentionCutoffs(now);
+  const minutes = await db.query(candleQueries.pruneMinutes, [
+    cutoffs["1m"].toISOString(),
+  ]);
+  const hours = await db.query(candleQueries.pruneHours, [
+    cutoffs["1h"].toISOString(),
+  ]);
+  return { minutes: minutes.rowCount, hours: hours.rowCount };
+}
+
+/**
+ * Worker step: roll up everything since the last hourly candle (which may
+ * still have been filling), and prune at most once an hour.
+ */
+export async function runCandleJob(pool, now = new Date()) {
+  let { rows } = await pool.query(candleQueries.getLastHourBucket);
+  let from = rows[0]?.bucket;
+  if (!from) {
+    ({ rows } = await pool.query(candleQueries.getFirstMinute));
+    from = rows[0]?.ts_min;
+  }
+  if (!from) return { hours: 0, days: 0, pruned: null };
+
+  const rolled = await rollupCandles(pool, { from: new Date(from), to: now });
+
+  let pruned = null;
+  if (now.getTime() - lastPruneAt >= PRUNE_EVERY_MS) {
+    lastPruneAt = now.getTime();
+    pruned = await pruneRolledUpPrices(pool, now);
+  }
+  return { ...rolled, pruned };
+}
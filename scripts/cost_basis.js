@@ -0,0 +1,221 @@
+import { portfolioQueries } from "./queries.js";
+
+// Cost basis and P&L per position, worked out by replaying a portfolio's
+// trades oldest first. Two methods:
+//   AVERAGE  one blended cost per unit; sales realize against the average
+//   FIFO     each buy is a lot; sales use up the oldest lots first
+// Fees are part of the position: an opening fee raises a long's cost (or
+// lowers a short's entry) and a closing fee comes out of realized P&L.
+// Shorts (negative qty) work the same way with the signs flipped.
+
+export const COST_BASIS_METHODS = ["AVERAGE", "FIFO"];
+export const DEFAULT_COST_BASIS_METHOD = "AVERAGE";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// smaller than the 12-decimal qty column can hold; treat as flat
+const QTY_EPSILON = 1e-9;
+
+/**
+ * Method from a request value, or a 400 error for anything else.
+ */
+export function parseCostBasisMethod(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return DEFAULT_COST_BASIS_METHOD;
+  }
+  const method = String(raw).toUpperCase();
+  if (!COST_BASIS_METHODS.includes(method)) {
+    const err = new Error(
+      `costBasis must be one of ${COST_BASIS_METHODS.join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return method;
+}
+
+function openQty(position) {
+  return position.lots.reduce((sum, lot) => sum + lot.qty, 0);
+}
+
+// Use up `qty` of the open lots (the oldest first), realizing P&L against
+// `price`. Average-cost positions only ever have one lot.
+function closeLots(position, qty, price) {
+  let remaining = qty;
+  while (remaining > QTY_EPSILON && position.lots.length) {
+    const lot = position.lots[0];
+    const used = Math.min(lot.qty, remaining);
+    position.realized += position.direction * (price - lot.basis) * used;
+    lot.qty -= used;
+    remaining -= used;
+    if (lot.qty <= QTY_EPSILON) position.lots.shift();
+  }
+}
+
+function openLot(position, method, { qty, basis, at }) {
+  const [lot] = position.lots;
+  if (method === "AVERAGE" && lot) {
+    lot.basis = (lot.basis * lot.qty + basis * qty) / (lot.qty + qty);
+    lot.qty += qty;
+    return;
+  }
+  position.lots.push({ qty, basis, at });
+}
+
+function applyTrade(position, method, trade) {
+  const qty = Number(trade.qty);
+  const price = Number(trade.price_usd);
+  const fee = Number(trade.fee_usd || 0);
+  const direction = trade.side === "BUY" ? 1 : -1;
+  if (!(qty > 0)) return;
+
+  const held = openQty(position);
+  const closing =
+    held > QTY_EPSILON && position.direction !== direction
+      ? Math.min(qty, held)
+      : 0;
+  const opening = qty - closing;
+  const closingFee = fee * (closing / qty);
+
+  position.fees += fee;
+
+  if (closing > 0) {
+    const before = position.realized;
+    closeLots(position, closing, price);
+    position.realized -= closingFee;
+    position.closes.push({
+      symbol: trade.symbol,
+      closedAt: new Date(trade.created_at),
+      qty: closing,
+      realized: position.realized - before,
+    });
+  }
+
+  if (opening > QTY_EPSILON) {
+    if (openQty(position) <= QTY_EPSILON) {
+      position.lots = [];
+      position.direction = direction;
+    }
+    // a long pays its fee on top of the price; a short receives less
+    const basis = price + (direction * (fee - closingFee)) / opening;
+    openLot(position, method, {
+      qty: opening,
+      basis,
+      at: new Date(trade.created_at),
+    });
+  }
+}
+
+/**
+ * Replay `trades` (oldest first) into a Map of symbol -> { qty (signed),
+ * costBasis, avgCost, realized, fees, openedAt, closes }. costBasis is what
+ * the open position cost (for a short: what opening it brought in);
+ * openedAt is when its oldest open lot was bought, null once it's flat.
+ * `closes` has the realized P&L of each trade that reduced the position.
+ */
+export function computePositions(trades, method = DEFAULT_COST_BASIS_METHOD) {
+  const positions = new Map();
+  for (const trade of trades) {
+    if (!positions.has(trade.symbol)) {
+      positions.set(trade.symbol, {
+        direction: 1,
+        lots: [],
+        realized: 0,
+        fees: 0,
+        closes: [],
+      });
+    }
+    applyTrade(positions.get(trade.symbol), method, trade);
+  }
+
+  const result = new Map();
+  for (const [symbol, p] of positions) {
+    const qty = openQty(p);
+    const open = qty > QTY_EPSILON;
+    const costBasis = open
+      ? p.lots.reduce((sum, lot) => sum + lot.qty * lot.basis, 0)
+      : 0;
+    result.set(symbol, {
+      symbol,
+      qty: open ? p.direction * qty : 0,
+      costBasis,
+      avgCost: open ? costBasis / qty : null,
+      realized: p.realized,
+      fees: p.fees,
+      openedAt: open ? p.lots[0].at : null,
+      closes: p.closes,
+    });
+  }
+  return result;
+}
+
+/**
+ * P&L for a portfolio's holdings ({ symbol, qty, price_usd } rows as the
+ * portfolio route loads them). Returns the rows with cost basis fields
+ * added, the symbols that were traded but are no longer held, and totals.
+ */
+export async function getPositionPerformance(
+  db,
+  { userId, leagueId, holdings, method = DEFAULT_COST_BASIS_METHOD, now }
+) {
+  const { rows: trades } = await db.query(
+    portfolioQueries.getTradesForCostBasis,
+    [userId, leagueId]
+  );
+  const positions = computePositions(trades, method);
+  const at = now || new Date();
+
+  let realizedTotal = 0;
+  let unrealizedTotal = 0;
+  for (const p of positions.values()) realizedTotal += p.realized;
+
+  const withPnl = holdings.map((h) => {
+    const qty = Number(h.qty);
+    const price = h.price_usd == null ? null : Number(h.price_usd);
+    const p = positions.get(h.symbol);
+    if (!p || p.avgCost === null) {
+      return { ...h, realized_pnl_usd: (p?.realized ?? 0).toFixed(2) };
+    }
+
+    // value the quantity actually held at the replayed cost per unit
+    const costBasis = p.avgCost * Math.abs(qty);
+    const unrealized =
+      price === null
+        ? null
+        : Math.sign(qty) * (price * Math.abs(qty) - costBasis);
+    if (unrealized !== null) unrealizedTotal += unrealized;
+
+    return {
+      ...h,
+      avg_cost_usd: p.avgCost.toFixed(8),
+      cost_basis_usd: costBasis.toFixed(2),
+      unrealized_pnl_usd: unrealized === null ? null : unrealized.toFixed(2),
+      realized_pnl_usd: p.realized.toFixed(2),
+      return_pct:
+        unrealized === null || costBasis <= 0
+          ? null
+          : ((unrealized / costBasis) * 100).toFixed(2),
+      opened_at: p.openedAt.toISOString(),
+      holding_days: ((at - p.openedAt) / DAY_MS).toFixed(2),
+    };
+  });
+
+  const held = new Set(holdings.map((h) => h.symbol));
+  const closed = [...positions.values()]
+    .filter((p) => !held.has(p.symbol))
+    .map((p) => ({
+      symbol: p.symbol,
+      realized_pnl_usd: p.realized.toFixed(2),
+      fees_usd: p.fees.toFixed(2),
+    }));
+
+  return {
+    holdings: withPnl,
+    closedPositions: closed,
+    pnl: {
+      method,
+      realized_usd: realizedTotal.toFixed(2),
+      unrealized_usd: unrealizedTotal.toFixed(2),
+      total_usd: (realizedTotal + unrealizedTotal).toFixed(2),
+    },
+  };
+}
@@ -0,0 +1,276 @@
+import { portfolioQueries, leagueQueries } from "./queries.js";
+import {
+  getLeagueRules,
+  getRoundWindowAt,
+  getFeeComponents,
+  getSlippageFraction,
+} from "./league_rules.js";
+import { computeMarginStatus } from "./margin.js";
+
+// Shared fill logic for market trades and resting orders. Callers own the
+// transaction: pass a client that has already run BEGIN and COMMIT/ROLLBACK
+// based on whether this throws.
+
+const EPS = 1e-6;
+// Quantities are floored to 1e-8; anything smaller is a closed position
+const QTY_DUST = 1e-9;
+
+function tradeError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatUsd(n) {
+  return Number(n).toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+/**
+ * Throw a 409 unless `league` (a getLeagueSettings row) is ACTIVE: trading
+ * opens when the season starts and closes once the league completes.
+ */
+export function assertLeagueTrading(league) {
+  if (league.status === "ACTIVE") return;
+  throw tradeError(
+    league.status === "COMPLETED"
+      ? "league is completed; trading is closed"
+      : "league season hasn't started yet",
+    409
+  );
+}
+
+/**
+ * Fill a BUY or SELL at `price` for a user's league portfolio, enforcing the
+ * league's trading rules (see league_rules.js).
+ * BUY spends `amountUsd` including fees, or buys `qty` if given; SELL sells
+ * `qty` if given, otherwise `amountUsd` worth of the coin. In leagues with
+ * shorts enabled a SELL past zero opens a short (negative qty) subject to
+ * the initial margin; `reduceOnly` disables that for stop orders.
+ * Only ACTIVE leagues trade. `forced` skips that and every rule and cash
+ * check (used for liquidations); a forced fill may only buy back a short,
+ * never more than is owed.
+ * The fill price is `price` moved against the trader by the league's
+ * slippage model. Returns
+ * { side, qty, price, marketPrice, cost, fee, slippage, cash, position }.
+ */
+export async function executeFill(
+  db,
+  {
+    userId,
+    leagueId,
+    symbol,
+    side,
+    price,
+    amountUsd,
+    qty: requestedQty,
+    liquidity = "TAKER",
+    reduceOnly = false,
+    forced = false,
+  }
+) {
+  const px = Number(price);
+  if (!Number.isFinite(px) || px <= 0) {
+    throw tradeError("no current price; try later");
+  }
+
+  const leagueRes = await db.query(leagueQueries.getLeagueSettings, [leagueId]);
+  const league = leagueRes.rows[0] || {};
+  if (!forced) assertLeagueTrading(league);
+  const rules = getLeagueRules(league.settings);
+  const shortsAllowed = rules.shorts.enabled && !reduceOnly;
+
+  if (!forced && rules.maxTradesPerRound && league.created_at) {
+    const { start, end } = getRoundWindowAt(league);
+    const countRes = await db.query(portfolioQueries.countTradesInWindow, [
+      userId,
+      leagueId,
+      start.toISOString(),
+      end.toISOString(),
+    ]);
+    if (Number(countRes.rows[0].trade_count) >= rules.maxTradesPerRound) {
+      throw tradeError(
+        `league limit of ${rules.maxTradesPerRound} trades per round reached`
+      );
+    }
+  }
+
+  // Lock cash row
+  const cashRow = await db.query(portfolioQueries.getCashForUpdate, [
+    userId,
+    leagueId,
+  ]);
+  const cash = cashRow.rows.length ? Number(cashRow.rows[0].cash_usd) : 0;
+
+  // Lock holding row
+  const hRow = await db.query(portfolioQueries.getHoldingForUpdate, [
+    userId,
+    leagueId,
+    symbol,
+  ]);
+  const curQty = hRow.rows[0] ? Number(hRow.rows[0].qty) : 0;
+
+  const { flat: feeFlat, rate: feeRate } = getFeeComponents(
+    rules.fees,
+    liquidity
+  );
+
+  let qty, execPx, cost, fee, newCash, newQty;
+
+  if (forced && !(side === "BUY" && requestedQty != null && curQty < 0)) {
+    throw tradeError("forced fills can only cover a short");
+  }
+
+  if (side === "BUY" && requestedQty != null) {
+    qty = Math.floor(Number(requestedQty) * 1e8) / 1e8;
+    if (!Number.isFinite(qty) || qty <= 0) throw tradeError("trade too small");
+    if (forced) qty = Math.min(qty, -curQty);
+
+    execPx = px * (1 + getSlippageFraction(rules, px * qty));
+    cost = +(execPx * qty).toFixed(8);
+    fee = +(feeFlat + feeRate * cost).toFixed(8);
+    if (!forced && cash + EPS < cost + fee) {
+      throw tradeError("insufficient cash");
+    }
+
+    newCash = cash - cost - fee;
+    newQty = curQty + qty;
+  } else if (side === "BUY") {
+    const usdAmount = Number(amountUsd);
+
+    // Don't allow spending more than you actually have
+    if (cash <= 0 || usdAmount > cash + EPS) {
+      throw tradeError("insufficient cash");
+    }
+
+    const budget = Math.min(usdAmount, cash);
+    execPx = px * (1 + getSlippageFraction(rules, budget));
+
+    // Compute quantity on the server, floored so cost + fee <= budget
+    qty =
+      Math.floor(((budget - feeFlat) / (execPx * (1 + feeRate))) * 1e8) / 1e8;
+    if (!(qty > 0)) throw tradeError("trade too small");
+
+    cost = +(execPx * qty).toFixed(8);
+    fee = +(feeFlat + feeRate * cost).toFixed(8);
+    if (cash + EPS < cost + fee) throw tradeError("insufficient cash");
+
+    newCash = cash - cost - fee;
+    newQty = curQty + qty;
+  } else if (side === "SELL") {
+    if (!shortsAllowed && curQty <= 0) {
+      throw tradeError("insufficient quantity");
+    }
+
+    if (requestedQty != null) {
+      qty = Math.floor(Number(requestedQty) * 1e8) / 1e8;
+    } else {
+      qty = Math.floor((Number(amountUsd) / px) * 1e8) / 1e8;
+    }
+    if (!Number.isFinite(qty) || qty <= 0) throw tradeError("trade too small");
+
+    if (!shortsAllowed) {
+      if (qty > curQty + EPS) throw tradeError("insufficient quantity");
+      if (qty > curQty) qty = curQty;
+    }
+
+    execPx = px * (1 - getSlippageFraction(rules, px * qty));
+    cost = +(execPx * qty).toFixed(8);
+    fee = +(feeFlat + feeRate * cost).toFixed(8);
+    if (cost <= fee) throw tradeError("trade too small to cover fees");
+
+    newCash = cash + cost - fee;
+    newQty = curQty - qty;
+  } else {
+    throw tradeError("side must be BUY or SELL");
+  }
+
+  if (Math.abs(newQty) < QTY_DUST) newQty = 0;
+
+  execPx = +execPx.toFixed(8);
+  const slippage = +Math.abs((execPx - px) * qty).toFixed(8);
+
+  // Closing out a whole position is always allowed, even below the minimum
+  if (!forced && rules.minTradeUsd && cost < rules.minTradeUsd && newQty) {
+    throw tradeError(
+      `trade below league minimum of $${formatUsd(rules.minTradeUsd)}`
+    );
+  }
+
+  // Shrinking a position (selling a long, covering a short) never breaks
+  // the size or margin limits, so only check trades that add exposure.
+  // Flipping sides (long 10, sell 15) opens a new position even when it
+  // ends up smaller.
+  const flipsSide = newQty * curQty < 0;
+  const addsExposure = flipsSide || Math.abs(newQty) > Math.abs(curQty);
+
+  if (!forced && addsExposure && (rules.maxPositionPct || newQty < 0)) {
+    const { rows: held } = await db.query(
+      portfolioQueries.getHoldingsWithPrices,
+      [userId, leagueId]
+    );
+    const positions = held
+      .filter((h) => h.symbol !== symbol)
+      .map((h) => ({ qty: h.qty, price: h.price_usd }))
+      .concat({ qty: newQty, price: px });
+    const status = computeMarginStatus(newCash, positions);
+
+    if (rules.maxPositionPct) {
+      const maxPositionValue = (rules.maxPositionPct / 100) * status.equity;
+      if (Math.abs(newQty) * px > maxPositionValue + EPS) {
+        throw tradeError(
+          `position would exceed league limit of ${rules.maxPositionPct}% of portfolio`
+        );
+      }
+    }
+
+    if (status.shortValue > 0) {
+      const required =
+        (rules.shorts.initialMarginPct / 100) * status.shortValue;
+      if (status.equity + EPS < required) {
+        throw tradeError(
+          `insufficient margin: shorts need ${rules.shorts.initialMarginPct}% equity`
+        );
+      }
+    }
+  }
+
+  await db.query(portfolioQueries.updateCash, [userId, leagueId, newCash]);
+
+  if (newQty === 0) {
+    await db.query(portfolioQueries.deleteHolding, [userId, leagueId, symbol]);
+  } else {
+    await db.query(portfolioQueries.upsertHolding, [
+      userId,
+      leagueId,
+      symbol,
+      newQty,
+    ]);
+  }
+
+  const tradeRes = await db.query(portfolioQueries.insertTrade, [
+    userId,
+    leagueId,
+    symbol,
+    side,
+    qty,
+    execPx,
+    cost,
+    fee,
+    slippage,
+    px,
+    forced,
+  ]);
+
+  return {
+    tradeId: tradeRes.rows[0]?.id ?? null,
+    side,
+    qty,
+    price: execPx,
+    marketPrice: px,
+    cost,
+    fee,
+    slippage,
+    cash: newCash,
+    position: newQty,
+  };
+}
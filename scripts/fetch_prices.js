@@ -2,8 +2,17 @@ import { Pool } from "pg";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { matchOpenOrders } from "./orders.js";
+import { runLiquidations } from "./liquidations.js";
+import { runRoundCloseJob } from "./rounds.js";
+import { runPlayoffJob } from "./playoffs.js";
+import { runCandleJob } from "./candles.js";
+import { runAlertJob } from "./alerts.js";
+import { runRoundRecapJob } from "./recaps.js";
+import { createMailerFromEnv } from "./mail.js";
+import { checkCircuitBreaker, getTradingStatuses } from "./halts.js";
+import { createPriceProvider } from "./price_provider.js";
 
-const _fetch = globalThis.fetch;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 function normalizeId(raw) {
@@ -15,6 +24,8 @@ function normalizeId(raw) {
 // ----------------------
 let dbConfig = null;
 let CG_API_KEY = process.env.CG_API_KEY || "";
+let PRICE_SOURCE = process.env.PRICE_SOURCE || "";
+let PRICE_FILE = process.env.PRICE_FILE || "";
 
 if (process.env.DATABASE_URL) {
   dbConfig = {
@@ -31,6 +42,12 @@ if (process.env.DATABASE_URL) {
       if (!CG_API_KEY && envData.CG_API_KEY) {
         CG_API_KEY = envData.CG_API_KEY;
       }
+      if (!PRICE_SOURCE && envData.PRICE_SOURCE) {
+        PRICE_SOURCE = envData.PRICE_SOURCE;
+      }
+      if (!PRICE_FILE && envData.PRICE_FILE) {
+        PRICE_FILE = envData.PRICE_FILE;
+      }
 
       dbConfig = {
         user: envData.user,
@@ -59,6 +76,24 @@ if (!dbConfig) {
 const CG_VS = (process.env.CG_VS || "usd").trim();
 const pool = new Pool(dbConfig);
 
+const priceProvider = createPriceProvider({
+  source: PRICE_SOURCE,
+  apiKey: CG_API_KEY,
+  vs: CG_VS,
+  file: PRICE_FILE,
+  speed: process.env.PRICE_REPLAY_SPEED,
+  startedAt: process.env.PRICE_REPLAY_START,
+});
+console.log(`Using ${priceProvider.name} price source`);
+
+// Round recap emails (see scripts/mail.js for MAIL_TRANSPORT); links point
+// at BASE_URL like the web process's invite links
+const mailer = createMailerFromEnv();
+const APP_URL = (
+  process.env.BASE_URL || `http://localhost:${process.env.PORT || 8080}`
+).replace(/\/+$/, "");
+console.log(`Using ${mailer.transport} mail transport`);
+
 // ----------------------
 // HELPER: ENV-ONLY IDS
 // ----------------------
@@ -85,28 +120,6 @@ function getIdsFromEnv() {
   return ids;
 }
 
-// ----------------------
-// COINGECKO FETCH
-// ----------------------
-async function fetchBatch(ids) {
-  if (!ids || ids.length === 0) return {};
-
-  const url = `https://api.coingecko.com/api/v3/simple/price?ids=${encodeURIComponent(
-    ids.join(",")
-  )}&vs_currencies=${encodeURIComponent(CG_VS)}`;
-
-  const headers = {};
-  if (CG_API_KEY) headers["x-cg-demo-api-key"] = CG_API_KEY;
-
-  const r = await _fetch(url, { headers });
-  if (!r.ok) {
-    const body = await r.text().catch(() => "<no body>");
-    throw new Error(`CoinGecko ${r.status}: ${body}`);
-  }
-
-  return r.json();
-}
-
 // ----------------------
 // SINGLE TICK
 // ----------------------
@@ -119,19 +132,45 @@ async function runTickOnce() {
     return;
   }
 
-  const data = await fetchBatch(ids);
+  const data = await priceProvider.getSpotPrices(ids);
   const tsMinSql = "date_trunc('minute', now())";
+  const tickPrices = {};
 
   for (const rawId of ids) {
     const id = normalizeId(rawId);
     const symbol = id; // lowercase CoinGecko id
 
-    const price = data?.[id]?.[CG_VS];
+    const price = data[id];
     if (typeof price !== "number" || !Number.isFinite(price)) {
-      // silently skip if CG didn't return anything for this ID
+      // silently skip if the provider didn't return anything for this ID
       continue;
     }
 
+    // halt the coin if it jumped implausibly since the last tick, unless a
+    // replay just looped back to the start of its file
+    const prev = await pool.query(
+      "select price_usd, fetched_at from prices_latest where symbol = $1",
+      [symbol]
+    );
+    const previous = prev.rows[0];
+    const movePct =
+      previous && !priceProvider.restartedSince?.(previous.fetched_at)
+        ? await checkCircuitBreaker(
+            pool,
+            symbol,
+            {
+              previousPrice: previous.price_usd,
+              previousAt: previous.fetched_at,
+            },
+            price
+          )
+        : null;
+    if (movePct !== null) {
+      console.warn(
+        `Circuit breaker: ${symbol} moved ${movePct.toFixed(1)}%, trading halted`
+      );
+    }
+
     // latest
     await pool.query(
       `insert into prices_latest (symbol, price_usd, fetched_at)
@@ -148,6 +187,53 @@ async function runTickOnce() {
        on conflict do nothing`,
       [symbol, price]
     );
+
+    tickPrices[symbol] = price;
+  }
+
+  // halted coins don't fill orders or trigger liquidations
+  const statuses = await getTradingStatuses(pool, ids.map(normalizeId));
+  const halted = new Set(
+    [...statuses.values()].filter((st) => st.halted).map((st) => st.symbol)
+  );
+  const tradablePrices = Object.fromEntries(
+    Object.entries(tickPrices).filter(([sym]) => !halted.has(sym))
+  );
+
+  // fill any resting orders the new prices trigger
+  const { filled, rejected } = await matchOpenOrders(pool, tradablePrices);
+  if (filled || rejected) {
+    console.log(`Orders: ${filled} filled, ${rejected} rejected`);
+  }
+
+  // close out shorts that fell below maintenance margin
+  const liquidated = await runLiquidations(pool, tradablePrices, halted);
+  if (liquidated) {
+    console.log(`Liquidated ${liquidated} under-margined portfolio(s)`);
+  }
+
+  // notify users whose price alerts this tick set off
+  const alerted = await runAlertJob(pool, tickPrices);
+  if (alerted) {
+    console.log(`Sent ${alerted} price alert(s)`);
+  }
+
+  // store results for any league rounds that ended
+  const closedRounds = await runRoundCloseJob(pool);
+  if (closedRounds) {
+    console.log(`Closed ${closedRounds} league round(s)`);
+  }
+
+  // seed or advance playoff brackets whose previous round just closed
+  await runPlayoffJob(pool);
+
+  // roll minutes up into hourly/daily candles and prune past retention
+  const candles = await runCandleJob(pool);
+  if (candles.pruned && (candles.pruned.minutes || candles.pruned.hours)) {
+    console.log(
+      `Pruned ${candles.pruned.minutes} minute price(s) and ` +
+        `${candles.pruned.hours} hourly candle(s) past retention`
+    );
   }
 
   console.log(
@@ -163,20 +249,45 @@ async function tick() {
   }
 }
 
+// ----------------------
+// ROUND RECAP EMAILS
+// ----------------------
+// Mailing runs on its own loop so a slow mail server never holds up price
+// ticks; a run still sending when the next is due is left to finish.
+let recapRunning = false;
+
+async function recapTick() {
+  if (recapRunning) return;
+  recapRunning = true;
+  try {
+    const recaps = await runRoundRecapJob(pool, mailer, { appUrl: APP_URL });
+    if (recaps) {
+      console.log(`Sent ${recaps} round recap email(s)`);
+    }
+  } catch (err) {
+    console.error("recap error:", err.message || err);
+  } finally {
+    recapRunning = false;
+  }
+}
+
 // ----------------------
 // MAIN LOOP + SHUTDOWN
 // ----------------------
 let timer;
+let recapTimer;
 
 function start() {
   tick();
   timer = setInterval(tick, 60_000);
+  recapTimer = setInterval(recapTick, 60_000);
 }
 
 for (const sig of ["SIGINT", "SIGTERM"]) {
   process.on(sig, async () => {
     console.log(`Received ${sig}, shutting down worker...`);
     if (timer) clearInterval(timer);
+    if (recapTimer) clearInterval(recapTimer);
     try {
       await pool.end();
     } catch {
@@ -0,0 +1,333 @@
+import { normalizeLeagueSettings } from "./league_rules.js";
+import { roundQueries } from "./queries.js";
+import {
+  getScoringMethod,
+  describeScoring,
+  getRoundStats,
+  scoreMember,
+} from "./scoring.js";
+
+// League formats. HEAD_TO_HEAD is the round robin in rounds.js. The other
+// formats keep the same rounds (so the lifecycle, round-close job and
+// completion work unchanged) but have no matchups:
+//   TOTAL_RETURN  everyone is ranked on the whole season window
+//   SURVIVOR      the lowest scorer of each round is eliminated
+// Members are scored with the league's scoring method on their own.
+
+export const LEAGUE_FORMATS = {
+  HEAD_TO_HEAD: "Head-to-head",
+  TOTAL_RETURN: "Total return",
+  SURVIVOR: "Survivor",
+};
+
+export function getLeagueFormat(rawSettings) {
+  const settings = normalizeLeagueSettings(rawSettings);
+  const format = String(settings.format || "HEAD_TO_HEAD").toUpperCase();
+  return LEAGUE_FORMATS[format] ? format : "HEAD_TO_HEAD";
+}
+
+export function describeFormat(format) {
+  const key = LEAGUE_FORMATS[format] ? format : "HEAD_TO_HEAD";
+  return { format: key, label: LEAGUE_FORMATS[key] };
+}
+
+/**
+ * Validate the format field from the create-league form. Returns the
+ * settings to store, or throws an error with status 400.
+ */
+export function parseLeagueFormatInput({ format }) {
+  if (format === undefined || format === null) return {};
+  const key = String(format).toUpperCase();
+  if (key === "" || key === "HEAD_TO_HEAD") return {};
+  if (!LEAGUE_FORMATS[key]) {
+    const err = new Error(
+      `League format must be one of ${Object.keys(LEAGUE_FORMATS).join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { format: key };
+}
+
+/**
+ * Scoring method for members scored alone; ROTO needs an opponent.
+ */
+export function getMemberScoringMethod(rawSettings) {
+  const method = getScoringMethod(rawSettings);
+  return method === "ROTO" ? "PCT_RETURN" : method;
+}
+
+async function scoreMembers(db, { leagueId, userIds, start, end, method }) {
+  const scored = [];
+  for (const userId of userIds) {
+    const stats = await getRoundStats(db, {
+      method,
+      userId,
+      leagueId,
+      start,
+      end,
+    });
+    scored.push({ userId, ...stats, score: scoreMember(method, stats) });
+  }
+  return scored;
+}
+
+/**
+ * Who would go out in a survivor round: the lowest score, then the lowest
+ * end value, then the later joiner (higher user id).
+ */
+function pickEliminated(scored) {
+  if (scored.length < 2) return null;
+  const EPS = 0.0001;
+  return scored.reduce((worst, s) => {
+    if (Math.abs(s.score - worst.score) > EPS) {
+      return s.score < worst.score ? s : worst;
+    }
+    if (Math.abs(s.endValue - worst.endValue) > EPS) {
+      return s.endValue < worst.endValue ? s : worst;
+    }
+    return s.userId > worst.userId ? s : worst;
+  });
+}
+
+async function getSurvivors(db, { leagueId, members }) {
+  const { rows } = await db.query(roundQueries.getEliminatedUsers, [leagueId]);
+  const out = new Set(rows.map((r) => r.user_id));
+  return members.filter((m) => !out.has(m.id));
+}
+
+/**
+ * Store per-member results for a closing TOTAL_RETURN or SURVIVOR round,
+ * eliminating the round's lowest scorer in SURVIVOR. Called by the
+ * round-close job inside its transaction.
+ */
+export async function recordFormatRoundResults(
+  client,
+  { leagueId, format, settings, roundId, round, members }
+) {
+  const method = getMemberScoringMethod(settings);
+  const entrants =
+    format === "SURVIVOR"
+      ? await getSurvivors(client, { leagueId, members })
+      : members;
+
+  const scored = await scoreMembers(client, {
+    leagueId,
+    userIds: entrants.map((m) => m.id),
+    start: new Date(round.start),
+    end: new Date(round.end),
+    method,
+  });
+  const eliminated = format === "SURVIVOR" ? pickEliminated(scored) : null;
+
+  for (const s of scored) {
+    await client.query(roundQueries.insertRoundResult, [
+      roundId,
+      leagueId,
+      s.userId,
+      s.startValue,
+      s.endValue,
+      s.score,
+      s === eliminated,
+    ]);
+  }
+  return eliminated ? eliminated.userId : null;
+}
+
+/**
+ * Live scores for an open round, shaped like the stored round results.
+ */
+export async function scoreOpenFormatRound(
+  db,
+  { league, members, round, asOf }
+) {
+  const format = getLeagueFormat(league.settings);
+  const method = getMemberScoringMethod(league.settings);
+  const entrants =
+    format === "SURVIVOR"
+      ? await getSurvivors(db, { leagueId: league.id, members })
+      : members;
+
+  const now = asOf ? new Date(asOf) : new Date();
+  const end = new Date(round.end);
+  const scored = await scoreMembers(db, {
+    leagueId: league.id,
+    userIds: entrants.map((m) => m.id),
+    start: new Date(round.start),
+    end: now < end ? now : end,
+    method,
+  });
+  const usernames = new Map(members.map((m) => [m.id, m.username]));
+  const atRisk = format === "SURVIVOR" ? pickEliminated(scored) : null;
+
+  return scored
+    .map((s) => ({
+      userId: s.userId,
+      username: usernames.get(s.userId) || "unknown",
+      startValue: s.startValue,
+      endValue: s.endValue,
+      score: s.score,
+      eliminated: false,
+      atRisk: s === atRisk,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Stored results grouped by round index, for the schedule and round views.
+ */
+export async function getFormatRoundResults(db, { leagueId }) {
+  const { rows } = await db.query(roundQueries.getRoundResults, [leagueId]);
+  const byRound = new Map();
+  for (const r of rows) {
+    if (!byRound.has(r.round_index)) byRound.set(r.round_index, []);
+    byRound.get(r.round_index).push({
+      userId: r.user_id,
+      username: r.username || "unknown",
+      startValue: Number(r.start_value),
+      endValue: Number(r.end_value),
+      score: Number(r.score),
+      eliminated: r.eliminated,
+    });
+  }
+  return byRound;
+}
+
+/**
+ * TOTAL_RETURN standings: every member scored over the season window so far
+ * (first round start to the earlier of `asOf` and the last round end).
+ */
+async function computeTotalReturnStandings(
+  db,
+  { league, members, schedule, asOf }
+) {
+  const method = getMemberScoringMethod(league.settings);
+  const seasonStart = new Date(schedule[0].start);
+  const seasonEnd = new Date(schedule[schedule.length - 1].end);
+  const end = asOf < seasonEnd ? asOf : seasonEnd;
+  if (end <= seasonStart) {
+    return members.map((m) => ({
+      userId: m.id,
+      username: m.username,
+      startValue: null,
+      endValue: null,
+      profit: 0,
+      returnPct: 0,
+      score: 0,
+    }));
+  }
+
+  const scored = await scoreMembers(db, {
+    leagueId: league.id,
+    userIds: members.map((m) => m.id),
+    start: seasonStart,
+    end,
+    method,
+  });
+  const usernames = new Map(members.map((m) => [m.id, m.username]));
+
+  return scored
+    .map((s) => ({
+      userId: s.userId,
+      username: usernames.get(s.userId) || "unknown",
+      startValue: Number(s.startValue.toFixed(2)),
+      endValue: Number(s.endValue.toFixed(2)),
+      profit: Number(s.profit.toFixed(2)),
+      returnPct: Number(s.returnPct.toFixed(2)),
+      score: Number(s.score.toFixed(4)),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.endValue - a.endValue ||
+        a.username.localeCompare(b.username)
+    );
+}
+
+/**
+ * SURVIVOR standings from stored round results: members still in, by
+ * total score, then the eliminated, most recently knocked out first.
+ */
+async function computeSurvivorStandings(db, { league, members }) {
+  const byRound = await getFormatRoundResults(db, { leagueId: league.id });
+
+  const entries = new Map(
+    members.map((m) => [
+      m.id,
+      {
+        userId: m.id,
+        username: m.username,
+        alive: true,
+        roundsSurvived: 0,
+        eliminatedRound: null,
+        eliminatedLabel: null,
+        totalScore: 0,
+        lastScore: null,
+      },
+    ])
+  );
+
+  const { rows: rounds } = await db.query(roundQueries.getRounds, [league.id]);
+  const labels = new Map(rounds.map((r) => [r.round_index, r.label]));
+
+  for (const [roundIndex, results] of byRound) {
+    for (const r of results) {
+      const e = entries.get(r.userId);
+      if (!e) continue;
+      e.totalScore += r.score;
+      e.lastScore = r.score;
+      if (r.eliminated) {
+        e.alive = false;
+        e.eliminatedRound = roundIndex;
+        e.eliminatedLabel = labels.get(roundIndex) || null;
+      } else {
+        e.roundsSurvived += 1;
+      }
+    }
+  }
+
+  return Array.from(entries.values())
+    .map((e) => ({ ...e, totalScore: Number(e.totalScore.toFixed(4)) }))
+    .sort((a, b) => {
+      if (a.alive !== b.alive) return a.alive ? -1 : 1;
+      if (!a.alive && a.eliminatedRound !== b.eliminatedRound) {
+        return b.eliminatedRound - a.eliminatedRound;
+      }
+      return (
+        b.totalScore - a.totalScore || a.username.localeCompare(b.username)
+      );
+    });
+}
+
+/**
+ * Standings for a TOTAL_RETURN or SURVIVOR league. `schedule` is the
+ * league's schedule from getLeagueSchedule.
+ */
+export async function computeFormatStandings(
+  db,
+  { league, members, schedule, asOf }
+) {
+  const nowDate = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(nowDate.getTime())) {
+    const err = new Error("Invalid asOf timestamp");
+    err.status = 400;
+    throw err;
+  }
+
+  const format = getLeagueFormat(league.settings);
+  const scoring = describeScoring(getMemberScoringMethod(league.settings));
+
+  let standings = [];
+  if (schedule.length && format === "TOTAL_RETURN") {
+    standings = await computeTotalReturnStandings(db, {
+      league,
+      members,
+      schedule,
+      asOf: nowDate,
+    });
+  } else if (format === "SURVIVOR") {
+    standings = await computeSurvivorStandings(db, { league, members });
+  }
+
+  return { asOf: nowDate.toISOString(), format, scoring, standings };
+}
@@ -0,0 +1,144 @@
+import { priceQueries } from "./queries.js";
+
+// Trading halts. A coin can't be traded while
+//   STALE            its latest price is older than MAX_PRICE_AGE_SECONDS
+//                    (default 300), e.g. the worker is down or rate-limited
+//   CIRCUIT_BREAKER  a tick moved more than CIRCUIT_BREAKER_PCT (default 25)
+//                    from the previous one; the halt lasts
+//                    CIRCUIT_BREAKER_HALT_MINUTES (default 15)
+// Stale halts are worked out when read; breaker halts are stored in
+// price_halts by the price worker.
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function getHaltSettings() {
+  return {
+    maxPriceAgeMs: envNumber("MAX_PRICE_AGE_SECONDS", 300) * 1000,
+    breakerPct: envNumber("CIRCUIT_BREAKER_PCT", 25),
+    breakerHaltMs: envNumber("CIRCUIT_BREAKER_HALT_MINUTES", 15) * 60_000,
+  };
+}
+
+function describeAge(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 60) return `${minutes} minute(s)`;
+  return `${Math.floor(minutes / 60)} hour(s)`;
+}
+
+/**
+ * Trading status for one prices_latest row (joined to any active halt).
+ */
+function toTradingStatus(row, now, settings) {
+  const status = {
+    symbol: row.symbol,
+    price: row.price_usd == null ? null : Number(row.price_usd),
+    fetchedAt: row.fetched_at ? new Date(row.fetched_at).toISOString() : null,
+    ageSeconds: row.fetched_at
+      ? Math.max(0, Math.round((now - new Date(row.fetched_at)) / 1000))
+      : null,
+    halted: false,
+    reason: null,
+    message: null,
+    haltedUntil: null,
+  };
+
+  if (row.halted_until) {
+    const from = Number(row.previous_price);
+    const to = Number(row.trigger_price);
+    const movePct = from > 0 ? ((to - from) / from) * 100 : 0;
+    return {
+      ...status,
+      halted: true,
+      reason: "CIRCUIT_BREAKER",
+      message: `price moved ${movePct.toFixed(1)}% in one tick`,
+      haltedUntil: new Date(row.halted_until).toISOString(),
+    };
+  }
+
+  if (status.price === null) {
+    return {
+      ...status,
+      halted: true,
+      reason: "NO_PRICE",
+      message: "no current price",
+    };
+  }
+
+  const age = now - new Date(row.fetched_at);
+  if (age > settings.maxPriceAgeMs) {
+    return {
+      ...status,
+      halted: true,
+      reason: "STALE",
+      message: `price is ${describeAge(age)} old`,
+    };
+  }
+
+  return status;
+}
+
+/**
+ * Trading status per symbol, keyed by symbol.
+ */
+export async function getTradingStatuses(db, symbols, now = new Date()) {
+  const settings = getHaltSettings();
+  const { rows } = await db.query(priceQueries.getTradingStatus, [
+    symbols,
+    now.toISOString(),
+  ]);
+  return new Map(
+    rows.map((r) => [r.symbol, toTradingStatus(r, now, settings)])
+  );
+}
+
+/**
+ * Latest price for a trade, or an error with status 503 when trading in
+ * the coin is halted.
+ */
+export async function getTradablePrice(db, symbol, now = new Date()) {
+  const status = (await getTradingStatuses(db, [symbol], now)).get(symbol);
+  if (!status || status.halted) {
+    const err = new Error(
+      `trading in ${symbol} is halted: ${status?.message || "no current price"}`
+    );
+    err.status = 503;
+    err.halt = status || null;
+    throw err;
+  }
+  return status.price;
+}
+
+/**
+ * Price worker: halt `symbol` when `price` jumped too far from the previous
+ * tick's, fetched at `previousAt`. A previous price older than
+ * MAX_PRICE_AGE_SECONDS is skipped: the coin is already STALE, and after
+ * an outage the move since then is no sign of a bad tick. Returns the move
+ * in percent when the breaker trips, else null.
+ */
+export async function checkCircuitBreaker(
+  db,
+  symbol,
+  { previousPrice, previousAt },
+  price,
+  now = new Date()
+) {
+  const prev = Number(previousPrice);
+  if (!(prev > 0)) return null;
+
+  const { maxPriceAgeMs, breakerPct, breakerHaltMs } = getHaltSettings();
+  if (!previousAt || now - new Date(previousAt) > maxPriceAgeMs) return null;
+
+  const movePct = ((price - prev) / prev) * 100;
+  if (Math.abs(movePct) <= breakerPct) return null;
+
+  await db.query(priceQueries.upsertCircuitBreakerHalt, [
+    symbol,
+    prev,
+    price,
+    new Date(Date.now() + breakerHaltMs).toISOString(),
+  ]);
+  return movePct;
+}
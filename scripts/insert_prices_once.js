@@ -2,6 +2,7 @@ import { Pool } from "pg";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import fs from "node:fs";
+import { createPriceProvider } from "./price_provider.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -18,6 +19,11 @@ const pool = new Pool({
 });
 
 const CG_API_KEY = envData.CG_API_KEY || process.env.CG_API_KEY || "";
+const priceProvider = createPriceProvider({
+  source: process.env.PRICE_SOURCE || envData.PRICE_SOURCE,
+  apiKey: CG_API_KEY,
+  file: process.env.PRICE_FILE || envData.PRICE_FILE,
+});
 // Allow coin list to come from env.json (CG_IDS) or environment (CG_IDS), fallback to three coins
 const IDS = (process.env.CG_IDS || envData.CG_IDS || "bitcoin,ethereum,solana")
   .split(",")
@@ -26,25 +32,13 @@ const IDS = (process.env.CG_IDS || envData.CG_IDS || "bitcoin,ethereum,solana")
 
 async function fetchAndInsertPrices() {
   try {
-    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${IDS.join(
-      ","
-    )}&vs_currencies=usd`;
-    const headers = {};
-    if (CG_API_KEY) headers["x-cg-demo-api-key"] = CG_API_KEY;
-
-    console.log("Fetching prices from CoinGecko...");
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) {
-      throw new Error(`CoinGecko API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    console.log(`Fetching prices from ${priceProvider.name}...`);
+    const data = await priceProvider.getSpotPrices(IDS);
     console.log("Received data:", JSON.stringify(data, null, 2));
 
     for (const id of IDS) {
       const symbol = id.toUpperCase();
-      const price = data?.[id]?.usd;
+      const price = data[id];
 
       if (typeof price !== "number") {
         console.log(`No price for ${symbol}`);
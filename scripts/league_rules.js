@@ -0,0 +1,240 @@
+// League settings and the trading rules derived from them. Shared by the
+// web process and the price worker so both paths enforce the same limits.
+
+export const DEFAULT_STARTING_BALANCE = 100000;
+export const FEE_MODELS = ["NONE", "FLAT", "PERCENT", "MAKER_TAKER"];
+const MAX_SLIPPAGE = 0.05;
+const DEFAULT_INITIAL_MARGIN_PCT = 50;
+const DEFAULT_MAINTENANCE_MARGIN_PCT = 30;
+
+const FAST_SCHEDULE =
+  process.env.FAST_SCHEDULE === "1" || process.env.FAST_SCHEDULE === "true";
+
+export function normalizeLeagueSettings(rawSettings) {
+  if (!rawSettings) return {};
+  if (typeof rawSettings === "object") return rawSettings;
+  try {
+    return JSON.parse(rawSettings);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Round length for a league's matchup frequency (5 minutes for every
+ * frequency when FAST_SCHEDULE is on).
+ */
+export function getRoundIntervalMs(settings) {
+  const freq = (settings.matchupFrequency || "WEEKLY").toUpperCase();
+  if (FAST_SCHEDULE) return 5 * 60 * 1000;
+  return freq === "DAILY" ? 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000;
+}
+
+function positiveOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Resolve the trading rules from league settings. Unset rules are null,
+ * meaning "no limit"; the starting balance always has a value.
+ */
+export function getLeagueRules(rawSettings) {
+  const settings = normalizeLeagueSettings(rawSettings);
+  const maxTrades = Number(settings.maxTradesPerRound);
+  const feeModel = String(settings.feeModel || "NONE").toUpperCase();
+
+  return {
+    startingBalance:
+      positiveOrNull(settings.startingBalance) ?? DEFAULT_STARTING_BALANCE,
+    maxPositionPct: positiveOrNull(settings.maxPositionPct),
+    minTradeUsd: positiveOrNull(settings.minTradeUsd),
+    maxTradesPerRound:
+      Number.isInteger(maxTrades) && maxTrades > 0 ? maxTrades : null,
+    fees: {
+      model: FEE_MODELS.includes(feeModel) ? feeModel : "NONE",
+      flatUsd: positiveOrNull(settings.feeFlatUsd) ?? 0,
+      pct: positiveOrNull(settings.feePct) ?? 0,
+      makerPct: positiveOrNull(settings.makerFeePct) ?? 0,
+      takerPct: positiveOrNull(settings.takerFeePct) ?? 0,
+    },
+    slippageBpsPer10k: positiveOrNull(settings.slippageBpsPer10k) ?? 0,
+    shorts: {
+      enabled: settings.allowShorts === true,
+      initialMarginPct:
+        positiveOrNull(settings.initialMarginPct) ?? DEFAULT_INITIAL_MARGIN_PCT,
+      maintenanceMarginPct:
+        positiveOrNull(settings.maintenanceMarginPct) ??
+        DEFAULT_MAINTENANCE_MARGIN_PCT,
+    },
+  };
+}
+
+/**
+ * Split a fee model into a fixed part and a rate on notional, so
+ * fee = flat + rate * notional. Resting limit orders pay the maker rate;
+ * everything else is a taker.
+ */
+export function getFeeComponents(fees, liquidity = "TAKER") {
+  switch (fees.model) {
+    case "FLAT":
+      return { flat: fees.flatUsd, rate: 0 };
+    case "PERCENT":
+      return { flat: 0, rate: fees.pct / 100 };
+    case "MAKER_TAKER":
+      return {
+        flat: 0,
+        rate: (liquidity === "MAKER" ? fees.makerPct : fees.takerPct) / 100,
+      };
+    default:
+      return { flat: 0, rate: 0 };
+  }
+}
+
+/**
+ * Price impact as a fraction of price: slippageBpsPer10k basis points for
+ * every $10,000 of notional, capped at MAX_SLIPPAGE.
+ */
+export function getSlippageFraction(rules, notionalUsd) {
+  if (!rules.slippageBpsPer10k || !(notionalUsd > 0)) return 0;
+  const fraction = (rules.slippageBpsPer10k / 10000) * (notionalUsd / 10000);
+  return Math.min(fraction, MAX_SLIPPAGE);
+}
+
+/**
+ * Validate rule fields from the create-league form. Returns the settings
+ * to store, or throws an error with status 400.
+ */
+export function parseLeagueRulesInput({
+  startingBalance,
+  maxPositionPct,
+  minTradeUsd,
+  maxTradesPerRound,
+  feeModel,
+  feeFlatUsd,
+  feePct,
+  makerFeePct,
+  takerFeePct,
+  slippageBpsPer10k,
+  allowShorts,
+  initialMarginPct,
+  maintenanceMarginPct,
+}) {
+  const isSet = (v) => v !== undefined && v !== null && v !== "";
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+  };
+
+  const rules = {};
+
+  if (isSet(startingBalance)) {
+    const n = Number(startingBalance);
+    if (!Number.isFinite(n) || n < 100 || n > 1e12) {
+      throw fail("Starting balance must be between 100 and 1,000,000,000,000");
+    }
+    rules.startingBalance = n;
+  }
+
+  if (isSet(maxPositionPct)) {
+    const n = Number(maxPositionPct);
+    if (!Number.isFinite(n) || n <= 0 || n > 100) {
+      throw fail("Max position size must be between 0 and 100 percent");
+    }
+    rules.maxPositionPct = n;
+  }
+
+  if (isSet(minTradeUsd)) {
+    const n = Number(minTradeUsd);
+    if (!Number.isFinite(n) || n < 0) {
+      throw fail("Minimum trade size must be a non-negative number");
+    }
+    if (n > 0) rules.minTradeUsd = n;
+  }
+
+  if (isSet(maxTradesPerRound)) {
+    const n = Number(maxTradesPerRound);
+    if (!Number.isInteger(n) || n <= 0 || n > 10000) {
+      throw fail("Trades per round must be a positive integer");
+    }
+    rules.maxTradesPerRound = n;
+  }
+
+  if (isSet(feeModel)) {
+    const model = String(feeModel).toUpperCase();
+    if (!FEE_MODELS.includes(model)) {
+      throw fail(`Fee model must be one of ${FEE_MODELS.join(", ")}`);
+    }
+    if (model !== "NONE") rules.feeModel = model;
+  }
+
+  const percentFields = { feePct, makerFeePct, takerFeePct };
+  for (const [key, value] of Object.entries(percentFields)) {
+    if (!isSet(value)) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 10) {
+      throw fail("Fee percentages must be between 0 and 10");
+    }
+    rules[key] = n;
+  }
+
+  if (isSet(feeFlatUsd)) {
+    const n = Number(feeFlatUsd);
+    if (!Number.isFinite(n) || n < 0) {
+      throw fail("Flat fee must be a non-negative number");
+    }
+    rules.feeFlatUsd = n;
+  }
+
+  if (isSet(slippageBpsPer10k)) {
+    const n = Number(slippageBpsPer10k);
+    if (!Number.isFinite(n) || n < 0 || n > 500) {
+      throw fail("Slippage must be between 0 and 500 bps per $10,000");
+    }
+    if (n > 0) rules.slippageBpsPer10k = n;
+  }
+
+  if (allowShorts === true || allowShorts === "true") {
+    rules.allowShorts = true;
+
+    const initial = isSet(initialMarginPct)
+      ? Number(initialMarginPct)
+      : DEFAULT_INITIAL_MARGIN_PCT;
+    const maintenance = isSet(maintenanceMarginPct)
+      ? Number(maintenanceMarginPct)
+      : DEFAULT_MAINTENANCE_MARGIN_PCT;
+
+    if (!Number.isFinite(initial) || initial <= 0 || initial > 100) {
+      throw fail("Initial margin must be between 0 and 100 percent");
+    }
+    if (!Number.isFinite(maintenance) || maintenance <= 0) {
+      throw fail("Maintenance margin must be a positive percentage");
+    }
+    if (maintenance > initial) {
+      throw fail("Maintenance margin cannot exceed initial margin");
+    }
+
+    rules.initialMarginPct = initial;
+    rules.maintenanceMarginPct = maintenance;
+  }
+
+  return rules;
+}
+
+/**
+ * Start/end of the round containing `at`, counted from the season start
+ * (league creation for leagues that predate seasons).
+ */
+export function getRoundWindowAt(league, at = new Date()) {
+  const settings = normalizeLeagueSettings(league.settings);
+  const intervalMs = getRoundIntervalMs(settings);
+  const startMs = new Date(
+    league.season_start_at || league.created_at
+  ).getTime();
+  const atMs = at.getTime();
+
+  const index = Math.max(0, Math.floor((atMs - startMs) / intervalMs));
+  const start = new Date(startMs + index * intervalMs);
+  return { start, end: new Date(start.getTime() + intervalMs) };
+}
@@ -0,0 +1,100 @@
+import { marginQueries, portfolioQueries } from "./queries.js";
+import { getLeagueRules } from "./league_rules.js";
+import { executeFill } from "./execution.js";
+import { computeMarginStatus, isBelowMaintenance } from "./margin.js";
+
+// A portfolio's positions valued at `prices`, falling back to the last
+// stored price
+async function loadPositions(db, account, prices) {
+  const { rows: held } = await db.query(marginQueries.getPositions, [
+    account.user_id,
+    account.league_id,
+  ]);
+  return held.map((h) => ({
+    symbol: h.symbol,
+    qty: Number(h.qty),
+    price: prices[h.symbol] ?? Number(h.price_usd || 0),
+  }));
+}
+
+/**
+ * Buy back every short in under-margined portfolios at `prices`
+ * (symbol -> latest price). Portfolios holding a coin in `halted` are left
+ * alone until its halt lifts, since it can't be valued or traded. Called by
+ * the price worker after each tick. Returns the number of portfolios
+ * liquidated.
+ */
+export async function runLiquidations(pool, prices, halted = new Set()) {
+  const { rows: accounts } = await pool.query(
+    marginQueries.getPortfoliosWithShorts
+  );
+
+  let liquidated = 0;
+
+  for (const account of accounts) {
+    const rules = getLeagueRules(account.settings);
+
+    const positions = await loadPositions(pool, account, prices);
+    if (positions.some((p) => halted.has(p.symbol))) continue;
+    const status = computeMarginStatus(account.cash_usd, positions);
+    if (!isBelowMaintenance(status, rules)) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // The player may have traded since the check above, so lock the
+      // portfolio and check again before buying back what is still short
+      const { rows: cashRows } = await client.query(
+        portfolioQueries.getCashForUpdate,
+        [account.user_id, account.league_id]
+      );
+      const locked = cashRows.length
+        ? await loadPositions(client, account, prices)
+        : [];
+      const lockedStatus = computeMarginStatus(
+        cashRows[0]?.cash_usd ?? 0,
+        locked
+      );
+      if (
+        locked.some((p) => halted.has(p.symbol)) ||
+        !isBelowMaintenance(lockedStatus, rules)
+      ) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      for (const p of locked) {
+        if (p.qty >= 0 || !(p.price > 0)) continue;
+        await executeFill(client, {
+          userId: account.user_id,
+          leagueId: account.league_id,
+          symbol: p.symbol,
+          side: "BUY",
+          price: p.price,
+          qty: -p.qty,
+          forced: true,
+        });
+      }
+      await client.query("COMMIT");
+      liquidated++;
+      console.log(
+        `Liquidated shorts for user ${account.user_id} in league ${
+          account.league_id
+        } (equity ${lockedStatus.equity.toFixed(
+          2
+        )}, short value ${lockedStatus.shortValue.toFixed(2)})`
+      );
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error(
+        `liquidation error for user ${account.user_id} in league ${account.league_id}:`,
+        e.message || e
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  return liquidated;
+}
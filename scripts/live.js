@@ -0,0 +1,217 @@
+import { priceQueries, userQueries } from "./queries.js";
+
+// Server-Sent Events push for open pages. The price worker runs in its own
+// process, so the hub polls prices_latest while anyone is connected and,
+// when a new tick lands, broadcasts:
+//
+//   prices     { prices: [{ symbol, price_usd, fetched_at }] } to everyone
+//   portfolio  the /api/portfolio payload, per user, league and cost basis
+//              method
+//   matchups   the live round's /api/leagues/round/:i/scores payload, per
+//              league
+//
+// Portfolio and matchup events are only sent when they changed. A new
+// connection gets the current state straight away. Every poll also ends
+// streams whose session has been signed out by a password change or reset,
+// or whose account was deleted.
+
+const HEARTBEAT_MS = 25_000;
+
+function toPricesEvent(rows) {
+  return {
+    prices: rows.map((r) => ({
+      symbol: r.symbol,
+      price_usd: Number(r.price_usd),
+      fetched_at: r.fetched_at,
+    })),
+  };
+}
+
+function latestFetchedAt(rows, since) {
+  return rows.reduce(
+    (max, r) => (max && max > r.fetched_at ? max : r.fetched_at),
+    since
+  );
+}
+
+/**
+ * `loadPortfolio(userId, leagueId, { costBasis })` and
+ * `loadLiveScores(leagueId)` build the
+ * payloads (null to send nothing); they live with the routes that serve the
+ * same data.
+ */
+export function createLiveHub({
+  pool,
+  loadPortfolio,
+  loadLiveScores,
+  pollMs = 5000,
+}) {
+  const clients = new Set();
+  const lastSent = new Map();
+  let lastTickAt = null;
+  let timer = null;
+  let heartbeat = null;
+  let polling = false;
+
+  function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Send to every client matching `filter`, unless the payload for `key`
+  // is unchanged since the last send
+  function publish(key, event, data, filter) {
+    const json = JSON.stringify(data);
+    if (lastSent.get(key) === json) return;
+    lastSent.set(key, json);
+    for (const client of clients) {
+      if (filter(client))
+        client.res.write(`event: ${event}\ndata: ${json}\n\n`);
+    }
+  }
+
+  async function publishState() {
+    const users = new Map();
+    const leagues = new Set();
+    for (const c of clients) {
+      users.set(`${c.userId}|${c.leagueId}|${c.costBasis}`, c);
+      leagues.add(c.leagueId);
+    }
+
+    for (const [key, { userId, leagueId, costBasis }] of users) {
+      const portfolio = await loadPortfolio(userId, leagueId, { costBasis });
+      if (!portfolio) continue;
+      publish(
+        `portfolio|${key}`,
+        "portfolio",
+        portfolio,
+        (c) =>
+          c.userId === userId &&
+          c.leagueId === leagueId &&
+          c.costBasis === costBasis
+      );
+    }
+
+    for (const leagueId of leagues) {
+      const scores = await loadLiveScores(leagueId);
+      if (!scores) continue;
+      publish(
+        `matchups|${leagueId}`,
+        "matchups",
+        scores,
+        (c) => c.leagueId === leagueId
+      );
+    }
+  }
+
+  function drop(client) {
+    clients.delete(client);
+    client.res.end();
+    if (!clients.size) stop();
+  }
+
+  // End streams opened by a session that is no longer valid
+  async function dropSignedOut() {
+    const userIds = [...new Set([...clients].map((c) => c.userId))];
+    if (!userIds.length) return;
+    const { rows } = await pool.query(userQueries.getSessionVersions, [
+      userIds,
+    ]);
+    const versions = new Map(rows.map((r) => [r.id, r.session_version]));
+    for (const client of [...clients]) {
+      if (versions.get(client.userId) !== client.sessionVersion) drop(client);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      await dropSignedOut();
+      if (!clients.size) return;
+
+      const { rows } = await pool.query(priceQueries.getLatestPricesSince, [
+        lastTickAt,
+      ]);
+      if (!rows.length) return;
+
+      lastTickAt = latestFetchedAt(rows, lastTickAt);
+      const event = toPricesEvent(rows);
+      for (const client of clients) send(client, "prices", event);
+
+      await publishState();
+    } catch (e) {
+      console.error("live poll error:", e);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollMs);
+    // keep idle connections open through proxies
+    heartbeat = setInterval(() => {
+      for (const client of clients) client.res.write(": ping\n\n");
+    }, HEARTBEAT_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(heartbeat);
+    timer = heartbeat = null;
+    lastTickAt = null;
+    lastSent.clear();
+  }
+
+  async function sendInitialState(client) {
+    const { rows } = await pool.query(priceQueries.getLatestPricesSince, [
+      null,
+    ]);
+    send(client, "prices", toPricesEvent(rows));
+    if (!lastTickAt) lastTickAt = latestFetchedAt(rows, null);
+
+    const portfolio = await loadPortfolio(client.userId, client.leagueId, {
+      costBasis: client.costBasis,
+    });
+    if (portfolio) send(client, "portfolio", portfolio);
+    const scores = await loadLiveScores(client.leagueId);
+    if (scores) send(client, "matchups", scores);
+  }
+
+  /**
+   * Hold `res` open as an event stream for a signed-in user's active league.
+   * `costBasis` is the method their portfolio events are priced with, and
+   * `sessionVersion` the session's, so the stream ends when it is signed out.
+   */
+  async function subscribe(
+    req,
+    res,
+    { userId, leagueId, costBasis, sessionVersion }
+  ) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const client = { res, userId, leagueId, costBasis, sessionVersion };
+    clients.add(client);
+    start();
+
+    req.on("close", () => {
+      clients.delete(client);
+      if (!clients.size) stop();
+    });
+
+    try {
+      await sendInitialState(client);
+    } catch (e) {
+      console.error("live initial state error:", e);
+    }
+  }
+
+  return { subscribe };
+}
@@ -0,0 +1,370 @@
+import fs from "node:fs";
+import path from "node:path";
+import net from "node:net";
+import tls from "node:tls";
+import crypto from "node:crypto";
+
+// Outbound email behind one interface, shared by the web process and the
+// price worker. Every transport has:
+//
+//   name
+//   send({ from, to, raw })   delivers an RFC 5322 message built by
+//                             buildMimeMessage; `to` is a list of addresses
+//
+// MAIL_TRANSPORT picks the adapter: "console" logs each message, "file"
+// writes .eml files to MAIL_DIR for local testing, and "smtp" talks to
+// SMTP_HOST:SMTP_PORT, upgrading with STARTTLS when offered (or using TLS
+// from the start with SMTP_SECURE=true) and logging in with SMTP_USER /
+// SMTP_PASS when set; it never sends the login over an unencrypted
+// connection. MAIL_FROM is the sender on every message.
+//
+// Without MAIL_TRANSPORT, development uses "console". In production
+// (NODE_ENV=production) every send fails instead, since logged messages
+// would put password reset links in the server logs.
+
+export const DEFAULT_MAIL_FROM = "CryptoFantasy <no-reply@cryptofantasy.local>";
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+function mailError(message, smtpCode) {
+  const err = new Error(message);
+  if (smtpCode !== undefined) err.smtpCode = smtpCode;
+  return err;
+}
+
+// The bare address from "Name <addr>" or "addr"
+export function addressOf(mailbox) {
+  const m = /<([^>]+)>/.exec(mailbox);
+  return (m ? m[1] : mailbox).trim();
+}
+
+function assertHeaderSafe(value, name) {
+  if (/[\r\n]/.test(value)) {
+    throw mailError(`${name} must not contain line breaks`);
+  }
+  return value;
+}
+
+// RFC 2047 encoded-word for headers that aren't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+}
+
+/**
+ * A complete message with a plain text part and, when given, an HTML
+ * alternative. Returns { messageId, raw }.
+ */
+export function buildMimeMessage({
+  from,
+  to,
+  subject,
+  text,
+  html = null,
+  date = new Date(),
+}) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const domain = addressOf(from).split("@")[1] || "localhost";
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${assertHeaderSafe(from, "From")}`,
+    `To: ${recipients.map((r) => assertHeaderSafe(r, "To")).join(", ")}`,
+    `Subject: ${encodeHeader(assertHeaderSafe(subject, "Subject"))}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ];
+
+  const textPart = [
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(text),
+  ].join("\r\n");
+
+  // A single text part carries its own Content-Type headers
+  let body = textPart;
+  if (html !== null) {
+    const boundary = `cf-${crypto.randomBytes(12).toString("hex")}`;
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      "",
+      `--${boundary}`,
+      textPart,
+      `--${boundary}`,
+      "Content-Type: text/html; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      base64Body(html),
+      `--${boundary}--`,
+      "",
+    ].join("\r\n");
+  }
+
+  return { messageId, raw: `${headers.join("\r\n")}\r\n${body}` };
+}
+
+// ----------------------
+// SMTP
+// ----------------------
+
+// Collects multi-line SMTP replies ("250-..." continuation lines, then
+// "250 ...") from whichever socket is attached, one reply per next()
+function createReplyReader() {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function deliver(reply) {
+    if (waiting.length) waiting.shift().resolve(reply);
+    else replies.push(reply);
+  }
+
+  function fail(err) {
+    failure = failure || err;
+    while (waiting.length) waiting.shift().reject(failure);
+  }
+
+  return {
+    attach(socket) {
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        let i;
+        while ((i = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+          lines.push(line.slice(4));
+          if (line.length < 4 || line[3] === " ") {
+            deliver({ code: Number(line.slice(0, 3)), lines });
+            lines = [];
+          }
+        }
+      });
+      socket.on("error", fail);
+      socket.on("close", () => fail(mailError("SMTP connection closed")));
+    },
+
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) =>
+        waiting.push({ resolve, reject })
+      );
+    },
+  };
+}
+
+function connectSocket({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgradeSocket(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () =>
+      resolve(secured)
+    );
+    secured.once("error", reject);
+  });
+}
+
+export function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  user = null,
+  pass = null,
+  clientName = "localhost",
+} = {}) {
+  if (!host) throw new Error("SMTP_HOST is required for the smtp transport");
+  const portNumber = Number(port);
+  const useTls = secure === true || secure === "true";
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, raw }) {
+      let socket = await connectSocket({
+        host,
+        port: portNumber,
+        secure: useTls,
+      });
+      socket.setTimeout(SMTP_TIMEOUT_MS, () =>
+        socket.destroy(mailError("SMTP timeout"))
+      );
+      let reader = createReplyReader();
+      reader.attach(socket);
+
+      async function command(line, expected) {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+          throw mailError(
+            `SMTP ${reply.code}: ${reply.lines.join(" ")}`,
+            reply.code
+          );
+        }
+        return reply;
+      }
+
+      try {
+        await command(null, [220]);
+        const ehlo = await command(`EHLO ${clientName}`, [250]);
+
+        const offersStartTls = ehlo.lines.some((l) => /^STARTTLS\b/i.test(l));
+        let encrypted = useTls;
+        if (!useTls && offersStartTls) {
+          await command("STARTTLS", [220]);
+          socket = await upgradeSocket(socket, host);
+          reader = createReplyReader();
+          reader.attach(socket);
+          await command(`EHLO ${clientName}`, [250]);
+          encrypted = true;
+        }
+
+        if (user) {
+          // A server (or anyone in between) that doesn't offer STARTTLS
+          // doesn't get the password in cleartext
+          if (!encrypted) {
+            throw mailError(
+              "SMTP server did not offer STARTTLS; refusing to log in over an unencrypted connection"
+            );
+          }
+          const token = Buffer.from(`\0${user}\0${pass || ""}`).toString(
+            "base64"
+          );
+          await command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+        for (const rcpt of to) {
+          await command(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251]);
+        }
+        await command("DATA", [354]);
+
+        // Lines starting with "." are doubled so they can't end the data
+        const data = raw.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+        await command(`${data}\r\n.`, [250]);
+        await command("QUIT", [221]).catch(() => {});
+      } finally {
+        socket.end();
+      }
+    },
+  };
+}
+
+// ----------------------
+// FILE / CONSOLE
+// ----------------------
+export function createFileTransport({ dir = "mail" } = {}) {
+  return {
+    name: "file",
+
+    async send({ raw }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`
+      );
+      await fs.promises.writeFile(file, raw);
+    },
+  };
+}
+
+// Production without MAIL_TRANSPORT: fail every send rather than guess
+function createUnconfiguredTransport() {
+  return {
+    name: "unconfigured",
+
+    async send() {
+      throw mailError("Mail is not configured; set MAIL_TRANSPORT");
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send({ to, subject, text }) {
+      console.log(`[mail] to ${to.join(", ")}: ${subject}\n${text}`);
+    },
+  };
+}
+
+const ADAPTERS = {
+  console: () => createConsoleTransport(),
+  file: (options) => createFileTransport(options),
+  smtp: (options) => createSmtpTransport(options),
+};
+
+export function createMailTransport({ transport, ...options } = {}) {
+  const key = String(transport || "console")
+    .trim()
+    .toLowerCase();
+  const factory = ADAPTERS[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${transport}" (expected ${Object.keys(
+        ADAPTERS
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+}
+
+/**
+ * A mailer over `transport`: send(to, { subject, text, html }) builds the
+ * message from a template's output and delivers it.
+ */
+export function createMailer({ transport, from = DEFAULT_MAIL_FROM }) {
+  return {
+    transport: transport.name,
+
+    async send(to, { subject, text, html = null }) {
+      const recipients = Array.isArray(to) ? to : [to];
+      const { messageId, raw } = buildMimeMessage({
+        from,
+        to: recipients,
+        subject,
+        text,
+        html,
+      });
+      await transport.send({ from, to: recipients, subject, text, raw });
+      return messageId;
+    },
+  };
+}
+
+/**
+ * The mailer configured by MAIL_TRANSPORT and friends (see above).
+ */
+export function createMailerFromEnv(env = process.env) {
+  if (!env.MAIL_TRANSPORT && env.NODE_ENV === "production") {
+    console.error("MAIL_TRANSPORT is not set; no email will be sent");
+    return createMailer({ transport: createUnconfiguredTransport() });
+  }
+  const transport = createMailTransport({
+    transport: env.MAIL_TRANSPORT,
+    dir: env.MAIL_DIR,
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+  });
+  return createMailer({ transport, from: env.MAIL_FROM || DEFAULT_MAIL_FROM });
+}
@@ -0,0 +1,193 @@
+// Subject, plain text and HTML for each email the app sends. The HTML is a
+// single centered card with inline styles, which is about all mail clients
+// reliably render.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#0f1724;font-family:system-ui,-apple-system,sans-serif;color:#e6eef8">
+  <div style="max-width:520px;margin:0 auto;background:#1e293b;border-radius:12px;padding:24px">
+    <h1 style="margin:0 0 16px;font-size:20px;color:#a78bfa">${escapeHtml(
+      title
+    )}</h1>
+    ${bodyHtml}
+    <p style="margin:24px 0 0;font-size:12px;color:#64748b">CryptoFantasy</p>
+  </div>
+</body>
+</html>`;
+}
+
+function button(url, label) {
+  return `<p style="margin:20px 0"><a href="${escapeHtml(
+    url
+  )}" style="display:inline-block;padding:10px 18px;border-radius:8px;background:#7c3aed;color:#fff;text-decoration:none;font-weight:600">${escapeHtml(
+    label
+  )}</a></p>`;
+}
+
+function paragraph(text) {
+  return `<p style="margin:0 0 12px;line-height:1.5">${escapeHtml(text)}</p>`;
+}
+
+function formatScore(score, unit) {
+  const n = Number(score);
+  if (!Number.isFinite(n)) return "-";
+  if (unit === "USD") return `$${n.toFixed(2)}`;
+  if (unit === "%") return `${n.toFixed(2)}%`;
+  return `${n.toFixed(2)} ${unit}`;
+}
+
+/**
+ * An invite to join a league by its invite link.
+ */
+export function leagueInviteEmail({ inviterName, leagueName, inviteUrl }) {
+  const subject = `${inviterName} invited you to ${leagueName} on CryptoFantasy`;
+  const intro = `${inviterName} wants you to join their fantasy crypto league "${leagueName}". Everyone starts with the same balance; the best trader wins.`;
+  return {
+    subject,
+    text: `${intro}\n\nJoin the league: ${inviteUrl}\n`,
+    html: layout(
+      `You're invited to ${leagueName}`,
+      paragraph(intro) + button(inviteUrl, "Join the league")
+    ),
+  };
+}
+
+/**
+ * A member's recap of a closed round, from the round scores payload
+ * (see getRoundScores in rounds.js).
+ */
+export function roundRecapEmail({ username, userId, payload, leagueUrl }) {
+  const { league, round, scoring } = payload;
+  const lines = [];
+
+  const mine = payload.matchups.find(
+    (m) =>
+      m.type === "HEAD_TO_HEAD" &&
+      (m.homeUserId === userId || m.awayUserId === userId)
+  );
+  if (mine) {
+    const isHome = mine.homeUserId === userId;
+    const me = isHome ? mine.score.home : mine.score.away;
+    const them = isHome ? mine.score.away : mine.score.home;
+    const opponent = isHome ? mine.awayDisplayName : mine.homeDisplayName;
+    const outcome =
+      mine.score.winnerUserId == null
+        ? "tied"
+        : mine.score.winnerUserId === userId
+        ? "won"
+        : "lost";
+    const tiebreak = mine.score.tiebreak ? " (tied; seed tiebreak)" : "";
+    lines.push(
+      `You ${outcome} against ${opponent}: ${formatScore(
+        me.score,
+        scoring.unit
+      )} to ${formatScore(them.score, scoring.unit)}${tiebreak}.`
+    );
+  } else if (payload.matchups.some((m) => m.byeUserId === userId)) {
+    lines.push("You had a bye this round.");
+  }
+
+  // Formats without matchups: where the member placed
+  const ranking = payload.results || [];
+  const place = ranking.findIndex((r) => r.userId === userId);
+  if (place >= 0) {
+    const entry = ranking[place];
+    lines.push(
+      `You placed ${place + 1} of ${ranking.length} with ${formatScore(
+        entry.score,
+        scoring.unit
+      )}.`
+    );
+    if (entry.eliminated) lines.push("You were eliminated this round.");
+  }
+
+  const others = payload.matchups
+    .filter((m) => m.type === "HEAD_TO_HEAD" && m !== mine)
+    .map(
+      (m) =>
+        `${m.homeDisplayName} ${formatScore(
+          m.score.home.score,
+          scoring.unit
+        )} - ${formatScore(m.score.away.score, scoring.unit)} ${
+          m.awayDisplayName
+        }`
+    );
+  const standings = ranking.map(
+    (r, i) => `${i + 1}. ${r.username} ${formatScore(r.score, scoring.unit)}`
+  );
+  const table = others.length ? others : standings;
+  const tableTitle = others.length ? "Around the league" : "Round standings";
+
+  const subject = `${league.name}: ${round.label} recap`;
+  const greeting = `Hi ${username}, ${round.label} of ${league.name} is over (scored by ${scoring.label}).`;
+
+  return {
+    subject,
+    text: [
+      greeting,
+      "",
+      ...lines,
+      ...(table.length ? ["", `${tableTitle}:`, ...table] : []),
+      "",
+      `See the full results: ${leagueUrl}`,
+      "",
+    ].join("\n"),
+    html: layout(
+      `${round.label} recap`,
+      paragraph(greeting) +
+        lines.map(paragraph).join("") +
+        (table.length
+          ? `<h2 style="margin:16px 0 8px;font-size:15px;color:#e6eef8">${escapeHtml(
+              tableTitle
+            )}</h2><ul style="margin:0;padding-left:18px;color:#cbd5e1">${table
+              .map((row) => `<li>${escapeHtml(row)}</li>`)
+              .join("")}</ul>`
+          : "") +
+        button(leagueUrl, "See the full results")
+    ),
+  };
+}
+
+/**
+ * A link to choose a new password, valid for `expiresMinutes`.
+ */
+export function passwordResetEmail({ username, resetUrl, expiresMinutes }) {
+  const intro = `Hi ${username}, someone (hopefully you) asked to reset the password for your CryptoFantasy account.`;
+  const expiry = `The link works once and expires in ${expiresMinutes} minutes. If you didn't ask for this you can ignore this email; your password won't change.`;
+  return {
+    subject: "Reset your CryptoFantasy password",
+    text: `${intro}\n\nChoose a new password: ${resetUrl}\n\n${expiry}\n`,
+    html: layout(
+      "Reset your password",
+      paragraph(intro) +
+        button(resetUrl, "Choose a new password") +
+        paragraph(expiry)
+    ),
+  };
+}
+
+/**
+ * A link to confirm the address on a new account.
+ */
+export function emailVerificationEmail({ username, verifyUrl, expiresHours }) {
+  const intro = `Welcome to CryptoFantasy, ${username}! Confirm this is your email address to start joining leagues.`;
+  const expiry = `The link expires in ${expiresHours} hours. If you didn't sign up you can ignore this email.`;
+  return {
+    subject: "Confirm your CryptoFantasy email",
+    text: `${intro}\n\nConfirm your email: ${verifyUrl}\n\n${expiry}\n`,
+    html: layout(
+      "Confirm your email",
+      paragraph(intro) + button(verifyUrl, "Confirm email") + paragraph(expiry)
+    ),
+  };
+}
@@ -0,0 +1,37 @@
+// Margin accounting for leagues with short selling. A short is a holding
+// with negative qty: the sale proceeds sit in cash and the borrowed coins
+// are owed back at the current price.
+
+/**
+ * Value a set of positions ({ qty, price }). shortValue is the (positive)
+ * cost of buying back every borrowed coin; equity is what the account is
+ * worth after doing so.
+ */
+export function computeMarginStatus(cash, positions) {
+  let longValue = 0;
+  let shortValue = 0;
+
+  for (const p of positions) {
+    const value = Number(p.qty) * Number(p.price || 0);
+    if (value >= 0) longValue += value;
+    else shortValue -= value;
+  }
+
+  return {
+    cash: Number(cash),
+    longValue,
+    shortValue,
+    equity: Number(cash) + longValue - shortValue,
+  };
+}
+
+/**
+ * True when a portfolio has shorts and its equity has fallen below the
+ * league's maintenance margin on them.
+ */
+export function isBelowMaintenance(status, rules) {
+  if (status.shortValue <= 0) return false;
+  const required =
+    (rules.shorts.maintenanceMarginPct / 100) * status.shortValue;
+  return status.equity < required;
+}
@@ -0,0 +1,163 @@
+import { notificationQueries, leagueQueries } from "./queries.js";
+
+// The in-app inbox behind the topbar bell. Anything that wants to tell a
+// player something (price alerts from the worker, league events from the
+// web process) writes a row here with createNotification. Players can
+// switch each type off; a switched-off type is never stored.
+
+export const NOTIFICATION_TYPES = {
+  PRICE_ALERT: "Price alerts",
+  ROUND_RESULT: "Round results",
+  LEAGUE_JOIN: "New league members",
+  LEAGUE_UPDATE: "League changes",
+  SEASON_COMPLETE: "Season results",
+  // not an inbox notification: the recap email after each round
+  ROUND_RECAP_EMAIL: "Round recap emails",
+};
+
+export const DEFAULT_NOTIFICATION_LIMIT = 20;
+export const MAX_NOTIFICATION_LIMIT = 100;
+
+function toNotification(r) {
+  return {
+    id: String(r.id),
+    type: r.type,
+    title: r.title,
+    body: r.body,
+    link: r.link,
+    data: r.data,
+    read: r.read_at !== null,
+    created_at: new Date(r.created_at).toISOString(),
+  };
+}
+
+/**
+ * Add a notification to a user's inbox. `link` is a page path to open
+ * from the notification; `data` is stored as JSON for the client. Returns
+ * the new id, or null if the user has switched `type` off.
+ */
+export async function createNotification(
+  db,
+  { userId, type, title, body = null, link = null, data = null }
+) {
+  const { rows } = await db.query(notificationQueries.createNotification, [
+    userId,
+    type,
+    title,
+    body,
+    link,
+    data === null ? null : JSON.stringify(data),
+  ]);
+  return rows.length ? String(rows[0].id) : null;
+}
+
+/**
+ * Send the same notification to several users. Returns how many were
+ * stored.
+ */
+export async function notifyUsers(db, userIds, notification) {
+  let sent = 0;
+  for (const userId of userIds) {
+    if (await createNotification(db, { ...notification, userId })) sent++;
+  }
+  return sent;
+}
+
+/**
+ * Send a notification to every member of a league, optionally leaving
+ * out one user (usually whoever caused the event).
+ */
+export async function notifyLeagueMembers(
+  db,
+  leagueId,
+  notification,
+  { exceptUserId = null } = {}
+) {
+  const { rows: members } = await db.query(leagueQueries.getLeagueMembers, [
+    leagueId,
+  ]);
+  const userIds = members.map((m) => m.id).filter((id) => id !== exceptUserId);
+  return notifyUsers(db, userIds, {
+    ...notification,
+    data: { leagueId: String(leagueId), ...notification.data },
+  });
+}
+
+/**
+ * A page of a user's notifications, newest first, with their unread count.
+ * `before` is the id of the oldest notification already shown.
+ */
+export async function listNotifications(
+  db,
+  userId,
+  { before = null, limit = DEFAULT_NOTIFICATION_LIMIT } = {}
+) {
+  if (before !== null && !/^\d+$/.test(String(before))) {
+    const err = new Error("Invalid before id");
+    err.status = 400;
+    throw err;
+  }
+
+  const [{ rows }, unread] = await Promise.all([
+    db.query(notificationQueries.listNotifications, [userId, before, limit]),
+    getUnreadCount(db, userId),
+  ]);
+  return { notifications: rows.map(toNotification), unread };
+}
+
+export async function getUnreadCount(db, userId) {
+  const { rows } = await db.query(notificationQueries.getUnreadCount, [userId]);
+  return rows[0].unread;
+}
+
+/**
+ * Mark one notification read. False if it isn't the user's or was
+ * already read.
+ */
+export async function markNotificationRead(db, userId, id) {
+  if (!/^\d+$/.test(String(id))) return false;
+  const res = await db.query(notificationQueries.markRead, [id, userId]);
+  return res.rowCount > 0;
+}
+
+export async function markAllNotificationsRead(db, userId) {
+  const res = await db.query(notificationQueries.markAllRead, [userId]);
+  return res.rowCount;
+}
+
+/**
+ * Every notification type with whether the user gets it.
+ */
+export async function getNotificationPreferences(db, userId) {
+  const { rows } = await db.query(notificationQueries.getPreferences, [userId]);
+  const enabled = new Map(rows.map((r) => [r.type, r.enabled]));
+  return Object.entries(NOTIFICATION_TYPES).map(([type, label]) => ({
+    type,
+    label,
+    enabled: enabled.get(type) ?? true,
+  }));
+}
+
+/**
+ * Switch notification types on or off from `{ TYPE: boolean }`. Types
+ * left out keep their setting.
+ */
+export async function updateNotificationPreferences(db, userId, changes) {
+  const entries = Object.entries(changes || {});
+  for (const [type, enabled] of entries) {
+    if (!NOTIFICATION_TYPES[type] || typeof enabled !== "boolean") {
+      const err = new Error(
+        `Preferences must map ${Object.keys(NOTIFICATION_TYPES).join(
+          ", "
+        )} to true or false`
+      );
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  for (const [type, enabled] of entries) {
+    await db.query(notificationQueries.setPreference, [userId, type, enabled]);
+  }
+  return getNotificationPreferences(db, userId);
+}
@@ -0,0 +1,108 @@
+import { orderQueries } from "./queries.js";
+import { executeFill } from "./execution.js";
+
+// Resting orders (limit / stop-loss / take-profit) and the matcher that
+// fills them. The price worker calls matchOpenOrders after every tick.
+
+export const ORDER_TYPES = ["LIMIT", "STOP_LOSS", "TAKE_PROFIT"];
+
+/**
+ * Validate an order type/side pair. Stop-loss and take-profit only make
+ * sense for exiting a position, so they are SELL-only.
+ */
+export function validateOrderType(orderType, side) {
+  const type = String(orderType || "").toUpperCase();
+  if (!ORDER_TYPES.includes(type)) return null;
+  if (type !== "LIMIT" && side !== "SELL") return null;
+  return type;
+}
+
+/**
+ * LIMIT BUY fills at or below the trigger, LIMIT SELL at or above.
+ * STOP_LOSS fires when price drops to the trigger, TAKE_PROFIT when it rises.
+ */
+export function isOrderTriggered(order, price) {
+  const px = Number(price);
+  const trigger = Number(order.trigger_price);
+  if (!Number.isFinite(px) || !Number.isFinite(trigger)) return false;
+
+  switch (order.order_type) {
+    case "LIMIT":
+      return order.side === "BUY" ? px <= trigger : px >= trigger;
+    case "STOP_LOSS":
+      return px <= trigger;
+    case "TAKE_PROFIT":
+      return px >= trigger;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Fill every open order whose trigger is satisfied by `prices`
+ * (symbol -> latest price). Each order runs in its own transaction so one
+ * rejection doesn't hold up the rest. Returns { filled, rejected }.
+ */
+export async function matchOpenOrders(pool, prices) {
+  const symbols = Object.keys(prices || {});
+  if (!symbols.length) return { filled: 0, rejected: 0 };
+
+  const { rows: openOrders } = await pool.query(
+    orderQueries.getOpenOrdersForSymbols,
+    [symbols]
+  );
+
+  let filled = 0;
+  let rejected = 0;
+
+  for (const order of openOrders) {
+    const price = prices[order.symbol];
+    if (!isOrderTriggered(order, price)) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // Another matcher (or a cancel) may have claimed it already
+      const lock = await client.query(orderQueries.lockOpenOrder, [order.id]);
+      if (!lock.rows.length) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      try {
+        const fill = await executeFill(client, {
+          userId: order.user_id,
+          leagueId: order.league_id,
+          symbol: order.symbol,
+          side: order.side,
+          price,
+          amountUsd: order.amount_usd,
+          qty: order.qty,
+          // resting limits add liquidity; stops fire as market orders
+          liquidity: order.order_type === "LIMIT" ? "MAKER" : "TAKER",
+          // stops only ever close a long, never open a short
+          reduceOnly: order.order_type !== "LIMIT",
+        });
+        await client.query(orderQueries.markFilled, [order.id, fill.tradeId]);
+        await client.query("COMMIT");
+        filled++;
+      } catch (e) {
+        if (!e.status) throw e;
+        // Business-rule failure (no cash, nothing to sell): close the order
+        await client.query("ROLLBACK");
+        await client.query(orderQueries.markRejected, [order.id, e.message]);
+        rejected++;
+      }
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error(`order ${order.id} match error:`, e.message || e);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { filled, rejected };
+}
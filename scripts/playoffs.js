@@ -0,0 +1,379 @@
+import { leagueQueries, roundQueries } from "./queries.js";
+import { normalizeLeagueSettings, getRoundIntervalMs } from "./league_rules.js";
+import { getLeagueFormat } from "./formats.js";
+import {
+  computeLeagueStandings,
+  insertRound,
+  withLeagueLock,
+} from "./rounds.js";
+
+// Optional single-elimination playoffs after the regular season. Seeds come
+// from the regular-season standings; each playoff round is written when the
+// previous one closes, pairing winners by bracket slot. With the consolation
+// ladder on, first-round losers play their own re-seeded knockout alongside.
+
+export const MAX_PLAYOFF_SEEDS = 16;
+
+export function getPlayoffSettings(rawSettings) {
+  const settings = normalizeLeagueSettings(rawSettings);
+  const seeds = Number(settings.playoffSeeds);
+  // Brackets need head-to-head matchups
+  const enabled =
+    Number.isInteger(seeds) &&
+    seeds >= 2 &&
+    getLeagueFormat(settings) === "HEAD_TO_HEAD";
+
+  return {
+    enabled,
+    seeds: enabled ? Math.min(seeds, MAX_PLAYOFF_SEEDS) : 0,
+    consolation: enabled && settings.playoffConsolation === true,
+    frequency: String(
+      settings.playoffFrequency || settings.matchupFrequency || "WEEKLY"
+    ).toUpperCase(),
+  };
+}
+
+/**
+ * Validate playoff fields from the create-league form. Returns the settings
+ * to store (empty when playoffs are off), or throws an error with status 400.
+ */
+export function parsePlayoffSettingsInput({
+  playoffSeeds,
+  playoffConsolation,
+  playoffFrequency,
+}) {
+  const seeds = Number(playoffSeeds || 0);
+  if (seeds === 0) return {};
+  if (!Number.isInteger(seeds) || seeds < 2 || seeds > MAX_PLAYOFF_SEEDS) {
+    const err = new Error(
+      `Playoff seeds must be between 2 and ${MAX_PLAYOFF_SEEDS}`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  const freq = String(playoffFrequency || "").toUpperCase();
+
+  return {
+    playoffSeeds: seeds,
+    playoffConsolation:
+      playoffConsolation === true || playoffConsolation === "true",
+    ...(freq === "DAILY" || freq === "WEEKLY"
+      ? { playoffFrequency: freq }
+      : {}),
+  };
+}
+
+/**
+ * Seed order for a bracket of `size` (a power of two), arranged so that
+ * adjacent slots meet in the next round: 8 -> [1, 8, 4, 5, 2, 7, 3, 6].
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+function roundLabel(entrants) {
+  if (entrants <= 2) return "Final";
+  if (entrants <= 4) return "Semifinals";
+  if (entrants <= 8) return "Quarterfinals";
+  return `Playoffs (${entrants} left)`;
+}
+
+function pairing(bracket, slot, a, b) {
+  if (!b) {
+    return {
+      bracket,
+      slot,
+      byeUserId: a.userId,
+      byeSeed: a.seed,
+    };
+  }
+  const [home, away] = a.seed <= b.seed ? [a, b] : [b, a];
+  return {
+    bracket,
+    slot,
+    homeUserId: home.userId,
+    awayUserId: away.userId,
+    homeSeed: home.seed,
+    awaySeed: away.seed,
+  };
+}
+
+function firstRoundMatchups(seeded) {
+  let size = 2;
+  while (size < seeded.length) size *= 2;
+  const order = bracketOrder(size);
+
+  const matchups = [];
+  for (let i = 0; i < size / 2; i++) {
+    const a = seeded[order[2 * i] - 1];
+    const b = seeded[order[2 * i + 1] - 1];
+    matchups.push(pairing("CHAMPIONSHIP", i, a, b));
+  }
+  return matchups;
+}
+
+function winnerOf(m) {
+  if (m.bye_user_id != null) return { userId: m.bye_user_id, seed: m.bye_seed };
+  const home = { userId: m.home_user_id, seed: m.home_seed };
+  const away = { userId: m.away_user_id, seed: m.away_seed };
+  if (home.userId == null && away.userId == null) return null;
+  if (away.userId == null) return home;
+  if (home.userId == null) return away;
+  return m.winner_user_id === away.userId ? away : home;
+}
+
+function loserOf(m) {
+  if (m.bye_user_id != null) return null;
+  if (m.home_user_id == null || m.away_user_id == null) return null;
+  return m.winner_user_id === m.away_user_id
+    ? { userId: m.home_user_id, seed: m.home_seed }
+    : { userId: m.away_user_id, seed: m.away_seed };
+}
+
+/**
+ * Pair the next round from a closed playoff round's matchup rows. Returns
+ * null when the championship is decided.
+ */
+function nextRoundMatchups(prevMatchups, { consolation, isFirstRound }) {
+  const bySlot = (a, b) => a.slot - b.slot;
+  const champ = prevMatchups.filter((m) => m.bracket === "CHAMPIONSHIP");
+  const winners = champ.sort(bySlot).map(winnerOf).filter(Boolean);
+  if (winners.length <= 1) return null;
+
+  const matchups = [];
+  for (let i = 0; i < winners.length; i += 2) {
+    matchups.push(pairing("CHAMPIONSHIP", i / 2, winners[i], winners[i + 1]));
+  }
+
+  if (consolation) {
+    const ladder = prevMatchups
+      .filter((m) => m.bracket === "CONSOLATION")
+      .sort(bySlot)
+      .map(winnerOf)
+      .filter(Boolean);
+    if (isFirstRound) ladder.push(...champ.map(loserOf).filter(Boolean));
+
+    // Re-seed each round: best remaining seed plays the worst, and sits
+    // out when the count is odd
+    ladder.sort((a, b) => a.seed - b.seed);
+    if (ladder.length >= 2) {
+      let slot = 0;
+      if (ladder.length % 2 === 1) {
+        matchups.push(pairing("CONSOLATION", slot++, ladder.shift()));
+      }
+      while (ladder.length) {
+        matchups.push(
+          pairing("CONSOLATION", slot++, ladder.shift(), ladder.pop())
+        );
+      }
+    }
+  }
+
+  return matchups;
+}
+
+function summarizeStages(rows) {
+  const byStage = Object.fromEntries(rows.map((r) => [r.stage, r]));
+  const regular = byStage.REGULAR;
+  const playoff = byStage.PLAYOFF;
+  return {
+    regularRounds: Number(regular?.round_count || 0),
+    regularClosed: Number(regular?.closed_count || 0),
+    playoffRounds: Number(playoff?.round_count || 0),
+    lastIndex: Math.max(
+      Number(regular?.last_index || 0),
+      Number(playoff?.last_index || 0)
+    ),
+  };
+}
+
+function buildPlayoffRound({ roundIndex, settings, matchups, now }) {
+  const start = now ? new Date(now) : new Date();
+  const intervalMs = getRoundIntervalMs({
+    matchupFrequency: settings.frequency,
+  });
+  const entrants =
+    matchups.filter((m) => m.bracket === "CHAMPIONSHIP").length * 2;
+
+  return {
+    roundIndex,
+    label: roundLabel(entrants),
+    stage: "PLAYOFF",
+    start: start.toISOString(),
+    end: new Date(start.getTime() + intervalMs - 1).toISOString(),
+    matchups,
+  };
+}
+
+/**
+ * Seed the bracket once every regular-season round has closed, and write
+ * the next playoff round once the current one has. Safe to call repeatedly;
+ * returns the round it wrote, if any.
+ */
+export async function updatePlayoffs(pool, { league, members, now }) {
+  const settings = getPlayoffSettings(league.settings);
+  if (!settings.enabled || league.status !== "ACTIVE") return null;
+
+  return withLeagueLock(pool, league.id, async (client) => {
+    const { rows: stageRows } = await client.query(
+      roundQueries.getStageSummary,
+      [league.id]
+    );
+    const summary = summarizeStages(stageRows);
+    if (!summary.regularRounds) return null;
+    if (summary.regularClosed < summary.regularRounds) return null;
+
+    let matchups;
+
+    if (!summary.playoffRounds) {
+      const { standings } = await computeLeagueStandings(client, {
+        leagueId: league.id,
+        members,
+      });
+      const seeded = standings
+        .slice(0, settings.seeds)
+        .map((s, i) => ({ userId: s.userId, seed: i + 1 }));
+      if (seeded.length < 2) return null;
+
+      matchups = firstRoundMatchups(seeded);
+    } else {
+      const [roundRes, matchupRes] = await Promise.all([
+        client.query(roundQueries.getRounds, [league.id]),
+        client.query(roundQueries.getMatchups, [league.id]),
+      ]);
+      const playoffRounds = roundRes.rows.filter((r) => r.stage === "PLAYOFF");
+      const latest = playoffRounds[playoffRounds.length - 1];
+      if (latest.status !== "CLOSED") return null;
+
+      matchups = nextRoundMatchups(
+        matchupRes.rows.filter((m) => String(m.round_id) === String(latest.id)),
+        {
+          consolation: settings.consolation,
+          isFirstRound: playoffRounds.length === 1,
+        }
+      );
+      if (!matchups) return null;
+    }
+
+    const round = buildPlayoffRound({
+      roundIndex: summary.lastIndex + 1,
+      settings,
+      matchups,
+      now,
+    });
+    await insertRound(client, league.id, round);
+    return round;
+  });
+}
+
+/**
+ * The playoff bracket as stored: rounds with their matchups, plus the
+ * champion and consolation winner once decided.
+ */
+export async function getPlayoffBracket(db, { league }) {
+  const settings = getPlayoffSettings(league.settings);
+
+  const [roundRes, matchupRes] = await Promise.all([
+    db.query(roundQueries.getRounds, [league.id]),
+    db.query(roundQueries.getMatchups, [league.id]),
+  ]);
+  const rounds = roundRes.rows.filter((r) => r.stage === "PLAYOFF");
+
+  const byRound = new Map();
+  for (const m of matchupRes.rows) {
+    const key = String(m.round_id);
+    if (!byRound.has(key)) byRound.set(key, []);
+    byRound.get(key).push(m);
+  }
+
+  let championUserId = null;
+  let consolationWinnerUserId = null;
+
+  const bracketRounds = rounds.map((r) => {
+    const rows = (byRound.get(String(r.id)) || []).sort(
+      (a, b) => a.slot - b.slot
+    );
+    const closed = r.status === "CLOSED";
+
+    const champ = rows.filter((m) => m.bracket === "CHAMPIONSHIP");
+    if (closed && champ.length === 1 && champ[0].bye_user_id == null) {
+      championUserId = winnerOf(champ[0])?.userId ?? null;
+    }
+    const consolation = rows.filter((m) => m.bracket === "CONSOLATION");
+    if (
+      closed &&
+      consolation.length === 1 &&
+      consolation[0].bye_user_id == null
+    ) {
+      consolationWinnerUserId = winnerOf(consolation[0])?.userId ?? null;
+    }
+
+    return {
+      roundIndex: r.round_index,
+      label: r.label,
+      start: new Date(r.start_at).toISOString(),
+      end: new Date(r.end_at).toISOString(),
+      status: r.status,
+      matchups: rows.map((m) => ({
+        bracket: m.bracket,
+        slot: m.slot,
+        homeUserId: m.home_user_id,
+        homeUsername: m.home_username,
+        homeSeed: m.home_seed,
+        awayUserId: m.away_user_id,
+        awayUsername: m.away_username,
+        awaySeed: m.away_seed,
+        byeUserId: m.bye_user_id,
+        byeUsername: m.bye_username,
+        byeSeed: m.bye_seed,
+        homeScore: m.home_score == null ? null : Number(m.home_score),
+        awayScore: m.away_score == null ? null : Number(m.away_score),
+        winnerUserId: m.winner_user_id,
+        result: m.result,
+        tiebreak: Boolean(m.tiebreak),
+      })),
+    };
+  });
+
+  return {
+    enabled: settings.enabled,
+    seeds: settings.seeds,
+    consolation: settings.consolation,
+    frequency: settings.frequency,
+    rounds: bracketRounds,
+    championUserId,
+    consolationWinnerUserId,
+  };
+}
+
+/**
+ * Background job run by the price worker after rounds are closed: start or
+ * advance the bracket for every active league with playoffs.
+ */
+export async function runPlayoffJob(pool) {
+  const { rows: leagues } = await pool.query(leagueQueries.getPlayoffLeagues);
+
+  let written = 0;
+  for (const league of leagues) {
+    try {
+      const { rows: members } = await pool.query(
+        leagueQueries.getLeagueMembers,
+        [league.id]
+      );
+      const round = await updatePlayoffs(pool, { league, members });
+      if (round) {
+        console.log(`League ${league.id}: scheduled ${round.label}`);
+        written++;
+      }
+    } catch (e) {
+      console.error(`league ${league.id} playoff error:`, e.message || e);
+    }
+  }
+  return written;
+}
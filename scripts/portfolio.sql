@@ -16,7 +16,7 @@ create table if not exists leagues (
 create table if not exists portfolios (
   user_id    integer      not null references users(id) on delete cascade,
   league_id  bigint       not null references leagues(id) on delete cascade,
-  cash_usd   numeric(20,8) not null default 100000.0,
+  cash_usd   numeric(20,8) not null,
   created_at timestamptz   not null default now(),
   primary key (user_id, league_id)
 );
@@ -26,8 +26,7 @@ create table if not exists holdings (
   league_id bigint        not null references leagues(id) on delete cascade,
   symbol    text          not null,
   qty       numeric(30,12) not null default 0,
-  primary key (user_id, league_id, symbol),
-  check (qty >= 0)
+  primary key (user_id, league_id, symbol)
 );
 
 create table if not exists trades (
@@ -44,3 +43,131 @@ create table if not exists trades (
 
 create index if not exists idx_trades_user_league_time
   on trades (user_id, league_id, created_at desc);
+
+create table if not exists orders (
+  id             bigserial primary key,
+  user_id        integer       not null references users(id) on delete cascade,
+  league_id      bigint        not null references leagues(id) on delete cascade,
+  symbol         text          not null,
+  side           text          not null check (side in ('BUY','SELL')),
+  order_type     text          not null check (order_type in ('LIMIT','STOP_LOSS','TAKE_PROFIT')),
+  trigger_price  numeric(20,8) not null check (trigger_price > 0),
+  amount_usd     numeric(28,8) check (amount_usd > 0),
+  qty            numeric(30,12) check (qty > 0),
+  status         text          not null default 'OPEN'
+                 check (status in ('OPEN','FILLED','CANCELLED','REJECTED')),
+  trade_id       bigint        references trades(id) on delete set null,
+  reject_reason  text,
+  created_at     timestamptz   not null default now(),
+  closed_at      timestamptz,
+  check (amount_usd is not null or qty is not null)
+);
+
+create index if not exists idx_orders_open_symbol
+  on orders (symbol) where status = 'OPEN';
+create index if not exists idx_orders_user_league
+  on orders (user_id, league_id, created_at desc);
+
+alter table trades add column if not exists fee_usd numeric(28,8) not null default 0;
+alter table trades add column if not exists slippage_usd numeric(28,8) not null default 0;
+alter table trades add column if not exists market_price_usd numeric(20,8);
+alter table trades add column if not exists liquidation boolean not null default false;
+
+-- Short positions are stored as negative qty; leagues without shorts
+-- enabled are kept non-negative by the trade path.
+alter table holdings drop constraint if exists holdings_qty_check;
+
+-- Persisted league schedule. Rounds are written once they are scheduled and
+-- closed by the price worker after end_at, when each matchup's final scores
+-- are stored; standings read only closed rounds.
+create table if not exists rounds (
+  id          bigserial primary key,
+  league_id   bigint      not null references leagues(id) on delete cascade,
+  round_index integer     not null,
+  label       text        not null,
+  start_at    timestamptz not null,
+  end_at      timestamptz not null,
+  status      text        not null default 'SCHEDULED'
+              check (status in ('SCHEDULED','CLOSED')),
+  closed_at   timestamptz,
+  unique (league_id, round_index)
+);
+
+create index if not exists idx_rounds_due
+  on rounds (end_at) where status = 'SCHEDULED';
+
+create table if not exists matchups (
+  id               bigserial primary key,
+  round_id         bigint        not null references rounds(id) on delete cascade,
+  league_id        bigint        not null references leagues(id) on delete cascade,
+  home_user_id     integer       references users(id) on delete set null,
+  away_user_id     integer       references users(id) on delete set null,
+  bye_user_id      integer       references users(id) on delete set null,
+  home_start_value numeric(28,8),
+  home_end_value   numeric(28,8),
+  home_score       numeric(28,8),
+  away_start_value numeric(28,8),
+  away_end_value   numeric(28,8),
+  away_score       numeric(28,8),
+  winner_user_id   integer       references users(id) on delete set null,
+  result           text          check (result in ('HOME_WIN','AWAY_WIN','TIE','BYE')),
+  scored_at        timestamptz
+);
+
+create index if not exists idx_matchups_round
+  on matchups (round_id);
+create index if not exists idx_matchups_league
+  on matchups (league_id);
+
+-- League lifecycle: DRAFT -> LOCKED (schedule written, season not begun)
+-- -> ACTIVE -> COMPLETED. Leagues created before the lifecycle are ACTIVE
+-- and have their schedule locked from created_at.
+alter table leagues add column if not exists season_start_at timestamptz;
+alter table leagues add column if not exists schedule_locked_at timestamptz;
+
+-- Playoff rounds share the rounds/matchups tables. Bracket matchups carry
+-- their bracket (CHAMPIONSHIP or CONSOLATION), slot and seeds so the next
+-- round can be paired from the previous one's winners.
+alter table rounds add column if not exists stage text not null default 'REGULAR';
+alter table matchups add column if not exists bracket text;
+alter table matchups add column if not exists slot integer;
+alter table matchups add column if not exists home_seed integer;
+alter table matchups add column if not exists away_seed integer;
+alter table matchups add column if not exists bye_seed integer;
+
+-- A playoff matchup tied on score goes to the better seed (always home). It
+-- is stored as HOME_WIN with tiebreak set so the result and winner agree.
+alter table matchups add column if not exists tiebreak boolean not null default false;
+update matchups
+set result = 'HOME_WIN', tiebreak = true
+where result = 'TIE' and winner_user_id is not null
+  and winner_user_id = home_user_id;
+
+-- Scoring method each round was closed with; home_score / away_score are in
+-- that method's units. Rounds closed before scoring methods existed are NULL
+-- (dollar profit).
+alter table rounds add column if not exists scoring_method text;
+
+-- Per-member round results for formats without head-to-head matchups
+-- (TOTAL_RETURN and SURVIVOR). Survivor rounds mark the member knocked out.
+create table if not exists round_results (
+  id          bigserial primary key,
+  round_id    bigint        not null references rounds(id) on delete cascade,
+  league_id   bigint        not null references leagues(id) on delete cascade,
+  user_id     integer       references users(id) on delete set null,
+  start_value numeric(28,8),
+  end_value   numeric(28,8),
+  score       numeric(28,8),
+  eliminated  boolean       not null default false,
+  unique (round_id, user_id)
+);
+
+create index if not exists idx_round_results_league
+  on round_results (league_id);
+
+-- When the round's recap emails were sent (see scripts/recaps.js)
+alter table rounds add column if not exists recap_sent_at timestamptz;
+
+-- Cash starts at the league's startingBalance (leagueQueries.ensurePortfolio),
+-- so there is no column default to fall back on by mistake
+alter table portfolios alter column cash_usd drop default;
@@ -0,0 +1,345 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Price sources behind one interface, shared by the web process, the price
+// worker and the one-off scripts. Every provider has:
+//
+//   name
+//   getSpotPrices(ids)          -> { [id]: price }
+//   getMarkets(ids)             -> [{ id, symbol, name, current_price,
+//                                     price_change_percentage_24h,
+//                                     market_cap, total_volume }]
+//   getMarketChart(id, days)    -> { prices: [[ms, price], ...] }
+//   getPriceHistory(id, { from, to })
+//                               -> [{ ms, price }] between two Dates
+//   getExchangeRates()          -> { [code]: units per USD } for fiat
+//                                  currencies, codes uppercase ("EUR")
+//
+// Ids are lowercase CoinGecko-style ids ("bitcoin"). Upstream failures are
+// thrown as errors carrying the upstream HTTP status.
+//
+// PRICE_SOURCE picks the adapter: "coingecko" (default) or "replay" (alias
+// "mock"), which plays back PRICE_FILE so leagues can run offline;
+// scripts/mock_prices.json is a two-day sample for bitcoin, ethereum and
+// solana.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function providerError(message, status, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+// ----------------------
+// COINGECKO
+// ----------------------
+export function createCoinGeckoProvider({ apiKey, vs = "usd" } = {}) {
+  const baseUrl = "https://api.coingecko.com/api/v3";
+  const headers = apiKey ? { "x-cg-demo-api-key": apiKey } : {};
+
+  async function getJson(url) {
+    const r = await fetch(url, { headers });
+    const txt = await r.text();
+    if (!r.ok) {
+      throw providerError(`CoinGecko ${r.status}`, r.status, txt);
+    }
+    return JSON.parse(txt);
+  }
+
+  return {
+    name: "coingecko",
+
+    async getSpotPrices(ids) {
+      if (!ids || !ids.length) return {};
+      const data = await getJson(
+        `${baseUrl}/simple/price?ids=${encodeURIComponent(
+          ids.join(",")
+        )}&vs_currencies=${encodeURIComponent(vs)}`
+      );
+
+      const prices = {};
+      for (const id of ids) {
+        const price = data?.[id]?.[vs];
+        if (typeof price === "number" && Number.isFinite(price)) {
+          prices[id] = price;
+        }
+      }
+      return prices;
+    },
+
+    async getMarkets(ids) {
+      if (!ids || !ids.length) return [];
+      const data = await getJson(
+        `${baseUrl}/coins/markets` +
+          `?vs_currency=${encodeURIComponent(vs)}` +
+          `&ids=${encodeURIComponent(ids.join(","))}` +
+          `&order=market_cap_desc&per_page=250&page=1&sparkline=false`
+      );
+
+      return data.map((c) => ({
+        id: c.id,
+        symbol: c.symbol,
+        name: c.name,
+        current_price: c.current_price,
+        price_change_percentage_24h: c.price_change_percentage_24h,
+        market_cap: c.market_cap,
+        total_volume: c.total_volume,
+      }));
+    },
+
+    async getMarketChart(id, days) {
+      return getJson(
+        `${baseUrl}/coins/${encodeURIComponent(
+          id
+        )}/market_chart?vs_currency=${encodeURIComponent(
+          vs
+        )}&days=${encodeURIComponent(days)}`
+      );
+    },
+
+    // CoinGecko picks the granularity from the range length (5-minutely up
+    // to a day, hourly up to 90 days), so long ranges come back in 90-day
+    // chunks to stay hourly
+    async getPriceHistory(id, { from, to }) {
+      const chunkMs = 90 * DAY_MS;
+      const points = [];
+      for (let start = from.getTime(); start < to.getTime(); start += chunkMs) {
+        const end = Math.min(start + chunkMs, to.getTime());
+        const data = await getJson(
+          `${baseUrl}/coins/${encodeURIComponent(
+            id
+          )}/market_chart/range?vs_currency=${encodeURIComponent(
+            vs
+          )}&from=${Math.floor(start / 1000)}&to=${Math.ceil(end / 1000)}`
+        );
+        for (const [ms, price] of data.prices || []) {
+          points.push({ ms, price });
+        }
+      }
+      return points;
+    },
+
+    // CoinGecko quotes every currency against BTC
+    async getExchangeRates() {
+      const { rates = {} } = await getJson(`${baseUrl}/exchange_rates`);
+      const usd = rates.usd?.value;
+      if (!(usd > 0)) throw providerError("CoinGecko has no USD rate", 502);
+
+      const result = {};
+      for (const [code, rate] of Object.entries(rates)) {
+        if (rate.type === "fiat" && rate.value > 0) {
+          result[code.toUpperCase()] = rate.value / usd;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+// ----------------------
+// REPLAY / MOCK
+// ----------------------
+function parseTimestamp(raw) {
+  const s = String(raw).trim();
+  const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  // bare numbers under 1e11 are epoch seconds
+  return ms < 1e11 ? ms * 1000 : ms;
+}
+
+/**
+ * Read a price file into { [id]: { symbol, name, points: [{ ms, price }] } }.
+ *
+ * CSV: `timestamp,id,price` rows (header optional), timestamps as ISO
+ * strings or epoch seconds/milliseconds.
+ * JSON: `{ "<id>": [[timestamp, price], ...] }`, or
+ * `{ "<id>": { "symbol", "name", "prices": [[timestamp, price], ...] } }`.
+ */
+export function loadPriceFile(file) {
+  const text = fs.readFileSync(file, "utf-8");
+  const coins = {};
+  const coinFor = (rawId, meta = {}) => {
+    const id = String(rawId).trim().toLowerCase();
+    if (!coins[id]) {
+      coins[id] = {
+        symbol: meta.symbol || id.slice(0, 3),
+        name: meta.name || id.charAt(0).toUpperCase() + id.slice(1),
+        points: [],
+      };
+    }
+    return coins[id];
+  };
+  const addPoint = (coin, ts, price) => {
+    const ms = parseTimestamp(ts);
+    const p = Number(price);
+    if (Number.isFinite(ms) && Number.isFinite(p) && p > 0) {
+      coin.points.push({ ms, price: p });
+    }
+  };
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const data = JSON.parse(text);
+    for (const [id, entry] of Object.entries(data)) {
+      const rows = Array.isArray(entry) ? entry : entry.prices || [];
+      const coin = coinFor(id, Array.isArray(entry) ? {} : entry);
+      for (const [ts, price] of rows) addPoint(coin, ts, price);
+    }
+  } else {
+    for (const line of text.split(/\r?\n/)) {
+      const [ts, id, price] = line.split(",").map((s) => s && s.trim());
+      if (!ts || !id || ts.toLowerCase() === "timestamp") continue;
+      addPoint(coinFor(id), ts, price);
+    }
+  }
+
+  for (const coin of Object.values(coins)) {
+    coin.points.sort((a, b) => a.ms - b.ms);
+  }
+  return coins;
+}
+
+/**
+ * Deterministic playback of a price file. The file's timeline starts at
+ * `startedAt` (default: when the provider is created) and runs `speed`
+ * times faster than the wall clock, looping at the end. Charts are shifted
+ * onto the wall clock so replayed data looks current. The web server and
+ * the worker both read PRICE_REPLAY_START so they replay the same prices at
+ * the same moment.
+ */
+export function createReplayProvider({ file, speed = 1, startedAt } = {}) {
+  if (!file) {
+    throw new Error("PRICE_FILE is required for the replay price source");
+  }
+  const coins = loadPriceFile(path.resolve(file));
+
+  const all = Object.values(coins).flatMap((c) => c.points);
+  if (!all.length) {
+    throw new Error(`No prices found in ${file}`);
+  }
+  const origin = all.reduce((min, p) => Math.min(min, p.ms), Infinity);
+  const span = all.reduce((max, p) => Math.max(max, p.ms), -Infinity) - origin;
+  const t0 = startedAt ? new Date(startedAt).getTime() : Date.now();
+  if (!Number.isFinite(t0)) {
+    throw new Error(`PRICE_REPLAY_START is not a valid date: ${startedAt}`);
+  }
+  const rate = Number(speed) > 0 ? Number(speed) : 1;
+
+  function fileTime(nowMs) {
+    const elapsed = Math.max(0, nowMs - t0) * rate;
+    return origin + (span > 0 ? elapsed % span : 0);
+  }
+
+  function loopIndex(nowMs) {
+    return span > 0 ? Math.floor((Math.max(0, nowMs - t0) * rate) / span) : 0;
+  }
+
+  // Last price at or before `ms`, or the first price if there is none yet
+  function priceAt(coin, ms) {
+    const pts = coin.points;
+    let lo = 0;
+    let hi = pts.length - 1;
+    let found = 0;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (pts[mid].ms <= ms) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return pts[found].price;
+  }
+
+  return {
+    name: "replay",
+
+    // True when playback looped back to the start of the file after
+    // `sinceMs`, so prices jump for reasons the market didn't cause
+    restartedSince(sinceMs, now = Date.now()) {
+      return loopIndex(new Date(sinceMs).getTime()) !== loopIndex(now);
+    },
+
+    async getSpotPrices(ids, now = Date.now()) {
+      const t = fileTime(now);
+      const prices = {};
+      for (const id of ids || []) {
+        if (coins[id]?.points.length) prices[id] = priceAt(coins[id], t);
+      }
+      return prices;
+    },
+
+    async getMarkets(ids, now = Date.now()) {
+      const t = fileTime(now);
+      return (ids || [])
+        .filter((id) => coins[id]?.points.length)
+        .map((id) => {
+          const coin = coins[id];
+          const current = priceAt(coin, t);
+          const dayAgo = priceAt(coin, t - DAY_MS);
+          return {
+            id,
+            symbol: coin.symbol,
+            name: coin.name,
+            current_price: current,
+            price_change_percentage_24h: ((current - dayAgo) / dayAgo) * 100,
+            market_cap: null,
+            total_volume: null,
+          };
+        });
+    },
+
+    // File timestamps as-is, without the replay clock
+    async getPriceHistory(id, { from, to }) {
+      const coin = coins[id];
+      if (!coin) return [];
+      return coin.points.filter(
+        (p) => p.ms >= from.getTime() && p.ms <= to.getTime()
+      );
+    },
+
+    async getMarketChart(id, days, now = Date.now()) {
+      const coin = coins[id];
+      if (!coin || !coin.points.length) {
+        throw providerError(`Unknown coin ${id}`, 404);
+      }
+      const t = fileTime(now);
+      const from = days === "max" ? -Infinity : t - Number(days || 1) * DAY_MS;
+      return {
+        prices: coin.points
+          .filter((p) => p.ms >= from && p.ms <= t)
+          .map((p) => [now - (t - p.ms), p.price]),
+      };
+    },
+
+    // Price files are USD only
+    async getExchangeRates() {
+      return { USD: 1 };
+    },
+  };
+}
+
+const ADAPTERS = {
+  coingecko: createCoinGeckoProvider,
+  replay: createReplayProvider,
+  mock: createReplayProvider,
+};
+
+/**
+ * Build the configured provider. `source` defaults to CoinGecko.
+ */
+export function createPriceProvider({ source, ...options } = {}) {
+  const key = String(source || "coingecko")
+    .trim()
+    .toLowerCase();
+  const factory = ADAPTERS[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown price source "${source}" (expected ${Object.keys(ADAPTERS).join(
+        ", "
+      )})`
+    );
+  }
+  return factory(options);
+}
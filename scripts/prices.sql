@@ -10,3 +10,37 @@ create table if not exists price_points_min (
   price_usd  numeric(20,8) not null,
   primary key (symbol, ts_min)
 );
+
+-- OHLC rollups of price_points_min, kept up to date by the price worker.
+-- bucket is the start of the hour / UTC day.
+create table if not exists price_candles_hour (
+  symbol  text not null,
+  bucket  timestamptz   not null,
+  open    numeric(20,8) not null,
+  high    numeric(20,8) not null,
+  low     numeric(20,8) not null,
+  close   numeric(20,8) not null,
+  points  integer       not null,
+  primary key (symbol, bucket)
+);
+
+create table if not exists price_candles_day (
+  symbol  text not null,
+  bucket  timestamptz   not null,
+  open    numeric(20,8) not null,
+  high    numeric(20,8) not null,
+  low     numeric(20,8) not null,
+  close   numeric(20,8) not null,
+  points  integer       not null,
+  primary key (symbol, bucket)
+);
+
+-- Circuit-breaker halts tripped by the price worker (see scripts/halts.js);
+-- one row per coin, reused by the next trip.
+create table if not exists price_halts (
+  symbol          text primary key,
+  previous_price  numeric(20,8) not null,
+  trigger_price   numeric(20,8) not null,
+  halted_at       timestamptz   not null default now(),
+  halted_until    timestamptz   not null
+);
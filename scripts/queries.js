@@ -58,15 +58,124 @@ export const portfolioQueries = {
     WHERE user_id = $1 AND league_id = $2 AND symbol = $3
   `,
 
+  countTradesInWindow: `
+    SELECT COUNT(*) AS trade_count
+    FROM trades
+    WHERE user_id = $1 AND league_id = $2
+      AND created_at >= $3 AND created_at < $4
+  `,
+
   insertTrade: `
-    INSERT INTO trades (user_id, league_id, symbol, side, qty, price_usd, cost_usd)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    INSERT INTO trades (user_id, league_id, symbol, side, qty, price_usd, cost_usd,
+                        fee_usd, slippage_usd, market_price_usd, liquidation)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id
+  `,
+
+  getTradesForCostBasis: `
+    SELECT symbol, side, qty::numeric AS qty, price_usd::numeric AS price_usd,
+           fee_usd::numeric AS fee_usd, created_at
+    FROM trades
+    WHERE user_id = $1 AND league_id = $2
+    ORDER BY created_at ASC, id ASC
+  `,
+};
+
+export const orderQueries = {
+  createOrder: `
+    INSERT INTO orders (user_id, league_id, symbol, side, order_type, trigger_price, amount_usd, qty)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id, symbol, side, order_type, trigger_price::text AS trigger_price,
+              amount_usd::text AS amount_usd, qty::text AS qty, status, created_at
+  `,
+
+  getOpenOrders: `
+    SELECT id, symbol, side, order_type,
+           trigger_price::text AS trigger_price,
+           amount_usd::text AS amount_usd,
+           qty::text AS qty,
+           status, created_at
+    FROM orders
+    WHERE user_id = $1 AND league_id = $2 AND status = 'OPEN'
+    ORDER BY created_at DESC
+  `,
+
+  getOrders: `
+    SELECT id, symbol, side, order_type,
+           trigger_price::text AS trigger_price,
+           amount_usd::text AS amount_usd,
+           qty::text AS qty,
+           status, reject_reason, trade_id, created_at, closed_at
+    FROM orders
+    WHERE user_id = $1 AND league_id = $2
+    ORDER BY created_at DESC
+    LIMIT 100
+  `,
+
+  cancelOrder: `
+    UPDATE orders
+    SET status = 'CANCELLED', closed_at = now()
+    WHERE id = $1 AND user_id = $2 AND status = 'OPEN'
+    RETURNING id, status
+  `,
+
+  getOpenOrdersForSymbols: `
+    SELECT id, user_id, league_id, symbol, side, order_type,
+           trigger_price::numeric AS trigger_price,
+           amount_usd::numeric AS amount_usd,
+           qty::numeric AS qty
+    FROM orders
+    WHERE status = 'OPEN' AND symbol = ANY($1)
+    ORDER BY created_at ASC
+  `,
+
+  lockOpenOrder: `
+    SELECT id
+    FROM orders
+    WHERE id = $1 AND status = 'OPEN'
+    FOR UPDATE SKIP LOCKED
+  `,
+
+  markFilled: `
+    UPDATE orders
+    SET status = 'FILLED', trade_id = $2, closed_at = now()
+    WHERE id = $1
+  `,
+
+  markRejected: `
+    UPDATE orders
+    SET status = 'REJECTED', reject_reason = $2, closed_at = now()
+    WHERE id = $1 AND status = 'OPEN'
+  `,
+};
+
+export const marginQueries = {
+  getPortfoliosWithShorts: `
+    SELECT p.user_id, p.league_id, p.cash_usd::numeric AS cash_usd, l.settings
+    FROM portfolios p
+    JOIN leagues l ON l.id = p.league_id
+    WHERE l.status <> 'COMPLETED'
+      AND EXISTS (
+        SELECT 1
+        FROM holdings h
+        WHERE h.user_id = p.user_id
+          AND h.league_id = p.league_id
+          AND h.qty < 0
+      )
+  `,
+
+  getPositions: `
+    SELECT h.symbol, h.qty::numeric AS qty, pl.price_usd::numeric AS price_usd
+    FROM holdings h
+    LEFT JOIN prices_latest pl ON pl.symbol = h.symbol
+    WHERE h.user_id = $1 AND h.league_id = $2
   `,
 };
 
 export const portfolioHistoryQueries = {
   getTrades: `
-    SELECT symbol, side, qty::numeric, price_usd::numeric, created_at
+    SELECT symbol, side, qty::numeric, price_usd::numeric,
+           fee_usd::numeric, created_at
     FROM trades
     WHERE user_id = $1 AND league_id = $2
     ORDER BY created_at ASC
@@ -109,11 +218,54 @@ export const priceQueries = {
     FROM prices_latest 
     WHERE symbol = $1
   `,
+
+  // One row per requested symbol, with its circuit-breaker halt if one is
+  // still running at $2
+  getTradingStatus: `
+    SELECT s.symbol, pl.price_usd, pl.fetched_at,
+           h.previous_price, h.trigger_price, h.halted_until
+    FROM unnest($1::text[]) AS s(symbol)
+    LEFT JOIN prices_latest pl ON pl.symbol = s.symbol
+    LEFT JOIN price_halts h
+      ON h.symbol = s.symbol AND h.halted_until > $2
+  `,
+
+  upsertCircuitBreakerHalt: `
+    INSERT INTO price_halts
+      (symbol, previous_price, trigger_price, halted_at, halted_until)
+    VALUES ($1, $2, $3, now(), $4)
+    ON CONFLICT (symbol) DO UPDATE
+    SET previous_price = EXCLUDED.previous_price,
+        trigger_price = EXCLUDED.trigger_price,
+        halted_at = EXCLUDED.halted_at,
+        halted_until = EXCLUDED.halted_until
+  `,
+
+  // Compared at millisecond precision so a JS Date round-trips
+  getLatestPricesSince: `
+    SELECT symbol, price_usd, fetched_at
+    FROM prices_latest
+    WHERE $1::timestamptz IS NULL
+       OR date_trunc('milliseconds', fetched_at) > $1
+    ORDER BY symbol
+  `,
 };
 
 export const leagueQueries = {
   getLeagueById: `
-    SELECT id, name, owner_user_id, join_code, member_limit, created_at
+    SELECT id, name, owner_user_id, join_code, member_limit, status, created_at
+    FROM leagues
+    WHERE id = $1
+  `,
+
+  getLeagueSettings: `
+    SELECT settings, status, created_at, season_start_at
+    FROM leagues
+    WHERE id = $1
+  `,
+
+  getLeagueCoinSymbols: `
+    SELECT coin_symbols
     FROM leagues
     WHERE id = $1
   `,
@@ -171,6 +323,8 @@ export const leagueQueries = {
     SELECT p.user_id, u.username,
            p.cash_usd::numeric AS cash,
            COALESCE(SUM(h.qty * pl.price_usd), 0)::numeric AS crypto_value,
+           COALESCE(SUM(h.qty * pl.price_usd) FILTER (WHERE h.qty > 0), 0)::numeric AS long_value,
+           COALESCE(-SUM(h.qty * pl.price_usd) FILTER (WHERE h.qty < 0), 0)::numeric AS short_value,
            (p.cash_usd + COALESCE(SUM(h.qty * pl.price_usd), 0))::numeric AS total_value
     FROM portfolios p
     JOIN users u ON u.id = p.user_id
@@ -206,7 +360,8 @@ export const leagueQueries = {
   `,
 
   getLeagueByJoinCode: `
-    SELECT id, name, member_limit, status
+    SELECT id, name, member_limit, status, settings, created_at,
+           season_start_at, schedule_locked_at
     FROM leagues
     WHERE join_code = $1
   `,
@@ -223,16 +378,40 @@ export const leagueQueries = {
     WHERE league_id = $1
   `,
 
-  createPortfolio: `
+  ensurePortfolio: `
     INSERT INTO portfolios (user_id, league_id, cash_usd)
-    VALUES ($1, $2, 100000)
+    VALUES ($1, $2, $3)
     ON CONFLICT (user_id, league_id) DO NOTHING
   `,
 
-  ensurePortfolio: `
-    INSERT INTO portfolios (user_id, league_id)
-    VALUES ($1, $2)
-    ON CONFLICT (user_id, league_id) DO NOTHING
+  getLeagueMembers: `
+    SELECT u.id, u.username
+    FROM portfolios p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.league_id = $1
+    ORDER BY u.username ASC
+  `,
+
+  getUnlockedLeagues: `
+    SELECT id, name, settings, created_at, status, season_start_at, schedule_locked_at
+    FROM leagues
+    WHERE status = 'ACTIVE'
+      AND schedule_locked_at IS NULL
+  `,
+
+  getPlayoffLeagues: `
+    SELECT id, name, settings, created_at, status, season_start_at, schedule_locked_at
+    FROM leagues
+    WHERE status = 'ACTIVE'
+      AND settings ? 'playoffSeeds'
+  `,
+
+  activateStartedLeagues: `
+    UPDATE leagues
+    SET status = 'ACTIVE'
+    WHERE status = 'LOCKED'
+      AND season_start_at <= now()
+    RETURNING id
   `,
 
   finalizeLeague: `
@@ -245,6 +424,203 @@ export const leagueQueries = {
   `,
 };
 
+export const roundQueries = {
+  // Closed rounds whose recap emails haven't gone out, closed within the
+  // last $1 hours
+  getRoundsNeedingRecap: `
+    SELECT id, league_id, round_index
+    FROM rounds
+    WHERE status = 'CLOSED'
+      AND recap_sent_at IS NULL
+      AND closed_at > now() - make_interval(hours => $1::int)
+    ORDER BY closed_at ASC
+    LIMIT 50
+  `,
+
+  claimRoundRecap: `
+    UPDATE rounds
+    SET recap_sent_at = now()
+    WHERE id = $1 AND recap_sent_at IS NULL
+    RETURNING id
+  `,
+
+  // Members who haven't switched recap emails off
+  getRecapRecipients: `
+    SELECT u.id, u.username, u.email
+    FROM portfolios p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.league_id = $1
+      AND NOT EXISTS (
+        SELECT 1
+        FROM notification_preferences np
+        WHERE np.user_id = u.id
+          AND np.type = 'ROUND_RECAP_EMAIL'
+          AND NOT np.enabled
+      )
+  `,
+
+  lockLeague: `
+    SELECT id, settings, created_at, status, season_start_at, schedule_locked_at
+    FROM leagues
+    WHERE id = $1
+    FOR UPDATE
+  `,
+
+  startSeason: `
+    UPDATE leagues
+    SET status = CASE WHEN $2::timestamptz <= now() THEN 'ACTIVE' ELSE 'LOCKED' END,
+        season_start_at = $2,
+        schedule_locked_at = now()
+    WHERE id = $1
+    RETURNING id, name, settings, created_at, status, season_start_at, schedule_locked_at
+  `,
+
+  markScheduleLocked: `
+    UPDATE leagues
+    SET schedule_locked_at = now()
+    WHERE id = $1
+  `,
+
+  getRounds: `
+    SELECT id, round_index, label, stage, start_at, end_at, status, closed_at,
+           scoring_method
+    FROM rounds
+    WHERE league_id = $1
+    ORDER BY round_index ASC
+  `,
+
+  getMatchups: `
+    SELECT m.id, m.round_id, m.home_user_id, m.away_user_id, m.bye_user_id,
+           m.bracket, m.slot, m.home_seed, m.away_seed, m.bye_seed,
+           hu.username AS home_username,
+           au.username AS away_username,
+           bu.username AS bye_username,
+           m.home_start_value, m.home_end_value, m.home_score,
+           m.away_start_value, m.away_end_value, m.away_score,
+           m.winner_user_id, m.result, m.tiebreak, m.scored_at
+    FROM matchups m
+    LEFT JOIN users hu ON hu.id = m.home_user_id
+    LEFT JOIN users au ON au.id = m.away_user_id
+    LEFT JOIN users bu ON bu.id = m.bye_user_id
+    WHERE m.league_id = $1
+    ORDER BY m.round_id ASC, m.id ASC
+  `,
+
+  insertRound: `
+    INSERT INTO rounds (league_id, round_index, label, start_at, end_at, stage)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `,
+
+  deleteRoundMatchups: `
+    DELETE FROM matchups
+    WHERE round_id = $1
+  `,
+
+  insertMatchup: `
+    INSERT INTO matchups (round_id, league_id, home_user_id, away_user_id, bye_user_id,
+                          bracket, slot, home_seed, away_seed, bye_seed)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `,
+
+  getDueRounds: `
+    SELECT id, league_id
+    FROM rounds
+    WHERE status = 'SCHEDULED'
+      AND end_at <= $1
+      AND ($2::bigint IS NULL OR league_id = $2)
+    ORDER BY end_at ASC
+  `,
+
+  lockScheduledRound: `
+    SELECT id, league_id, round_index, label, stage, start_at, end_at
+    FROM rounds
+    WHERE id = $1 AND status = 'SCHEDULED'
+    FOR UPDATE SKIP LOCKED
+  `,
+
+  getRoundMatchups: `
+    SELECT id, home_user_id, away_user_id, bye_user_id
+    FROM matchups
+    WHERE round_id = $1
+    ORDER BY id ASC
+  `,
+
+  recordMatchupResult: `
+    UPDATE matchups
+    SET home_start_value = $2,
+        home_end_value = $3,
+        home_score = $4,
+        away_start_value = $5,
+        away_end_value = $6,
+        away_score = $7,
+        winner_user_id = $8,
+        result = $9,
+        tiebreak = $10,
+        scored_at = now()
+    WHERE id = $1
+  `,
+
+  closeRound: `
+    UPDATE rounds
+    SET status = 'CLOSED',
+        closed_at = now(),
+        scoring_method = $2
+    WHERE id = $1
+  `,
+
+  getClosedResults: `
+    SELECT m.home_user_id, m.away_user_id, m.bye_user_id,
+           hu.username AS home_username,
+           au.username AS away_username,
+           bu.username AS bye_username,
+           m.home_score, m.away_score, m.winner_user_id, m.result
+    FROM matchups m
+    JOIN rounds r ON r.id = m.round_id
+    LEFT JOIN users hu ON hu.id = m.home_user_id
+    LEFT JOIN users au ON au.id = m.away_user_id
+    LEFT JOIN users bu ON bu.id = m.bye_user_id
+    WHERE m.league_id = $1
+      AND r.stage = 'REGULAR'
+      AND r.status = 'CLOSED'
+      AND r.end_at <= $2
+  `,
+
+  insertRoundResult: `
+    INSERT INTO round_results (round_id, league_id, user_id, start_value, end_value, score, eliminated)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (round_id, user_id) DO NOTHING
+  `,
+
+  getRoundResults: `
+    SELECT rr.round_id, rr.user_id, u.username,
+           rr.start_value, rr.end_value, rr.score, rr.eliminated,
+           r.round_index, r.label
+    FROM round_results rr
+    JOIN rounds r ON r.id = rr.round_id
+    LEFT JOIN users u ON u.id = rr.user_id
+    WHERE rr.league_id = $1
+    ORDER BY r.round_index ASC, rr.score DESC
+  `,
+
+  getEliminatedUsers: `
+    SELECT user_id
+    FROM round_results
+    WHERE league_id = $1 AND eliminated
+  `,
+
+  getStageSummary: `
+    SELECT stage,
+           COUNT(*) AS round_count,
+           COUNT(*) FILTER (WHERE status = 'CLOSED') AS closed_count,
+           MAX(round_index) AS last_index,
+           MAX(end_at) AS last_end
+    FROM rounds
+    WHERE league_id = $1
+    GROUP BY stage
+  `,
+};
+
 export const userQueries = {
   getUserByUsername: `
     SELECT * 
@@ -253,7 +629,8 @@ export const userQueries = {
   `,
 
   getUserById: `
-    SELECT id, username, email, created_at 
+    SELECT id, username, email, created_at, email_verified_at,
+           display_name, display_currency, avatar_updated_at
     FROM users 
     WHERE id = $1
   `,
@@ -261,15 +638,526 @@ export const userQueries = {
   createUser: `
     INSERT INTO users (username, email, password_hash)
     VALUES ($1, $2, $3)
-    RETURNING id, username, email
+    RETURNING id, username, email, session_version
+  `,
+
+  getUserByEmail: `
+    SELECT id, username, email
+    FROM users
+    WHERE lower(email) = lower($1)
+  `,
+
+  // What requireAuth checks on every request
+  getSessionState: `
+    SELECT session_version, display_currency
+    FROM users
+    WHERE id = $1
+  `,
+
+  // Live streams re-check these so they end with the sessions they belong to
+  getSessionVersions: `
+    SELECT id, session_version
+    FROM users
+    WHERE id = ANY($1)
+  `,
+
+  getEmailVerification: `
+    SELECT email, username, email_verified_at
+    FROM users
+    WHERE id = $1
+  `,
+
+  // Ends every session signed in with the old password
+  updatePassword: `
+    UPDATE users
+    SET password_hash = $2,
+        session_version = session_version + 1
+    WHERE id = $1
+    RETURNING session_version
+  `,
+
+  markEmailVerified: `
+    UPDATE users
+    SET email_verified_at = COALESCE(email_verified_at, now())
+    WHERE id = $1
+  `,
+};
+
+export const accountQueries = {
+  getPasswordHash: `
+    SELECT password_hash
+    FROM users
+    WHERE id = $1
+  `,
+
+  // A new email address starts unverified
+  // old is the row as it was before the update
+  updateCredentials: `
+    UPDATE users u
+    SET username = $2,
+        email = $3,
+        email_verified_at = CASE
+          WHEN lower(old.email) = lower($3::varchar) THEN u.email_verified_at
+          ELSE NULL
+        END
+    FROM users old
+    WHERE u.id = $1 AND old.id = u.id
+    RETURNING u.id, u.username, u.email, u.email_verified_at,
+              lower(old.email) <> lower(u.email) AS email_changed
+  `,
+
+  updateProfile: `
+    UPDATE users
+    SET display_name = $2, display_currency = $3
+    WHERE id = $1
+    RETURNING display_name, display_currency
+  `,
+
+  getAvatar: `
+    SELECT content_type, image, updated_at
+    FROM user_avatars
+    WHERE user_id = $1
+  `,
+
+  setAvatar: `
+    WITH saved AS (
+      INSERT INTO user_avatars (user_id, content_type, image)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id)
+      DO UPDATE SET content_type = EXCLUDED.content_type,
+                    image = EXCLUDED.image,
+                    updated_at = now()
+      RETURNING updated_at
+    )
+    UPDATE users
+    SET avatar_updated_at = (SELECT updated_at FROM saved)
+    WHERE id = $1
+    RETURNING avatar_updated_at
+  `,
+
+  deleteAvatar: `
+    WITH removed AS (
+      DELETE FROM user_avatars WHERE user_id = $1
+    )
+    UPDATE users
+    SET avatar_updated_at = NULL
+    WHERE id = $1
+  `,
+
+  // Every league the user plays in or owns, with how many others are in it
+  getAccountLeagues: `
+    SELECT l.id, l.name, l.status,
+           l.owner_user_id = $1 AS is_owner,
+           (SELECT count(*)::int
+            FROM portfolios p
+            WHERE p.league_id = l.id AND p.user_id <> $1) AS other_members
+    FROM leagues l
+    WHERE l.owner_user_id = $1
+       OR EXISTS (
+         SELECT 1 FROM portfolios p
+         WHERE p.league_id = l.id AND p.user_id = $1
+       )
+    ORDER BY l.created_at ASC
+  `,
+
+  // The longest-standing other member takes over a league
+  getLeagueSuccessor: `
+    SELECT user_id
+    FROM portfolios
+    WHERE league_id = $1 AND user_id <> $2
+    ORDER BY created_at ASC, user_id ASC
+    LIMIT 1
+  `,
+
+  transferLeagueOwnership: `
+    UPDATE leagues
+    SET owner_user_id = $2
+    WHERE id = $1
+  `,
+
+  deleteLeague: `
+    DELETE FROM leagues
+    WHERE id = $1
+  `,
+
+  // Portfolios, trades, orders, alerts and notifications go with the user;
+  // closed matchups and round results keep their scores with the user
+  // cleared
+  deleteUser: `
+    DELETE FROM users
+    WHERE id = $1
+  `,
+};
+
+export const tokenQueries = {
+  createToken: `
+    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, now() + make_interval(mins => $4::int))
+  `,
+
+  countRecentTokens: `
+    SELECT COUNT(*)::int AS count
+    FROM user_tokens
+    WHERE user_id = $1
+      AND purpose = $2
+      AND created_at > now() - interval '1 hour'
+  `,
+
+  // Retire a user's outstanding tokens so only the newest link works
+  revokeTokens: `
+    UPDATE user_tokens
+    SET used_at = now()
+    WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+  `,
+
+  consumeToken: `
+    UPDATE user_tokens
+    SET used_at = now()
+    WHERE token_hash = $1
+      AND purpose = $2
+      AND used_at IS NULL
+      AND expires_at > now()
+    RETURNING user_id
   `,
 };
 
-export const coinQueries = {
-  getPriceHistory: `
-    SELECT symbol, ts_min, price_usd 
-    FROM price_points_min 
-    WHERE symbol = $1 
-    ORDER BY ts_min ASC
+export const candleQueries = {
+  getLastHourBucket: `
+    SELECT MAX(bucket) AS bucket FROM price_candles_hour
+  `,
+
+  getFirstMinute: `
+    SELECT MIN(ts_min) AS ts_min FROM price_points_min
+  `,
+
+  // Oldest stored price for a symbol at any resolution
+  getFirstPriceTime: `
+    SELECT LEAST(
+      (SELECT MIN(bucket) FROM price_candles_day WHERE symbol = $1),
+      (SELECT MIN(bucket) FROM price_candles_hour WHERE symbol = $1),
+      (SELECT MIN(ts_min) FROM price_points_min WHERE symbol = $1)
+    ) AS ts
+  `,
+
+  // A bucket is only overwritten from at least as many points, so rolling
+  // up a range whose minutes were partly pruned can't shrink a candle
+  rollupHours: `
+    INSERT INTO price_candles_hour
+      (symbol, bucket, open, high, low, close, points)
+    SELECT
+      symbol,
+      date_trunc('hour', ts_min) AS bucket,
+      (array_agg(price_usd ORDER BY ts_min ASC))[1],
+      MAX(price_usd),
+      MIN(price_usd),
+      (array_agg(price_usd ORDER BY ts_min DESC))[1],
+      COUNT(*)
+    FROM price_points_min
+    WHERE ts_min >= date_trunc('hour', $1::timestamptz)
+      AND ts_min <= $2
+    GROUP BY symbol, date_trunc('hour', ts_min)
+    ON CONFLICT (symbol, bucket) DO UPDATE
+    SET open = EXCLUDED.open,
+        high = EXCLUDED.high,
+        low = EXCLUDED.low,
+        close = EXCLUDED.close,
+        points = EXCLUDED.points
+    WHERE EXCLUDED.points >= price_candles_hour.points
+  `,
+
+  rollupDays: `
+    INSERT INTO price_candles_day
+      (symbol, bucket, open, high, low, close, points)
+    SELECT
+      symbol,
+      date_trunc('day', bucket AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS day,
+      (array_agg(open ORDER BY bucket ASC))[1],
+      MAX(high),
+      MIN(low),
+      (array_agg(close ORDER BY bucket DESC))[1],
+      SUM(points)
+    FROM price_candles_hour
+    WHERE bucket >= date_trunc('day', $1::timestamptz AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+      AND bucket <= $2
+    GROUP BY symbol, day
+    ON CONFLICT (symbol, bucket) DO UPDATE
+    SET open = EXCLUDED.open,
+        high = EXCLUDED.high,
+        low = EXCLUDED.low,
+        close = EXCLUDED.close,
+        points = EXCLUDED.points
+    WHERE EXCLUDED.points >= price_candles_day.points
+  `,
+
+  pruneMinutes: `
+    DELETE FROM price_points_min p
+    WHERE p.ts_min < $1
+      AND EXISTS (
+        SELECT 1 FROM price_candles_hour h
+        WHERE h.symbol = p.symbol
+          AND h.bucket = date_trunc('hour', p.ts_min)
+      )
+  `,
+
+  pruneHours: `
+    DELETE FROM price_candles_hour h
+    WHERE h.bucket < $1
+      AND EXISTS (
+        SELECT 1 FROM price_candles_day d
+        WHERE d.symbol = h.symbol
+          AND d.bucket =
+            date_trunc('day', h.bucket AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+      )
+  `,
+
+  // The series queries keep the latest $4 points of each symbol, so one
+  // symbol's history can't crowd out the others'
+  getMinuteSeries: `
+    SELECT symbol, ts, open, high, low, close
+    FROM (
+      SELECT symbol, ts_min AS ts,
+             price_usd AS open, price_usd AS high,
+             price_usd AS low, price_usd AS close,
+             row_number() OVER (PARTITION BY symbol ORDER BY ts_min DESC) AS rn
+      FROM price_points_min
+      WHERE symbol = ANY($1)
+        AND ts_min >= $2
+        AND ts_min <= $3
+    ) s
+    WHERE rn <= $4
+    ORDER BY ts ASC, symbol
+  `,
+
+  getHourSeries: `
+    SELECT symbol, ts, open, high, low, close
+    FROM (
+      SELECT symbol, bucket AS ts, open, high, low, close,
+             row_number() OVER (PARTITION BY symbol ORDER BY bucket DESC) AS rn
+      FROM price_candles_hour
+      WHERE symbol = ANY($1)
+        AND bucket >= date_trunc('hour', $2::timestamptz)
+        AND bucket <= $3
+    ) s
+    WHERE rn <= $4
+    ORDER BY ts ASC, symbol
+  `,
+
+  getDaySeries: `
+    SELECT symbol, ts, open, high, low, close
+    FROM (
+      SELECT symbol, bucket AS ts, open, high, low, close,
+             row_number() OVER (PARTITION BY symbol ORDER BY bucket DESC) AS rn
+      FROM price_candles_day
+      WHERE symbol = ANY($1)
+        AND bucket >= date_trunc('day', $2::timestamptz AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        AND bucket <= $3
+    ) s
+    WHERE rn <= $4
+    ORDER BY ts ASC, symbol
+  `,
+
+  // Closes of completed candles only, so a price is never read from the
+  // future of asOf
+  getMinutePriceAtOrBefore: `
+    SELECT price_usd
+    FROM price_points_min
+    WHERE symbol = $1
+      AND ts_min <= $2
+    ORDER BY ts_min DESC
+    LIMIT 1
+  `,
+
+  getHourPriceAtOrBefore: `
+    SELECT close AS price_usd
+    FROM price_candles_hour
+    WHERE symbol = $1
+      AND bucket <= $2::timestamptz - interval '1 hour'
+    ORDER BY bucket DESC
+    LIMIT 1
+  `,
+
+  getDayPriceAtOrBefore: `
+    SELECT close AS price_usd
+    FROM price_candles_day
+    WHERE symbol = $1
+      AND bucket <= $2::timestamptz - interval '1 day'
+    ORDER BY bucket DESC
+    LIMIT 1
+  `,
+};
+
+export const tradeHistoryQueries = {
+  // Newest first. Null filters match everything; $7 is the id of the last
+  // trade on the previous page
+  listTrades: `
+    SELECT t.id, t.league_id, t.symbol, t.side,
+           t.qty::numeric AS qty, t.price_usd::numeric AS price_usd,
+           t.cost_usd::numeric AS cost_usd, t.fee_usd::numeric AS fee_usd,
+           t.slippage_usd::numeric AS slippage_usd,
+           t.market_price_usd::numeric AS market_price_usd,
+           t.liquidation, t.created_at
+    FROM trades t
+    WHERE t.user_id = $1
+      AND t.league_id = $2
+      AND ($3::text IS NULL OR t.symbol = $3)
+      AND ($4::text IS NULL OR t.side = $4)
+      AND ($5::timestamptz IS NULL OR t.created_at >= $5)
+      AND ($6::timestamptz IS NULL OR t.created_at < $6)
+      AND (
+        $7::bigint IS NULL
+        OR (t.created_at, t.id) < (
+          SELECT c.created_at, c.id FROM trades c WHERE c.id = $7
+        )
+      )
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT $8
+  `,
+
+  // One row per league the user has a portfolio in, valued at latest prices
+  getPortfolioSnapshots: `
+    SELECT p.league_id, l.name AS league_name, l.status AS league_status,
+           l.settings, p.cash_usd::numeric AS cash_usd,
+           COALESCE((
+             SELECT SUM(h.qty * pl.price_usd)
+             FROM holdings h
+             LEFT JOIN prices_latest pl ON pl.symbol = h.symbol
+             WHERE h.user_id = p.user_id AND h.league_id = p.league_id
+           ), 0)::numeric AS crypto_value_usd,
+           (
+             SELECT COUNT(*)
+             FROM trades t
+             WHERE t.user_id = p.user_id AND t.league_id = p.league_id
+           ) AS trade_count
+    FROM portfolios p
+    JOIN leagues l ON l.id = p.league_id
+    WHERE p.user_id = $1
+    ORDER BY p.league_id ASC
+  `,
+};
+
+export const watchlistQueries = {
+  getWatchlist: `
+    SELECT symbol, created_at
+    FROM watchlists
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `,
+
+  addToWatchlist: `
+    INSERT INTO watchlists (user_id, symbol)
+    VALUES ($1, $2)
+    ON CONFLICT DO NOTHING
+  `,
+
+  removeFromWatchlist: `
+    DELETE FROM watchlists
+    WHERE user_id = $1 AND symbol = $2
+  `,
+};
+
+export const alertQueries = {
+  listAlerts: `
+    SELECT id, symbol, alert_type, threshold::text AS threshold,
+           window_minutes, league_id, repeat, active, last_triggered_at,
+           created_at
+    FROM price_alerts
+    WHERE user_id = $1
+    ORDER BY active DESC, created_at DESC
+  `,
+
+  countActiveAlerts: `
+    SELECT COUNT(*)::int AS count
+    FROM price_alerts
+    WHERE user_id = $1 AND active
+  `,
+
+  createAlert: `
+    INSERT INTO price_alerts
+      (user_id, symbol, alert_type, threshold, window_minutes, league_id, repeat)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, symbol, alert_type, threshold::text AS threshold,
+              window_minutes, league_id, repeat, active, last_triggered_at,
+              created_at
+  `,
+
+  deleteAlert: `
+    DELETE FROM price_alerts
+    WHERE id = $1 AND user_id = $2
+  `,
+
+  // Active alerts on coins that just ticked
+  getActiveAlertsForSymbols: `
+    SELECT id, user_id, symbol, alert_type, threshold::numeric AS threshold,
+           window_minutes, league_id, repeat, armed
+    FROM price_alerts
+    WHERE active AND symbol = ANY($1::text[])
+    ORDER BY id ASC
+  `,
+
+  markAlertTriggered: `
+    UPDATE price_alerts
+    SET armed = false, last_triggered_at = $2, active = repeat
+    WHERE id = $1
+  `,
+
+  rearmAlert: `
+    UPDATE price_alerts
+    SET armed = true
+    WHERE id = $1
+  `,
+};
+
+export const notificationQueries = {
+  // Skipped (no row returned) when the user has switched the type off
+  createNotification: `
+    INSERT INTO notifications (user_id, type, title, body, link, data)
+    SELECT $1::int, $2::text, $3::text, $4::text, $5::text, $6::jsonb
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM notification_preferences
+      WHERE user_id = $1 AND type = $2 AND NOT enabled
+    )
+    RETURNING id
+  `,
+
+  // Newest first; $2 is the id of the last notification already shown
+  listNotifications: `
+    SELECT id, type, title, body, link, data, read_at, created_at
+    FROM notifications
+    WHERE user_id = $1
+      AND ($2::bigint IS NULL OR id < $2)
+    ORDER BY id DESC
+    LIMIT $3
+  `,
+
+  getUnreadCount: `
+    SELECT COUNT(*)::int AS unread
+    FROM notifications
+    WHERE user_id = $1 AND read_at IS NULL
+  `,
+
+  markRead: `
+    UPDATE notifications
+    SET read_at = now()
+    WHERE id = $1 AND user_id = $2 AND read_at IS NULL
+  `,
+
+  markAllRead: `
+    UPDATE notifications
+    SET read_at = now()
+    WHERE user_id = $1 AND read_at IS NULL
+  `,
+
+  getPreferences: `
+    SELECT type, enabled
+    FROM notification_preferences
+    WHERE user_id = $1
+  `,
+
+  setPreference: `
+    INSERT INTO notification_preferences (user_id, type, enabled)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, type)
+    DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = now()
   `,
 };
@@ -0,0 +1,64 @@
+import { roundQueries } from "./queries.js";
+import { getRoundScores } from "./rounds.js";
+import { roundRecapEmail } from "./mail_templates.js";
+
+// Round recap emails, sent by the price worker on a loop of their own so
+// mailing never delays a price tick. Each round is claimed once its recap is
+// built, before mailing, so two workers can't both send it and a failed
+// build is retried. Only rounds closed in the last RECAP_WINDOW_HOURS are
+// sent, so switching mail on doesn't mail out every past round.
+
+const RECAP_WINDOW_HOURS = 24;
+
+/**
+ * Mail each member of every newly closed round their recap. `appUrl` is
+ * the site's base URL for links. Returns how many emails were sent.
+ */
+export async function runRoundRecapJob(db, mailer, { appUrl }) {
+  const { rows: rounds } = await db.query(roundQueries.getRoundsNeedingRecap, [
+    RECAP_WINDOW_HOURS,
+  ]);
+
+  let sent = 0;
+  for (const r of rounds) {
+    let payload;
+    let recipients;
+    try {
+      payload = await getRoundScores(db, r.league_id, (schedule) =>
+        schedule.find((round) => round.roundIndex === r.round_index)
+      );
+      ({ rows: recipients } = await db.query(roundQueries.getRecapRecipients, [
+        r.league_id,
+      ]));
+    } catch (e) {
+      // Left unclaimed, so the next run retries it
+      console.error(`round ${r.id} recap error:`, e.message || e);
+      continue;
+    }
+
+    // Claimed only once there's a recap to send
+    const claimed = await db.query(roundQueries.claimRoundRecap, [r.id]);
+    if (!claimed.rows.length) continue;
+
+    for (const member of recipients) {
+      try {
+        await mailer.send(
+          member.email,
+          roundRecapEmail({
+            username: member.username,
+            userId: member.id,
+            payload,
+            leagueUrl: `${appUrl}/league`,
+          })
+        );
+        sent++;
+      } catch (e) {
+        console.error(
+          `round ${r.id} recap to user ${member.id} error:`,
+          e.message || e
+        );
+      }
+    }
+  }
+  return sent;
+}
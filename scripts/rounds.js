@@ -0,0 +1,1017 @@
+import { leagueQueries, roundQueries } from "./queries.js";
+import { normalizeLeagueSettings, getRoundIntervalMs } from "./league_rules.js";
+import {
+  getScoringMethod,
+  describeScoring,
+  getRoundStats,
+  scoreSides,
+} from "./scoring.js";
+import {
+  getLeagueFormat,
+  describeFormat,
+  recordFormatRoundResults,
+  scoreOpenFormatRound,
+  getFormatRoundResults,
+  computeFormatStandings,
+} from "./formats.js";
+import { createNotification, notifyUsers } from "./notifications.js";
+
+// League schedules and results. A league starts as a DRAFT whose schedule
+// is only a preview; starting the season locks the round robin into the
+// rounds / matchups tables (LOCKED until the first round begins, then
+// ACTIVE). Once a round ends the price worker scores it and stores the
+// result, and standings are built from those stored results only.
+
+export function computeLeagueSchedule({ league, members }) {
+  const settings = normalizeLeagueSettings(league.settings);
+  const freq = (settings.matchupFrequency || "WEEKLY").toUpperCase();
+  const isDaily = freq === "DAILY";
+
+  const intervalMs = getRoundIntervalMs(settings);
+
+  // Drafts preview a season starting now; leagues from before the draft
+  // lifecycle run from creation
+  const anchor =
+    league.season_start_at ||
+    (league.status === "DRAFT" ? null : league.created_at);
+  const startDate = anchor ? new Date(anchor) : new Date();
+
+  if (!members || members.length < 2) {
+    return [];
+  }
+
+  const matchupCountSetting = Number(settings.matchupCount);
+
+  // Formats without matchups still run in rounds: one per member knocked
+  // out in SURVIVOR, scoring periods in TOTAL_RETURN
+  if (getLeagueFormat(settings) !== "HEAD_TO_HEAD") {
+    const rounds =
+      Number.isInteger(matchupCountSetting) && matchupCountSetting > 0
+        ? Math.min(matchupCountSetting, 1000)
+        : members.length - 1;
+    return Array.from({ length: rounds }, (_, r) => {
+      const roundStart = new Date(startDate.getTime() + r * intervalMs);
+      return {
+        roundIndex: r + 1,
+        label: isDaily ? `Day ${r + 1}` : `Week ${r + 1}`,
+        start: roundStart.toISOString(),
+        end: new Date(roundStart.getTime() + intervalMs - 1).toISOString(),
+        matchups: [],
+      };
+    });
+  }
+
+  const players = members.map((m) => ({ id: m.id, username: m.username }));
+
+  if (players.length % 2 === 1) {
+    players.push({ id: null, username: "BYE" });
+  }
+
+  const numPlayers = players.length;
+  const baseRounds = numPlayers - 1;
+
+  const baseRoundMatchups = [];
+  let arr = players.slice();
+
+  for (let r = 0; r < baseRounds; r++) {
+    const matchups = [];
+    const half = numPlayers / 2;
+
+    for (let i = 0; i < half; i++) {
+      const home = arr[i];
+      const away = arr[numPlayers - 1 - i];
+
+      const homeHasPlayer = home && home.id != null;
+      const awayHasPlayer = away && away.id != null;
+
+      if (homeHasPlayer && awayHasPlayer) {
+        matchups.push({
+          homeUserId: home.id,
+          awayUserId: away.id,
+          homeUsername: home.username,
+          awayUsername: away.username,
+        });
+      } else if (homeHasPlayer || awayHasPlayer) {
+        const bye = homeHasPlayer ? home : away;
+        matchups.push({
+          byeUserId: bye.id,
+          byeUsername: bye.username,
+        });
+      }
+    }
+
+    baseRoundMatchups.push(matchups);
+
+    const fixed = arr[0];
+    const rest = arr.slice(1);
+    rest.unshift(rest.pop());
+    arr = [fixed, ...rest];
+  }
+
+  let totalRounds;
+
+  if (Number.isInteger(matchupCountSetting) && matchupCountSetting > 0) {
+    totalRounds = Math.min(matchupCountSetting, 1000);
+  } else {
+    totalRounds = baseRounds;
+  }
+
+  if (!Number.isInteger(totalRounds) || totalRounds <= 0) {
+    totalRounds = baseRounds;
+  }
+
+  const schedule = [];
+
+  for (let r = 0; r < totalRounds; r++) {
+    const patternIndex = r % baseRounds;
+    const roundStart = new Date(startDate.getTime() + r * intervalMs);
+    const roundEnd = new Date(roundStart.getTime() + intervalMs - 1);
+
+    const templateMatchups = baseRoundMatchups[patternIndex];
+    const matchups = templateMatchups.map((m) => ({ ...m }));
+
+    schedule.push({
+      roundIndex: r + 1,
+      label: isDaily ? `Day ${r + 1}` : `Week ${r + 1}`,
+      start: roundStart.toISOString(),
+      end: roundEnd.toISOString(),
+      matchups,
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Score a matchup over a round window (up to `asOf` while the round is
+ * live) using the league's scoring method. Ties on score go to the higher
+ * end value.
+ */
+export async function scoreHeadToHeadMatchup(
+  db,
+  { leagueId, round, homeUserId, awayUserId, asOf, scoringMethod }
+) {
+  const roundStart = new Date(round.start);
+  const roundEnd = new Date(round.end);
+
+  if (Number.isNaN(roundStart.getTime()) || Number.isNaN(roundEnd.getTime())) {
+    const err = new Error("Invalid round start/end");
+    err.status = 500;
+    throw err;
+  }
+
+  const now = asOf ? new Date(asOf) : new Date();
+  const effectiveEnd = now.getTime() < roundEnd.getTime() ? now : roundEnd;
+
+  let method = scoringMethod;
+  if (!method) {
+    const leagueRes = await db.query(leagueQueries.getLeagueSettings, [
+      leagueId,
+    ]);
+    method = getScoringMethod(leagueRes.rows[0]?.settings);
+  }
+
+  const window = { method, leagueId, start: roundStart, end: effectiveEnd };
+  const [home, away] = await Promise.all([
+    getRoundStats(db, { ...window, userId: homeUserId }),
+    getRoundStats(db, { ...window, userId: awayUserId }),
+  ]);
+  const { homeScore, awayScore } = scoreSides(method, home, away);
+
+  const EPS = 0.0001;
+  const diff = homeScore - awayScore;
+
+  let winnerUserId = null;
+  let result = "TIE";
+
+  if (Math.abs(diff) > EPS) {
+    if (diff > 0) {
+      winnerUserId = homeUserId;
+      result = "HOME_WIN";
+    } else {
+      winnerUserId = awayUserId;
+      result = "AWAY_WIN";
+    }
+  } else {
+    const valueDiff = home.endValue - away.endValue;
+    if (Math.abs(valueDiff) > EPS) {
+      winnerUserId = valueDiff > 0 ? homeUserId : awayUserId;
+      result = winnerUserId === homeUserId ? "HOME_WIN" : "AWAY_WIN";
+    } else {
+      winnerUserId = null;
+      result = "TIE";
+    }
+  }
+
+  return {
+    leagueId,
+    roundIndex: round.roundIndex,
+    label: round.label,
+    start: roundStart.toISOString(),
+    end: roundEnd.toISOString(),
+    effectiveEnd: effectiveEnd.toISOString(),
+    scoring: describeScoring(method),
+    home: {
+      userId: homeUserId,
+      startValue: home.startValue,
+      endValue: home.endValue,
+      profit: home.profit,
+      score: homeScore,
+    },
+    away: {
+      userId: awayUserId,
+      startValue: away.startValue,
+      endValue: away.endValue,
+      profit: away.profit,
+      score: awayScore,
+    },
+    winnerUserId,
+    result, // "HOME_WIN", "AWAY_WIN", or "TIE"
+  };
+}
+
+/**
+ * Shape stored rounds + matchups like computeLeagueSchedule's output, with
+ * each round's status and the stored matchup rows attached.
+ */
+function buildStoredSchedule(roundRows, matchupRows) {
+  const byRound = new Map();
+  for (const m of matchupRows) {
+    if (!byRound.has(String(m.round_id))) byRound.set(String(m.round_id), []);
+    byRound.get(String(m.round_id)).push(m);
+  }
+
+  return roundRows.map((r) => ({
+    id: r.id,
+    roundIndex: r.round_index,
+    label: r.label,
+    start: new Date(r.start_at).toISOString(),
+    end: new Date(r.end_at).toISOString(),
+    stage: r.stage,
+    status: r.status,
+    closedAt: r.closed_at,
+    scoringMethod: r.scoring_method,
+    matchups: (byRound.get(String(r.id)) || []).map((m) =>
+      m.bye_user_id != null
+        ? {
+            byeUserId: m.bye_user_id,
+            byeUsername: m.bye_username,
+            bracket: m.bracket,
+            byeSeed: m.bye_seed,
+            stored: m,
+          }
+        : {
+            homeUserId: m.home_user_id,
+            awayUserId: m.away_user_id,
+            homeUsername: m.home_username,
+            awayUsername: m.away_username,
+            bracket: m.bracket,
+            homeSeed: m.home_seed,
+            awaySeed: m.away_seed,
+            stored: m,
+          }
+    ),
+  }));
+}
+
+async function insertMatchups(db, leagueId, roundId, matchups) {
+  for (const m of matchups) {
+    await db.query(roundQueries.insertMatchup, [
+      roundId,
+      leagueId,
+      m.homeUserId ?? null,
+      m.awayUserId ?? null,
+      m.byeUserId ?? null,
+      m.bracket ?? null,
+      m.slot ?? null,
+      m.homeSeed ?? null,
+      m.awaySeed ?? null,
+      m.byeSeed ?? null,
+    ]);
+  }
+}
+
+export async function insertRound(db, leagueId, round) {
+  const { rows } = await db.query(roundQueries.insertRound, [
+    leagueId,
+    round.roundIndex,
+    round.label,
+    round.start,
+    round.end,
+    round.stage || "REGULAR",
+  ]);
+  await insertMatchups(db, leagueId, rows[0].id, round.matchups);
+}
+
+export async function withLeagueLock(pool, leagueId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(roundQueries.lockLeague, [leagueId]);
+    if (!rows.length) {
+      const err = new Error("League not found");
+      err.status = 404;
+      throw err;
+    }
+    const result = await fn(client, rows[0]);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Start a DRAFT league's season at `startAt` (default now): write the
+ * full round robin for the current members and lock it. The league is
+ * ACTIVE straight away if the season starts now, LOCKED until then
+ * otherwise. Returns the updated league row.
+ */
+export async function startLeagueSeason(pool, { leagueId, members, startAt }) {
+  const start = startAt ? new Date(startAt) : new Date();
+
+  return withLeagueLock(pool, leagueId, async (client, league) => {
+    if (league.status !== "DRAFT") {
+      const err = new Error("League season has already started");
+      err.status = 409;
+      throw err;
+    }
+    if (!members || members.length < 2) {
+      const err = new Error("A league needs at least 2 members to start");
+      err.status = 400;
+      throw err;
+    }
+
+    const { rows } = await client.query(roundQueries.startSeason, [
+      leagueId,
+      start.toISOString(),
+    ]);
+    const started = rows[0];
+
+    const schedule = computeLeagueSchedule({ league: started, members });
+    for (const round of schedule) {
+      await insertRound(client, leagueId, round);
+    }
+
+    return started;
+  });
+}
+
+/**
+ * Lock the schedule of a league that is running without one: leagues
+ * created before seasons had to be started get their round robin written
+ * from created_at the first time they have two members.
+ */
+export async function ensureLeagueRounds(pool, { league, members }) {
+  if (league.status === "DRAFT" || league.status === "COMPLETED") return;
+  if (league.schedule_locked_at) return;
+
+  const schedule = computeLeagueSchedule({ league, members });
+  if (!schedule.length) return;
+
+  await withLeagueLock(pool, league.id, async (client, locked) => {
+    if (locked.schedule_locked_at) return;
+
+    const { rows: stored } = await client.query(roundQueries.getRounds, [
+      league.id,
+    ]);
+    const storedIndexes = new Set(stored.map((r) => r.round_index));
+    for (const round of schedule) {
+      if (!storedIndexes.has(round.roundIndex)) {
+        await insertRound(client, league.id, round);
+      }
+    }
+    await client.query(roundQueries.markScheduleLocked, [league.id]);
+  });
+}
+
+/**
+ * Fit members who joined after the schedule was locked into the
+ * head-to-head rounds that haven't started yet, keeping everyone else's
+ * pairings: a joiner plays whoever had the round's bye, or takes a bye
+ * when nobody had one. Started and finished rounds are left alone, and the
+ * number of rounds doesn't change. Run it with the client of a
+ * withLeagueLock, in the same transaction that added the member.
+ */
+export async function slotLateJoiner(client, { league, members, now }) {
+  if (getLeagueFormat(league.settings) !== "HEAD_TO_HEAD") return 0;
+  const nowMs = (now ? new Date(now) : new Date()).getTime();
+
+  const [roundRes, matchupRes] = await Promise.all([
+    client.query(roundQueries.getRounds, [league.id]),
+    client.query(roundQueries.getMatchups, [league.id]),
+  ]);
+  const regular = buildStoredSchedule(roundRes.rows, matchupRes.rows).filter(
+    (round) => round.stage === "REGULAR"
+  );
+
+  const scheduled = new Set();
+  for (const round of regular) {
+    for (const m of round.matchups) {
+      for (const id of [m.homeUserId, m.awayUserId, m.byeUserId]) {
+        if (id != null) scheduled.add(id);
+      }
+    }
+  }
+  const joiners = members.filter((m) => !scheduled.has(m.id));
+  if (!joiners.length) return 0;
+
+  let changed = 0;
+  for (const round of regular) {
+    if (round.status !== "SCHEDULED") continue;
+    if (new Date(round.start).getTime() <= nowMs) continue;
+
+    const matchups = round.matchups.map(({ stored, ...m }) => m);
+    for (const joiner of joiners) {
+      const bye = matchups.findIndex((m) => m.byeUserId != null);
+      if (bye === -1) {
+        matchups.push({ byeUserId: joiner.id, byeUsername: joiner.username });
+      } else {
+        matchups[bye] = {
+          homeUserId: matchups[bye].byeUserId,
+          homeUsername: matchups[bye].byeUsername,
+          awayUserId: joiner.id,
+          awayUsername: joiner.username,
+        };
+      }
+    }
+
+    await client.query(roundQueries.deleteRoundMatchups, [round.id]);
+    await insertMatchups(client, league.id, round.id, matchups);
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * The league's schedule as stored, or a preview for a DRAFT league whose
+ * season hasn't been started. A running league the worker hasn't locked a
+ * schedule for yet (see ensureLeagueRounds) gets the same preview with its
+ * rounds SCHEDULED. Read-only: rounds are only written by the worker and
+ * league actions.
+ */
+export async function getLeagueSchedule(pool, { league, members }) {
+  if (
+    league.status === "DRAFT" ||
+    (league.status !== "COMPLETED" && !league.schedule_locked_at)
+  ) {
+    const status = league.status === "DRAFT" ? "DRAFT" : "SCHEDULED";
+    return computeLeagueSchedule({ league, members }).map((r) => ({
+      ...r,
+      status,
+    }));
+  }
+
+  const [roundRes, matchupRes] = await Promise.all([
+    pool.query(roundQueries.getRounds, [league.id]),
+    pool.query(roundQueries.getMatchups, [league.id]),
+  ]);
+  const schedule = buildStoredSchedule(roundRes.rows, matchupRes.rows);
+
+  if (getLeagueFormat(league.settings) !== "HEAD_TO_HEAD") {
+    const results = await getFormatRoundResults(pool, { leagueId: league.id });
+    for (const round of schedule) {
+      round.results = results.get(round.roundIndex) || [];
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Rebuild the scoreHeadToHeadMatchup result for a matchup in a closed round.
+ */
+export function storedMatchupScore(leagueId, round, m) {
+  const s = m.stored;
+  return {
+    leagueId,
+    roundIndex: round.roundIndex,
+    label: round.label,
+    start: round.start,
+    end: round.end,
+    effectiveEnd: round.end,
+    scoring: describeScoring(round.scoringMethod || "PROFIT"),
+    home: {
+      userId: m.homeUserId,
+      startValue: Number(s.home_start_value),
+      endValue: Number(s.home_end_value),
+      profit: Number(s.home_end_value) - Number(s.home_start_value),
+      score: Number(s.home_score),
+    },
+    away: {
+      userId: m.awayUserId,
+      startValue: Number(s.away_start_value),
+      endValue: Number(s.away_end_value),
+      profit: Number(s.away_end_value) - Number(s.away_start_value),
+      score: Number(s.away_score),
+    },
+    winnerUserId: s.winner_user_id,
+    result: s.result,
+    tiebreak: Boolean(s.tiebreak),
+  };
+}
+
+// The name shown for a member: their display name if they've set one
+function displayName(member) {
+  return member.display_name || member.username;
+}
+
+/**
+ * Matchup scores for the round of a league's schedule that `pickRound`
+ * returns: stored results for closed rounds, live replays otherwise. Throws
+ * with status 404 for an unknown league or round.
+ */
+export async function getRoundScores(db, leagueId, pickRound) {
+  const leagueRes = await db.query(
+    `
+    SELECT id, name, settings, created_at, status, winner_user_id, completed_at,
+           season_start_at, schedule_locked_at
+    FROM leagues
+    WHERE id = $1
+    `,
+    [leagueId]
+  );
+
+  if (!leagueRes.rows.length) {
+    const err = new Error("League not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const league = leagueRes.rows[0];
+
+  const membersRes = await db.query(
+    `
+    SELECT u.id, u.username, u.display_name
+    FROM portfolios p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.league_id = $1
+    ORDER BY u.username ASC
+    `,
+    [leagueId]
+  );
+
+  const members = membersRes.rows;
+  const memberById = new Map(members.map((m) => [m.id, m]));
+
+  const settings = normalizeLeagueSettings(league.settings);
+  const schedule = await getLeagueSchedule(db, { league, members });
+
+  const round = pickRound(schedule);
+  if (!round) {
+    const err = new Error("Round not found in schedule");
+    err.status = 404;
+    throw err;
+  }
+
+  // Formats without matchups report each member's round result instead
+  let results = null;
+  if (getLeagueFormat(league.settings) !== "HEAD_TO_HEAD") {
+    results =
+      round.status === "CLOSED"
+        ? round.results || []
+        : await scoreOpenFormatRound(db, { league, members, round });
+  }
+
+  const scoredMatchups = [];
+
+  for (const m of round.matchups) {
+    if (m.byeUserId) {
+      const byeMember = memberById.get(m.byeUserId);
+      scoredMatchups.push({
+        type: "BYE",
+        byeUserId: m.byeUserId,
+        byeUsername: m.byeUsername,
+        byeDisplayName: byeMember ? displayName(byeMember) : m.byeUsername,
+      });
+      continue;
+    }
+
+    // Closed rounds were scored by the round-close job; only live
+    // rounds are replayed on request
+    const result =
+      round.status === "CLOSED" && m.stored.result
+        ? storedMatchupScore(leagueId, round, m)
+        : await scoreHeadToHeadMatchup(db, {
+            leagueId,
+            round,
+            homeUserId: m.homeUserId,
+            awayUserId: m.awayUserId,
+          });
+
+    const homeMember = memberById.get(m.homeUserId);
+    const awayMember = memberById.get(m.awayUserId);
+
+    scoredMatchups.push({
+      type: "HEAD_TO_HEAD",
+      homeUserId: m.homeUserId,
+      awayUserId: m.awayUserId,
+      homeUsername: m.homeUsername,
+      awayUsername: m.awayUsername,
+      homeDisplayName: homeMember ? displayName(homeMember) : m.homeUsername,
+      awayDisplayName: awayMember ? displayName(awayMember) : m.awayUsername,
+      score: result,
+    });
+  }
+
+  return {
+    league: {
+      id: league.id,
+      name: league.name,
+      settings,
+      created_at: league.created_at,
+    },
+    round: {
+      roundIndex: round.roundIndex,
+      label: round.label,
+      start: round.start,
+      end: round.end,
+      status: round.status,
+    },
+    // Closed rounds keep the method they were scored with
+    scoring: describeScoring(
+      round.scoringMethod || getScoringMethod(league.settings)
+    ),
+    format: describeFormat(getLeagueFormat(league.settings)),
+    matchups: scoredMatchups,
+    results,
+  };
+}
+
+function formatScore(score, unit) {
+  if (unit === "USD") return `$${score.toFixed(2)}`;
+  if (unit === "%") return `${score.toFixed(2)}%`;
+  return `${score.toFixed(2)} ${unit}`;
+}
+
+async function closeRound(pool, roundId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Another worker may be closing it already
+    const lock = await client.query(roundQueries.lockScheduledRound, [roundId]);
+    if (!lock.rows.length) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    const row = lock.rows[0];
+    const round = {
+      roundIndex: row.round_index,
+      label: row.label,
+      start: row.start_at,
+      end: row.end_at,
+    };
+    const isPlayoff = row.stage === "PLAYOFF";
+
+    const leagueRes = await client.query(leagueQueries.getLeagueSettings, [
+      row.league_id,
+    ]);
+    const settings = leagueRes.rows[0]?.settings;
+    const scoringMethod = getScoringMethod(settings);
+
+    const { rows: members } = await client.query(
+      leagueQueries.getLeagueMembers,
+      [row.league_id]
+    );
+    const link = "/matchups";
+
+    const format = getLeagueFormat(settings);
+    if (format !== "HEAD_TO_HEAD") {
+      const eliminatedUserId = await recordFormatRoundResults(client, {
+        leagueId: row.league_id,
+        format,
+        settings,
+        roundId,
+        round,
+        members,
+      });
+
+      const data = {
+        leagueId: String(row.league_id),
+        roundId: String(roundId),
+      };
+      await notifyUsers(
+        client,
+        members.map((m) => m.id).filter((id) => id !== eliminatedUserId),
+        {
+          type: "ROUND_RESULT",
+          title: `${round.label} results are in`,
+          link,
+          data,
+        }
+      );
+      if (eliminatedUserId) {
+        await createNotification(client, {
+          userId: eliminatedUserId,
+          type: "ROUND_RESULT",
+          title: `You were eliminated in ${round.label}`,
+          body: "You had the lowest score of the round.",
+          link,
+          data,
+        });
+      }
+    }
+
+    const usernames = new Map(members.map((m) => [m.id, m.username]));
+    const { unit } = describeScoring(scoringMethod);
+
+    const { rows: matchups } = await client.query(
+      roundQueries.getRoundMatchups,
+      [roundId]
+    );
+
+    for (const m of matchups) {
+      // Byes, and pairings where one side has since deleted their account
+      if (m.home_user_id == null || m.away_user_id == null) {
+        await client.query(roundQueries.recordMatchupResult, [
+          m.id,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          "BYE",
+          false,
+        ]);
+        continue;
+      }
+
+      const score = await scoreHeadToHeadMatchup(client, {
+        leagueId: row.league_id,
+        round,
+        homeUserId: m.home_user_id,
+        awayUserId: m.away_user_id,
+        asOf: round.end,
+        scoringMethod,
+      });
+
+      // Playoff ties go to the better seed, which is always home
+      const tiebreak = isPlayoff && score.result === "TIE";
+      const result = tiebreak ? "HOME_WIN" : score.result;
+      const winnerUserId = tiebreak ? m.home_user_id : score.winnerUserId;
+      await client.query(roundQueries.recordMatchupResult, [
+        m.id,
+        score.home.startValue,
+        score.home.endValue,
+        score.home.score,
+        score.away.startValue,
+        score.away.endValue,
+        score.away.score,
+        winnerUserId,
+        result,
+        tiebreak,
+      ]);
+
+      const sides = [
+        [m.home_user_id, score.home, m.away_user_id, score.away],
+        [m.away_user_id, score.away, m.home_user_id, score.home],
+      ];
+      for (const [userId, mine, opponentId, theirs] of sides) {
+        const outcome =
+          winnerUserId == null
+            ? "tied"
+            : winnerUserId === userId
+            ? "won"
+            : "lost";
+        await createNotification(client, {
+          userId,
+          type: "ROUND_RESULT",
+          title: `${round.label}: you ${outcome} against ${
+            usernames.get(opponentId) || "your opponent"
+          }`,
+          body: `Your score ${formatScore(
+            mine.score,
+            unit
+          )}, theirs ${formatScore(theirs.score, unit)}.${
+            tiebreak ? " Tied on score; the better seed advances." : ""
+          }`,
+          link,
+          data: {
+            leagueId: String(row.league_id),
+            roundId: String(roundId),
+            result: outcome.toUpperCase(),
+          },
+        });
+      }
+    }
+
+    await client.query(roundQueries.closeRound, [roundId, scoringMethod]);
+    await client.query("COMMIT");
+    return true;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Score and close every round whose end has passed, optionally for a single
+ * league. Returns the number of rounds closed.
+ */
+export async function closeDueRounds(pool, { leagueId = null, now } = {}) {
+  const asOf = now ? new Date(now) : new Date();
+  const { rows } = await pool.query(roundQueries.getDueRounds, [
+    asOf.toISOString(),
+    leagueId,
+  ]);
+
+  // one round failing to close doesn't hold up the others
+  let closed = 0;
+  for (const r of rows) {
+    try {
+      if (await closeRound(pool, r.id)) closed++;
+    } catch (e) {
+      console.error(`round ${r.id} close error:`, e.message || e);
+    }
+  }
+  return closed;
+}
+
+/**
+ * Make sure a league's finished rounds are stored and scored before its
+ * season is finalized, in case the worker hasn't caught up yet. Throws a
+ * 409 while any finished round is still unscored.
+ */
+export async function refreshLeagueResults(pool, { league, members }) {
+  if (league.status === "DRAFT" || league.status === "COMPLETED") return 0;
+  await ensureLeagueRounds(pool, { league, members });
+  const closed = await closeDueRounds(pool, { leagueId: league.id });
+
+  const { rows: open } = await pool.query(roundQueries.getDueRounds, [
+    new Date().toISOString(),
+    league.id,
+  ]);
+  if (open.length) {
+    const err = new Error(
+      "Some finished rounds haven't been scored yet; try again shortly"
+    );
+    err.status = 409;
+    throw err;
+  }
+  return closed;
+}
+
+/**
+ * Background job run by the price worker: move LOCKED leagues whose season
+ * has begun to ACTIVE, lock schedules for older leagues still running
+ * without one, then close the rounds that have ended.
+ */
+export async function runRoundCloseJob(pool) {
+  const activated = await pool.query(leagueQueries.activateStartedLeagues);
+  for (const l of activated.rows) {
+    console.log(`League ${l.id} season started`);
+  }
+
+  const { rows: leagues } = await pool.query(leagueQueries.getUnlockedLeagues);
+
+  for (const league of leagues) {
+    try {
+      const { rows: members } = await pool.query(
+        leagueQueries.getLeagueMembers,
+        [league.id]
+      );
+      await ensureLeagueRounds(pool, { league, members });
+    } catch (e) {
+      console.error(`league ${league.id} schedule sync error:`, e.message || e);
+    }
+  }
+
+  return closeDueRounds(pool);
+}
+
+/**
+ * Win/loss/tie standings from stored results of rounds closed by `asOf`.
+ */
+export async function computeLeagueStandings(
+  pool,
+  { leagueId, members, asOf }
+) {
+  const nowDate = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(nowDate.getTime())) {
+    const err = new Error("Invalid asOf timestamp");
+    err.status = 400;
+    throw err;
+  }
+
+  const standingsMap = new Map();
+  const entryFor = (userId, username) => {
+    if (!standingsMap.has(userId)) {
+      standingsMap.set(userId, {
+        userId,
+        username: username || "unknown",
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        games: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        byes: 0,
+      });
+    }
+    return standingsMap.get(userId);
+  };
+
+  for (const m of members) entryFor(m.id, m.username);
+
+  const { rows: results } = await pool.query(roundQueries.getClosedResults, [
+    leagueId,
+    nowDate.toISOString(),
+  ]);
+
+  for (const r of results) {
+    // BYE week – track but don't change record
+    if (r.result === "BYE") {
+      const byeUserId = r.bye_user_id ?? r.home_user_id ?? r.away_user_id;
+      if (byeUserId != null) {
+        const username = r.bye_username ?? r.home_username ?? r.away_username;
+        entryFor(byeUserId, username).byes += 1;
+      }
+      continue;
+    }
+
+    const homeEntry = entryFor(r.home_user_id, r.home_username);
+    const awayEntry = entryFor(r.away_user_id, r.away_username);
+
+    homeEntry.games += 1;
+    awayEntry.games += 1;
+
+    const homePoints = Number(r.home_score || 0);
+    const awayPoints = Number(r.away_score || 0);
+
+    homeEntry.pointsFor += homePoints;
+    homeEntry.pointsAgainst += awayPoints;
+    awayEntry.pointsFor += awayPoints;
+    awayEntry.pointsAgainst += homePoints;
+
+    if (r.result === "TIE" || r.winner_user_id == null) {
+      homeEntry.ties += 1;
+      awayEntry.ties += 1;
+    } else if (r.winner_user_id === r.home_user_id) {
+      homeEntry.wins += 1;
+      awayEntry.losses += 1;
+    } else if (r.winner_user_id === r.away_user_id) {
+      awayEntry.wins += 1;
+      homeEntry.losses += 1;
+    }
+  }
+
+  const standings = Array.from(standingsMap.values()).map((e) => ({
+    ...e,
+    pointsFor: Number(e.pointsFor.toFixed(2)),
+    pointsAgainst: Number(e.pointsAgainst.toFixed(2)),
+    pointDiff: Number((e.pointsFor - e.pointsAgainst).toFixed(2)),
+  }));
+
+  standings.sort((a, b) => {
+    // primary: wins
+    if (b.wins !== a.wins) return b.wins - a.wins;
+    // secondary: point differential
+    const bDiff = b.pointDiff;
+    const aDiff = a.pointDiff;
+    if (bDiff !== aDiff) return bDiff - aDiff;
+    // tertiary: points for
+    if (b.pointsFor !== a.pointsFor) return b.pointsFor - a.pointsFor;
+    // final: username
+    return a.username.localeCompare(b.username);
+  });
+
+  return {
+    asOf: nowDate.toISOString(),
+    standings,
+  };
+}
+
+/**
+ * Standings in the league's format: win/loss records for HEAD_TO_HEAD,
+ * the format's own ranking otherwise.
+ */
+export async function computeSeasonStandings(pool, { league, members, asOf }) {
+  if (getLeagueFormat(league.settings) !== "HEAD_TO_HEAD") {
+    const schedule = await getLeagueSchedule(pool, { league, members });
+    return computeFormatStandings(pool, { league, members, schedule, asOf });
+  }
+
+  const { asOf: at, standings } = await computeLeagueStandings(pool, {
+    leagueId: league.id,
+    members,
+    asOf,
+  });
+  return {
+    asOf: at,
+    format: "HEAD_TO_HEAD",
+    scoring: describeScoring(getScoringMethod(league.settings)),
+    standings,
+  };
+}
@@ -0,0 +1,172 @@
+import { normalizeLeagueSettings } from "./league_rules.js";
+import {
+  getPortfolioValueAtTime,
+  getPortfolioValueSeries,
+} from "./valuation.js";
+
+// Matchup scoring strategies, chosen per league with settings.scoringMethod.
+// Every strategy turns each side's round stats into a number where higher
+// is better; PROFIT (the original dollar-profit scoring) is the default.
+
+export const SCORING_METHODS = {
+  PROFIT: { label: "Dollar profit", unit: "USD", usesSeries: false },
+  PCT_RETURN: { label: "Percent return", unit: "%", usesSeries: false },
+  SHARPE: { label: "Risk-adjusted return", unit: "ratio", usesSeries: true },
+  DRAWDOWN: {
+    label: "Drawdown-penalized return",
+    unit: "%",
+    usesSeries: true,
+  },
+  ROTO: { label: "Category points (roto)", unit: "pts", usesSeries: true },
+};
+
+// Volatility floor for SHARPE, in percent, so a portfolio sitting in cash
+// doesn't divide by zero
+const MIN_VOLATILITY_PCT = 1;
+
+// Roto categories: each one won is a point, a tie is half a point
+const ROTO_CATEGORIES = [
+  { key: "returnPct", higherIsBetter: true },
+  { key: "sharpe", higherIsBetter: true },
+  { key: "maxDrawdownPct", higherIsBetter: false },
+];
+
+const EPS = 0.0001;
+
+export function getScoringMethod(rawSettings) {
+  const settings = normalizeLeagueSettings(rawSettings);
+  const method = String(settings.scoringMethod || "PROFIT").toUpperCase();
+  return SCORING_METHODS[method] ? method : "PROFIT";
+}
+
+export function describeScoring(method) {
+  const key = SCORING_METHODS[method] ? method : "PROFIT";
+  const { label, unit } = SCORING_METHODS[key];
+  return { method: key, label, unit };
+}
+
+/**
+ * Validate the scoring field from the create-league form. Returns the
+ * settings to store, or throws an error with status 400.
+ */
+export function parseScoringInput({ scoringMethod }) {
+  if (scoringMethod === undefined || scoringMethod === null) return {};
+  const method = String(scoringMethod).toUpperCase();
+  if (method === "" || method === "PROFIT") return {};
+  if (!SCORING_METHODS[method]) {
+    const err = new Error(
+      `Scoring method must be one of ${Object.keys(SCORING_METHODS).join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { scoringMethod: method };
+}
+
+/**
+ * Return, volatility and drawdown for a series of portfolio values.
+ */
+export function computeSeriesStats(values) {
+  const startValue = values[0];
+  const endValue = values[values.length - 1];
+  const returnPct =
+    startValue > 0 ? ((endValue - startValue) / startValue) * 100 : 0;
+
+  const stepReturns = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0) stepReturns.push(values[i] / values[i - 1] - 1);
+  }
+  const mean =
+    stepReturns.reduce((sum, r) => sum + r, 0) / (stepReturns.length || 1);
+  const variance =
+    stepReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) /
+    (stepReturns.length || 1);
+  const volatilityPct = Math.sqrt(variance * stepReturns.length) * 100;
+
+  let peak = -Infinity;
+  let maxDrawdownPct = 0;
+  for (const v of values) {
+    peak = Math.max(peak, v);
+    if (peak > 0) {
+      maxDrawdownPct = Math.max(maxDrawdownPct, ((peak - v) / peak) * 100);
+    }
+  }
+
+  return {
+    startValue,
+    endValue,
+    profit: endValue - startValue,
+    returnPct,
+    volatilityPct,
+    sharpe: returnPct / Math.max(volatilityPct, MIN_VOLATILITY_PCT),
+    maxDrawdownPct,
+  };
+}
+
+/**
+ * One member's stats for a round window. Methods that only need the two
+ * endpoints skip the intra-round series.
+ */
+export async function getRoundStats(
+  db,
+  { method, userId, leagueId, start, end }
+) {
+  if (SCORING_METHODS[method]?.usesSeries) {
+    const series = await getPortfolioValueSeries(db, {
+      userId,
+      leagueId,
+      start,
+      end,
+    });
+    return computeSeriesStats(series.map((p) => p.totalValue));
+  }
+
+  const [startVal, endVal] = await Promise.all([
+    getPortfolioValueAtTime(db, { userId, leagueId, asOf: start }),
+    getPortfolioValueAtTime(db, { userId, leagueId, asOf: end }),
+  ]);
+  return computeSeriesStats([startVal.totalValue, endVal.totalValue]);
+}
+
+function compareCategory(a, b, higherIsBetter) {
+  const diff = higherIsBetter ? a - b : b - a;
+  if (Math.abs(diff) <= EPS) return 0.5;
+  return diff > 0 ? 1 : 0;
+}
+
+/**
+ * Score one member on their own, for formats without an opponent. ROTO
+ * categories only mean something head to head, so it falls back to return.
+ */
+export function scoreMember(method, stats) {
+  switch (method) {
+    case "PCT_RETURN":
+    case "ROTO":
+      return stats.returnPct;
+    case "SHARPE":
+      return stats.sharpe;
+    case "DRAWDOWN":
+      return stats.returnPct - stats.maxDrawdownPct;
+    default:
+      return stats.profit;
+  }
+}
+
+/**
+ * Score both sides of a matchup. ROTO is relative to the opponent; every
+ * other method scores each side on its own.
+ */
+export function scoreSides(method, home, away) {
+  if (method !== "ROTO") {
+    return {
+      homeScore: scoreMember(method, home),
+      awayScore: scoreMember(method, away),
+    };
+  }
+
+  let homeScore = 0;
+  for (const c of ROTO_CATEGORIES) {
+    homeScore += compareCategory(home[c.key], away[c.key], c.higherIsBetter);
+  }
+  return { homeScore, awayScore: ROTO_CATEGORIES.length - homeScore };
+}
@@ -1,9 +1,13 @@
+import { getTradingStatuses } from "./halts.js";
+
 // Encapsulate trade page GET logic: build coins list (with latest prices)
 // and fetch user's holdings if DB is available.
 export default function makeTradeRoutes({
   pool,
   COIN_WHITELIST,
   getOrCreateCurrentLeagueId,
+  getLeagueCoinSymbols,
+  ensurePortfolio,
 }) {
   return {
     tradeGet: async (req, res) => {
@@ -15,12 +19,8 @@ export default function makeTradeRoutes({
         if (pool) {
           const leagueId = await getOrCreateCurrentLeagueId(req);
 
-          await pool.query(
-            `insert into portfolios (user_id, league_id)
-             values ($1, $2)
-             on conflict (user_id, league_id) do nothing`,
-            [req.session.userId, leagueId]
-          );
+          // starts with the league's starting balance on a first visit
+          await ensurePortfolio(req.session.userId, leagueId);
 
           const cashRow = await pool.query(
             "select cash_usd from portfolios where user_id = $1 and league_id = $2",
@@ -39,20 +39,21 @@ export default function makeTradeRoutes({
           );
           holdings = hrows;
 
-          // env whitelist now
-          const symbolsForUI = COIN_WHITELIST;
+          // only the coins this league trades
+          const symbolsForUI = await getLeagueCoinSymbols(leagueId);
 
-          const { rows } = await pool.query(
-            "select symbol, price_usd from prices_latest where symbol = any($1)",
-            [symbolsForUI]
-          );
-          const priceMap = Object.fromEntries(
-            rows.map((r) => [r.symbol, r.price_usd])
-          );
-          coins = symbolsForUI.map((s) => ({
-            symbol: s,
-            price_usd: priceMap[s] ?? null,
-          }));
+          // latest prices, with coins that can't be traded right now flagged
+          const statuses = await getTradingStatuses(pool, symbolsForUI);
+          coins = symbolsForUI.map((s) => {
+            const status = statuses.get(s);
+            return {
+              symbol: s,
+              price_usd: status?.price ?? null,
+              halted: status ? status.halted : true,
+              halt_reason: status?.reason ?? null,
+              halt_message: status?.message ?? null,
+            };
+          });
         } else {
           // No DB configured
           coins = COIN_WHITELIST.map((s) => ({ symbol: s, price_usd: null }));
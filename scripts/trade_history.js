@@ -0,0 +1,171 @@
+import { tradeHistoryQueries } from "./queries.js";
+import { getLeagueRules } from "./league_rules.js";
+
+// A player's full trade history and per-league portfolio snapshots, for the
+// trade-history page and spreadsheet exports.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+// Exports read in pages of this size until the history runs out
+const EXPORT_BATCH = 1000;
+
+export const TRADE_COLUMNS = [
+  "id",
+  "league_id",
+  "created_at",
+  "symbol",
+  "side",
+  "qty",
+  "price_usd",
+  "market_price_usd",
+  "cost_usd",
+  "fee_usd",
+  "slippage_usd",
+  "liquidation",
+];
+
+export const SNAPSHOT_COLUMNS = [
+  "league_id",
+  "league_name",
+  "league_status",
+  "starting_balance_usd",
+  "cash_usd",
+  "crypto_value_usd",
+  "total_value_usd",
+  "return_pct",
+  "trade_count",
+  "as_of",
+];
+
+function toTradeRow(r) {
+  return {
+    id: String(r.id),
+    league_id: Number(r.league_id),
+    created_at: new Date(r.created_at).toISOString(),
+    symbol: r.symbol,
+    side: r.side,
+    qty: Number(r.qty),
+    price_usd: Number(r.price_usd),
+    market_price_usd:
+      r.market_price_usd == null ? null : Number(r.market_price_usd),
+    cost_usd: Number(r.cost_usd),
+    fee_usd: Number(r.fee_usd),
+    slippage_usd: Number(r.slippage_usd),
+    liquidation: Boolean(r.liquidation),
+  };
+}
+
+async function queryTrades(db, { userId, leagueId, filters, cursor, limit }) {
+  const { rows } = await db.query(tradeHistoryQueries.listTrades, [
+    userId,
+    leagueId,
+    filters.symbol ?? null,
+    filters.side ?? null,
+    filters.from ? filters.from.toISOString() : null,
+    filters.to ? filters.to.toISOString() : null,
+    cursor ?? null,
+    limit,
+  ]);
+  return rows.map(toTradeRow);
+}
+
+/**
+ * One page of a user's trades in a league, newest first. `cursor` is the
+ * nextCursor of the previous page; nextCursor is null on the last page.
+ */
+export async function listTrades(
+  db,
+  { userId, leagueId, filters = {}, cursor = null, limit = DEFAULT_PAGE_SIZE }
+) {
+  if (cursor !== null && !/^\d+$/.test(String(cursor))) {
+    const err = new Error("Invalid cursor");
+    err.status = 400;
+    throw err;
+  }
+
+  // one extra row tells us whether there is another page
+  const rows = await queryTrades(db, {
+    userId,
+    leagueId,
+    filters,
+    cursor,
+    limit: limit + 1,
+  });
+  const trades = rows.slice(0, limit);
+  return {
+    trades,
+    nextCursor: rows.length > limit ? trades[trades.length - 1].id : null,
+  };
+}
+
+/**
+ * Every trade matching `filters`, newest first.
+ */
+export async function exportTrades(db, { userId, leagueId, filters = {} }) {
+  const all = [];
+  let cursor = null;
+  for (;;) {
+    const page = await queryTrades(db, {
+      userId,
+      leagueId,
+      filters,
+      cursor,
+      limit: EXPORT_BATCH,
+    });
+    all.push(...page);
+    if (page.length < EXPORT_BATCH) return all;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * The user's portfolio in every league they play, valued at latest prices.
+ */
+export async function getPortfolioSnapshots(db, userId, asOf = new Date()) {
+  const { rows } = await db.query(tradeHistoryQueries.getPortfolioSnapshots, [
+    userId,
+  ]);
+  return rows.map((r) => {
+    const startingBalance = getLeagueRules(r.settings).startingBalance;
+    const cash = Number(r.cash_usd);
+    const crypto = Number(r.crypto_value_usd);
+    const total = cash + crypto;
+    return {
+      league_id: Number(r.league_id),
+      league_name: r.league_name,
+      league_status: r.league_status,
+      starting_balance_usd: +startingBalance.toFixed(2),
+      cash_usd: +cash.toFixed(2),
+      crypto_value_usd: +crypto.toFixed(2),
+      total_value_usd: +total.toFixed(2),
+      return_pct:
+        startingBalance > 0
+          ? +(((total - startingBalance) / startingBalance) * 100).toFixed(4)
+          : 0,
+      trade_count: Number(r.trade_count),
+      as_of: asOf.toISOString(),
+    };
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  // Numbers are the only values let through as-is. Any string starting
+  // with a formula character is prefixed, even "-2+3..." that looks
+  // numeric, since some cells (league names) are written by other players.
+  const s = String(value);
+  const safe =
+    typeof value !== "number" && /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Rows as CSV with a header line, in `columns` order.
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
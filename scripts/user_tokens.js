@@ -0,0 +1,86 @@
+import crypto from "node:crypto";
+import { tokenQueries, userQueries } from "./queries.js";
+
+// Single-use links sent by email: PASSWORD_RESET and EMAIL_VERIFY. The raw
+// token only ever appears in the link; user_tokens keeps its SHA-256, so
+// reading the table doesn't give anyone a working link. Issuing a token
+// retires the user's earlier ones for the same purpose.
+
+export const TOKEN_TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFY: 48 * 60,
+};
+
+// Per user and purpose, to keep the reset form from being used to spam
+const MAX_TOKENS_PER_HOUR = 3;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function isTokenShaped(token) {
+  return typeof token === "string" && /^[A-Za-z0-9_-]{32,128}$/.test(token);
+}
+
+/**
+ * A new token for `purpose`, or null if the user has already been sent
+ * MAX_TOKENS_PER_HOUR of them in the last hour.
+ */
+export async function issueToken(db, userId, purpose) {
+  const { rows } = await db.query(tokenQueries.countRecentTokens, [
+    userId,
+    purpose,
+  ]);
+  if (rows[0].count >= MAX_TOKENS_PER_HOUR) return null;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await db.query(tokenQueries.revokeTokens, [userId, purpose]);
+  await db.query(tokenQueries.createToken, [
+    userId,
+    purpose,
+    hashToken(token),
+    TOKEN_TTL_MINUTES[purpose],
+  ]);
+  return token;
+}
+
+/**
+ * Use up a token. Returns its user's id, or null if the token is unknown,
+ * already used or expired.
+ */
+export async function consumeToken(db, token, purpose) {
+  if (!isTokenShaped(token)) return null;
+  const { rows } = await db.query(tokenQueries.consumeToken, [
+    hashToken(token),
+    purpose,
+  ]);
+  return rows.length ? rows[0].user_id : null;
+}
+
+/**
+ * Set a new password from a reset token. Bumping the session version ends
+ * every session signed in with the old password. Returns the user's id, or
+ * null for a bad token.
+ */
+export async function resetPasswordWithToken(pool, token, passwordHash) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const userId = await consumeToken(client, token, "PASSWORD_RESET");
+    if (userId === null) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    await client.query(userQueries.updatePassword, [userId, passwordHash]);
+    await client.query(tokenQueries.revokeTokens, [userId, "PASSWORD_RESET"]);
+    await client.query("COMMIT");
+    return userId;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
@@ -5,3 +5,42 @@ create table if not exists users (
   password_hash varchar(255) not null,
   created_at timestamp default current_timestamp
 );
+
+-- Bumped whenever the password changes. Sessions remember the version they
+-- signed in with and end once it no longer matches.
+alter table users add column if not exists session_version integer not null default 0;
+
+-- Accounts from before email verification count as verified: the column
+-- is added with a now() default to backfill them, then dropped so new
+-- accounts start unverified
+alter table users add column if not exists email_verified_at timestamptz default now();
+alter table users alter column email_verified_at drop default;
+
+-- Single-use tokens sent by email (password reset, email verification).
+-- Only the SHA-256 of each token is stored.
+create table if not exists user_tokens (
+  id         bigserial primary key,
+  user_id    integer     not null references users(id) on delete cascade,
+  purpose    text        not null check (purpose in ('PASSWORD_RESET','EMAIL_VERIFY')),
+  token_hash text        not null unique,
+  expires_at timestamptz not null,
+  used_at    timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_user_tokens_user
+  on user_tokens (user_id, purpose, created_at desc);
+
+-- Account settings. display_name is shown instead of the username where
+-- set; display_currency is what USD values are converted to for display.
+alter table users add column if not exists display_name varchar(50);
+alter table users add column if not exists display_currency char(3) not null default 'USD';
+alter table users add column if not exists avatar_updated_at timestamptz;
+
+-- Uploaded avatar images, kept out of users so user lookups stay small
+create table if not exists user_avatars (
+  user_id      integer     primary key references users(id) on delete cascade,
+  content_type text        not null,
+  image        bytea       not null,
+  updated_at   timestamptz not null default now()
+);
@@ -0,0 +1,249 @@
+import { portfolioHistoryQueries, leagueQueries } from "./queries.js";
+import { getLeagueRules } from "./league_rules.js";
+import { computeMarginStatus } from "./margin.js";
+import { getPriceSeries, getStoredPriceAtOrBefore } from "./candles.js";
+
+// Point-in-time portfolio valuation by replaying a member's trades against
+// stored prices (minutes, or hourly/daily candle closes once the minutes
+// have been pruned). Used for round scoring in the web process and the
+// round-close job in the price worker.
+
+export async function getPriceAtOrBefore(db, symbol, asOf) {
+  if (!db) return 0;
+
+  const asOfDate = asOf instanceof Date ? asOf : new Date(asOf);
+  if (Number.isNaN(asOfDate.getTime())) {
+    throw new Error("Invalid asOf timestamp");
+  }
+
+  try {
+    const stored = await getStoredPriceAtOrBefore(db, symbol, asOfDate);
+    if (stored !== null) return stored;
+  } catch (e) {
+    console.error("getPriceAtOrBefore historical error:", e);
+  }
+
+  try {
+    const latestRes = await db.query(
+      `
+      SELECT price_usd
+      FROM prices_latest
+      WHERE symbol = $1
+      `,
+      [symbol]
+    );
+    if (latestRes.rows.length) {
+      return Number(latestRes.rows[0].price_usd);
+    }
+  } catch (e) {
+    console.error("getPriceAtOrBefore latest fallback error:", e);
+  }
+
+  return 0;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error("Invalid asOf timestamp");
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
+async function loadReplayInputs(db, { userId, leagueId }) {
+  if (!db) {
+    const err = new Error("Database not configured");
+    err.status = 500;
+    throw err;
+  }
+
+  const leagueRes = await db.query(leagueQueries.getLeagueSettings, [leagueId]);
+  const startingBalance = getLeagueRules(
+    leagueRes.rows[0]?.settings
+  ).startingBalance;
+
+  const tradesRes = await db.query(portfolioHistoryQueries.getTrades, [
+    userId,
+    leagueId,
+  ]);
+
+  return { startingBalance, trades: tradesRes.rows };
+}
+
+function applyTrade(state, trade) {
+  const symbol = trade.symbol;
+  const qty = Number(trade.qty);
+  const cost = qty * Number(trade.price_usd);
+  const fee = Number(trade.fee_usd || 0);
+
+  if (trade.side === "BUY") {
+    state.cash -= cost + fee;
+    state.holdings[symbol] = (state.holdings[symbol] || 0) + qty;
+  } else if (trade.side === "SELL") {
+    state.cash += cost - fee;
+    state.holdings[symbol] = (state.holdings[symbol] || 0) - qty;
+  }
+  // negative qty is a short; only drop positions that are fully closed
+  if (Math.abs(state.holdings[symbol]) < 1e-9) {
+    delete state.holdings[symbol];
+  }
+}
+
+export async function getPortfolioValueAtTime(db, { userId, leagueId, asOf }) {
+  const asOfDate = toDate(asOf);
+  const { startingBalance, trades } = await loadReplayInputs(db, {
+    userId,
+    leagueId,
+  });
+
+  const state = { cash: startingBalance, holdings: {} };
+  const asOfMs = asOfDate.getTime();
+  for (const trade of trades) {
+    if (new Date(trade.created_at).getTime() > asOfMs) break;
+    applyTrade(state, trade);
+  }
+  const { cash, holdings } = state;
+
+  const prices = {};
+  const symbols = Object.keys(holdings);
+
+  for (const sym of symbols) {
+    prices[sym] = await getPriceAtOrBefore(db, sym, asOfDate);
+  }
+
+  const { longValue, shortValue } = computeMarginStatus(
+    cash,
+    symbols.map((sym) => ({ qty: holdings[sym], price: prices[sym] }))
+  );
+  const cryptoValue = longValue - shortValue;
+  const totalValue = cash + cryptoValue;
+
+  return {
+    userId,
+    leagueId,
+    asOf: asOfDate.toISOString(),
+    cash,
+    cryptoValue,
+    longValue,
+    shortValue,
+    totalValue,
+    holdings,
+    prices,
+  };
+}
+
+// Price path per symbol over [startMs, endMs]: the last known price before
+// the window, then every stored point inside it at the finest interval
+// still kept. Read forward in time with priceAt.
+async function loadPricePaths(db, symbols, startMs, endMs) {
+  const paths = {};
+  for (const sym of symbols) {
+    const initial = await getPriceAtOrBefore(db, sym, new Date(startMs));
+    const { points } = await getPriceSeries(db, [sym], {
+      from: new Date(startMs),
+      to: new Date(endMs),
+    });
+    paths[sym] = {
+      price: initial,
+      next: 0,
+      points: points
+        .filter((p) => p.closeAt.getTime() > startMs)
+        .map((p) => ({ ms: p.closeAt.getTime(), price: p.close })),
+    };
+  }
+  return paths;
+}
+
+// Price at `t`; calls must come in time order
+function priceAt(path, t) {
+  while (path.next < path.points.length && path.points[path.next].ms <= t) {
+    path.price = path.points[path.next++].price;
+  }
+  return path.price;
+}
+
+/**
+ * A symbol's stored price at each of `times` (ms, ascending).
+ */
+export async function getPricesAt(db, symbol, times) {
+  if (!times.length) return [];
+  const paths = await loadPricePaths(
+    db,
+    [symbol],
+    times[0],
+    times[times.length - 1]
+  );
+  return times.map((t) => priceAt(paths[symbol], t));
+}
+
+/**
+ * Portfolio value at each of `times` (ms, ascending), replaying trades once
+ * and reading each symbol's prices for the window in a single query.
+ * `positions` is the value of each open position (negative for shorts).
+ */
+export async function getPortfolioValuesAt(db, { userId, leagueId, times }) {
+  const { startingBalance, trades } = await loadReplayInputs(db, {
+    userId,
+    leagueId,
+  });
+  if (!times.length) return [];
+
+  const paths = await loadPricePaths(
+    db,
+    new Set(trades.map((t) => t.symbol)),
+    times[0],
+    times[times.length - 1]
+  );
+
+  const state = { cash: startingBalance, holdings: {} };
+  let nextTrade = 0;
+  const series = [];
+
+  for (const t of times) {
+    while (
+      nextTrade < trades.length &&
+      new Date(trades[nextTrade].created_at).getTime() <= t
+    ) {
+      applyTrade(state, trades[nextTrade++]);
+    }
+
+    let cryptoValue = 0;
+    const positions = {};
+    for (const [sym, qty] of Object.entries(state.holdings)) {
+      positions[sym] = qty * priceAt(paths[sym], t);
+      cryptoValue += positions[sym];
+    }
+
+    series.push({
+      asOf: new Date(t).toISOString(),
+      cash: state.cash,
+      cryptoValue,
+      totalValue: state.cash + cryptoValue,
+      positions,
+    });
+  }
+
+  return series;
+}
+
+/**
+ * Portfolio value sampled at `samples` + 1 evenly spaced points from
+ * `start` to `end`.
+ */
+export async function getPortfolioValueSeries(
+  db,
+  { userId, leagueId, start, end, samples = 48 }
+) {
+  const startMs = toDate(start).getTime();
+  const endMs = Math.max(toDate(end).getTime(), startMs);
+
+  const steps = endMs > startMs ? samples : 0;
+  const times = [];
+  for (let i = 0; i <= steps; i++) {
+    times.push(startMs + ((endMs - startMs) * i) / (steps || 1));
+  }
+
+  return getPortfolioValuesAt(db, { userId, leagueId, times });
+}
@@ -6,13 +6,121 @@ import bcrypt from "bcrypt";
 import session from "express-session";
 import fs from "node:fs";
 import makeTradeRoutes from "./scripts/trade.js";
+import { assertLeagueTrading, executeFill } from "./scripts/execution.js";
+import { validateOrderType } from "./scripts/orders.js";
+import { computeMarginStatus, isBelowMaintenance } from "./scripts/margin.js";
+import { createPriceProvider } from "./scripts/price_provider.js";
+import { createLiveHub } from "./scripts/live.js";
+import { getTradablePrice, getTradingStatuses } from "./scripts/halts.js";
+import {
+  getPortfolioAnalytics,
+  getLeagueAnalytics,
+} from "./scripts/analytics.js";
+import {
+  getBenchmarkSeries,
+  getLeagueMedianSeries,
+} from "./scripts/benchmarks.js";
+import { createMailerFromEnv } from "./scripts/mail.js";
+import {
+  leagueInviteEmail,
+  passwordResetEmail,
+  emailVerificationEmail,
+} from "./scripts/mail_templates.js";
+import {
+  issueToken,
+  consumeToken,
+  resetPasswordWithToken,
+  TOKEN_TTL_MINUTES,
+} from "./scripts/user_tokens.js";
+import {
+  DISPLAY_CURRENCIES,
+  MAX_AVATAR_BYTES,
+  assertCurrentPassword,
+  parseCredentialsInput,
+  parseProfileInput,
+  updateCredentials,
+  validateNewPassword,
+  changePassword,
+  saveAvatar,
+  avatarUrl,
+  getAccountDeletionSummary,
+  deleteAccount,
+} from "./scripts/accounts.js";
+import { parseAlertInput, MAX_ACTIVE_ALERTS } from "./scripts/alerts.js";
+import {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  notifyLeagueMembers,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  DEFAULT_NOTIFICATION_LIMIT,
+  MAX_NOTIFICATION_LIMIT,
+} from "./scripts/notifications.js";
+import {
+  getPositionPerformance,
+  parseCostBasisMethod,
+  DEFAULT_COST_BASIS_METHOD,
+} from "./scripts/cost_basis.js";
+import {
+  listTrades,
+  exportTrades,
+  getPortfolioSnapshots,
+  toCsv,
+  TRADE_COLUMNS,
+  SNAPSHOT_COLUMNS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} from "./scripts/trade_history.js";
+import {
+  getPriceSeries,
+  getChartSeries,
+  downsamplePoints,
+  CHART_RANGES,
+  DEFAULT_CHART_POINTS,
+  MAX_CHART_POINTS,
+} from "./scripts/candles.js";
+import {
+  getLeagueSchedule,
+  getRoundScores,
+  computeSeasonStandings,
+  refreshLeagueResults,
+  startLeagueSeason,
+  slotLateJoiner,
+  withLeagueLock,
+} from "./scripts/rounds.js";
+import {
+  getPlayoffSettings,
+  parsePlayoffSettingsInput,
+  updatePlayoffs,
+  getPlayoffBracket,
+} from "./scripts/playoffs.js";
+import {
+  getScoringMethod,
+  describeScoring,
+  parseScoringInput,
+} from "./scripts/scoring.js";
+import {
+  getLeagueFormat,
+  describeFormat,
+  parseLeagueFormatInput,
+} from "./scripts/formats.js";
+import {
+  DEFAULT_STARTING_BALANCE,
+  normalizeLeagueSettings,
+  getLeagueRules,
+  parseLeagueRulesInput,
+} from "./scripts/league_rules.js";
 import {
   portfolioQueries,
   portfolioHistoryQueries,
-  priceQueries,
   leagueQueries,
   userQueries,
-  coinQueries,
+  accountQueries,
+  orderQueries,
+  watchlistQueries,
+  alertQueries,
 } from "./scripts/queries.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -26,9 +134,14 @@ app.set("views", path.join(__dirname, "views"));
 app.use(express.static(path.join(__dirname, "public")));
 
 const PORT = process.env.PORT || 8080;
+// The site's public URL. Links carrying sign-in tokens (password reset,
+// email verification) are only ever built from this, never from the
+// request's Host header, which the client controls.
+const BASE_URL = (process.env.BASE_URL || "").replace(/\/$/, "") || null;
 let CG_API_KEY = process.env.CG_API_KEY || null;
-const FAST_SCHEDULE =
-  process.env.FAST_SCHEDULE === "1" || process.env.FAST_SCHEDULE === "true";
+// Price source settings (see scripts/price_provider.js)
+let PRICE_SOURCE = process.env.PRICE_SOURCE || null;
+let PRICE_FILE = process.env.PRICE_FILE || null;
 
 function normalizeCoinId(raw) {
   return String(raw || "")
@@ -44,7 +157,24 @@ async function getDefaultLeagueCoinSymbols() {
 }
 
 const cgChartCache = new Map();
-const CG_CACHE_TTL_MS = 5 * 60 * 1000; // 5 mins
+const CG_CACHE_TTL_MS = 5 * 60 * 1000; // 5 mins, chart fallback only
+
+// League analytics replay every member's portfolio, so they're cached
+const leagueAnalyticsCache = new Map();
+const LEAGUE_ANALYTICS_TTL_MS = 5 * 60 * 1000;
+
+// So is the league median benchmark, per league and chart window
+const leagueMedianCache = new Map();
+const LEAGUE_MEDIAN_TTL_MS = 5 * 60 * 1000;
+
+// TOTAL_RETURN standings score every member over the whole season, so
+// they're cached too, for as long as the member list doesn't change
+const leagueStandingsCache = new Map();
+const LEAGUE_STANDINGS_TTL_MS = 5 * 60 * 1000;
+
+// USD exchange rates for display currencies, refreshed hourly
+let exchangeRateCache = null;
+const EXCHANGE_RATE_TTL_MS = 60 * 60 * 1000;
 
 // Load database config
 let dbConfig = null;
@@ -62,6 +192,10 @@ if (process.env.DATABASE_URL) {
       const envData = JSON.parse(fs.readFileSync(envPath, "utf-8"));
 
       if (!CG_API_KEY && envData.CG_API_KEY) CG_API_KEY = envData.CG_API_KEY;
+      if (!PRICE_SOURCE && envData.PRICE_SOURCE) {
+        PRICE_SOURCE = envData.PRICE_SOURCE;
+      }
+      if (!PRICE_FILE && envData.PRICE_FILE) PRICE_FILE = envData.PRICE_FILE;
 
       dbConfig = {
         user: envData.user,
@@ -81,6 +215,29 @@ if (process.env.DATABASE_URL) {
 
 const pool = dbConfig ? new Pool(dbConfig) : null;
 
+const priceProvider = createPriceProvider({
+  source: PRICE_SOURCE,
+  apiKey: CG_API_KEY,
+  file: PRICE_FILE,
+  speed: process.env.PRICE_REPLAY_SPEED,
+  startedAt: process.env.PRICE_REPLAY_START,
+});
+console.log(`Using ${priceProvider.name} price source`);
+
+// Outbound email (see scripts/mail.js for MAIL_TRANSPORT)
+const mailer = createMailerFromEnv();
+console.log(`Using ${mailer.transport} mail transport`);
+
+// Pushes price ticks, portfolio values and live matchup scores to open
+// pages; the loaders are the ones behind the matching API routes
+const liveHub = pool
+  ? createLiveHub({
+      pool,
+      loadPortfolio: buildPortfolioPayload,
+      loadLiveScores: loadLiveRoundScores,
+    })
+  : null;
+
 const COIN_WHITELIST = (
   process.env.COIN_WHITELIST ||
   process.env.CG_IDS ||
@@ -105,15 +262,129 @@ app.use(
   })
 );
 
-// Auth middleware
-function requireAuth(req, res, next) {
-  if (req.session.userId) {
-    next();
-  } else {
-    res.redirect("/login");
+// The signed-in user's session state ({ session_version,
+// display_currency }) if the session is still valid, else null: a session
+// from before the user's last password change (or for a deleted account)
+// is ended here
+async function getCurrentSession(req) {
+  if (!req.session.userId) return null;
+  if (!pool) return {};
+
+  const { rows } = await pool.query(userQueries.getSessionState, [
+    req.session.userId,
+  ]);
+  if (
+    rows.length &&
+    rows[0].session_version === (req.session.sessionVersion || 0)
+  ) {
+    return rows[0];
+  }
+  await new Promise((resolve) => req.session.destroy(resolve));
+  return null;
+}
+
+// Fetch exchange rates in the background; concurrent callers share one
+// request, and a failure keeps the last rates until the next TTL
+let exchangeRateRefresh = null;
+function refreshExchangeRates() {
+  if (exchangeRateRefresh) return exchangeRateRefresh;
+  exchangeRateRefresh = priceProvider
+    .getExchangeRates()
+    .then((rates) => {
+      exchangeRateCache = { ts: Date.now(), rates };
+    })
+    .catch((e) => {
+      console.error("exchange rates error:", e.message || e);
+      exchangeRateCache = {
+        ts: Date.now(),
+        rates: exchangeRateCache?.rates || {},
+      };
+    })
+    .finally(() => {
+      exchangeRateRefresh = null;
+    });
+  return exchangeRateRefresh;
+}
+
+// { code, rate } for showing USD amounts in `code` from the cached rates,
+// so a page never waits on the price source. Stale rates start a refresh;
+// amounts show in USD until there is a rate for `code`.
+function getDisplayCurrency(code) {
+  if (!code || code === "USD") return { code: "USD", rate: 1 };
+
+  if (
+    !exchangeRateCache ||
+    Date.now() - exchangeRateCache.ts >= EXCHANGE_RATE_TTL_MS
+  ) {
+    refreshExchangeRates();
+  }
+  const rate = exchangeRateCache?.rates[code];
+  return rate > 0 ? { code, rate } : { code: "USD", rate: 1 };
+}
+
+// Auth middleware. Pages get the user's display currency for the topbar.
+async function requireAuth(req, res, next) {
+  try {
+    const state = await getCurrentSession(req);
+    if (state) {
+      res.locals.displayCurrency = getDisplayCurrency(state.display_currency);
+      next();
+    } else {
+      res.redirect("/login");
+    }
+  } catch (e) {
+    next(e);
+  }
+}
+
+// New accounts must confirm their email before joining leagues when
+// REQUIRE_EMAIL_VERIFICATION=true
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+if (REQUIRE_EMAIL_VERIFICATION && !BASE_URL) {
+  throw new Error("REQUIRE_EMAIL_VERIFICATION=true needs BASE_URL to be set");
+}
+if (!BASE_URL) {
+  console.warn("BASE_URL is not set; password reset emails are disabled");
+}
+
+// Base for links carrying sign-in tokens; a 503 without BASE_URL
+function accountLinkBase() {
+  if (!BASE_URL) {
+    const err = new Error("Account emails aren't available on this server");
+    err.status = 503;
+    throw err;
+  }
+  return BASE_URL;
+}
+
+async function assertCanJoinLeagues(userId) {
+  if (!REQUIRE_EMAIL_VERIFICATION) return;
+  const { rows } = await pool.query(userQueries.getEmailVerification, [userId]);
+  if (rows.length && !rows[0].email_verified_at) {
+    const err = new Error("Confirm your email address before joining leagues");
+    err.status = 403;
+    throw err;
   }
 }
 
+// Email a verification link; false if the user already has too many
+// outstanding
+async function sendVerificationEmail(user) {
+  const base = accountLinkBase();
+  const token = await issueToken(pool, user.id, "EMAIL_VERIFY");
+  if (!token) return false;
+  await mailer.send(
+    user.email,
+    emailVerificationEmail({
+      username: user.username,
+      verifyUrl: `${base}/verify-email?token=${token}`,
+      expiresHours: TOKEN_TTL_MINUTES.EMAIL_VERIFY / 60,
+    })
+  );
+  return true;
+}
+
 // Helpers
 
 function generateJoinCode(length = 6) {
@@ -125,20 +396,22 @@ function generateJoinCode(length = 6) {
   return out;
 }
 
+/**
+ * The site's base URL for links that leave the page (invites). Uses
+ * BASE_URL if set, otherwise constructs from the request; never use it for
+ * links carrying tokens (see accountLinkBase).
+ */
+function appUrl(req) {
+  if (BASE_URL) return BASE_URL;
+  // Fallback to request-based construction (works with trust proxy)
+  return `${req.protocol}://${req.get("host")}`;
+}
+
 /**
  * Build an invite URL for a league join code.
- * Uses BASE_URL env var if available, otherwise constructs from request.
  */
 function buildInviteUrl(req, joinCode) {
-  const baseUrl = process.env.BASE_URL;
-  if (baseUrl) {
-    // Use environment variable if set (most reliable for deployments)
-    return `${baseUrl.replace(/\/$/, "")}/league/join/${joinCode}`;
-  }
-  // Fallback to request-based construction (works with trust proxy)
-  const protocol = req.protocol;
-  const host = req.get("host");
-  return `${protocol}://${host}/league/join/${joinCode}`;
+  return `${appUrl(req)}/league/join/${joinCode}`;
 }
 
 async function joinLeagueForUserByCode(userId, rawCode) {
@@ -164,32 +437,108 @@ async function joinLeagueForUserByCode(userId, rawCode) {
 
   const league = rows[0];
 
-  if (league.status === "COMPLETED") {
-    const err = new Error("League is already completed");
-    err.status = 409;
-    throw err;
-  }
+  // The checks and the join run under the league's row lock, so concurrent
+  // joins can't overfill it or re-pair rounds from a stale member list
+  const members = await withLeagueLock(
+    pool,
+    league.id,
+    async (client, locked) => {
+      if (locked.status === "COMPLETED") {
+        const err = new Error("League is already completed");
+        err.status = 409;
+        throw err;
+      }
 
-  if (league.member_limit != null) {
-    const countRes = await pool.query(leagueQueries.countLeagueMembers, [
-      league.id,
-    ]);
-    const memberCount = Number(countRes.rows[0].member_count || 0);
-    if (memberCount >= league.member_limit) {
-      const err = new Error("League is full");
-      err.status = 409;
-      throw err;
-    }
-  }
+      const memberRes = await client.query(leagueQueries.checkMembership, [
+        userId,
+        league.id,
+      ]);
+      if (memberRes.rows.length) return null;
+
+      await assertCanJoinLeagues(userId);
+
+      // Once the schedule is locked only leagues that allow late joins take
+      // new members, and they only play the rounds that haven't started
+      const lateJoin = Boolean(locked.schedule_locked_at);
+      if (
+        lateJoin &&
+        !normalizeLeagueSettings(locked.settings).allowLateJoins
+      ) {
+        const err = new Error("League season has already started");
+        err.status = 409;
+        throw err;
+      }
+
+      if (league.member_limit != null) {
+        const countRes = await client.query(leagueQueries.countLeagueMembers, [
+          league.id,
+        ]);
+        const memberCount = Number(countRes.rows[0].member_count || 0);
+        if (memberCount >= league.member_limit) {
+          const err = new Error("League is full");
+          err.status = 409;
+          throw err;
+        }
+      }
+
+      await client.query(leagueQueries.ensurePortfolio, [
+        userId,
+        league.id,
+        getLeagueRules(locked.settings).startingBalance,
+      ]);
 
-  await ensurePortfolio(userId, league.id);
+      const { rows: joined } = await client.query(
+        leagueQueries.getLeagueMembers,
+        [league.id]
+      );
+      if (lateJoin) {
+        await slotLateJoiner(client, { league: locked, members: joined });
+      }
+      return joined;
+    }
+  );
+  if (!members) return league;
+
+  const joiner = members.find((m) => m.id === userId);
+  await notifyLeague(
+    league.id,
+    {
+      type: "LEAGUE_JOIN",
+      title: `${joiner ? joiner.username : "A new player"} joined ${
+        league.name
+      }`,
+      link: "/league",
+    },
+    { exceptUserId: userId }
+  );
 
   return league;
 }
 
+// League event notifications are a side effect: the action has already
+// happened, so a failure here is logged rather than returned
+async function notifyLeague(leagueId, notification, options) {
+  try {
+    await notifyLeagueMembers(pool, leagueId, notification, options);
+  } catch (e) {
+    console.error("league notification error:", e);
+  }
+}
+
+// A member's portfolio in a league, starting with the league's starting
+// balance on their first visit
 async function ensurePortfolio(userId, leagueId) {
   if (!pool) return;
-  await pool.query(leagueQueries.ensurePortfolio, [userId, leagueId]);
+  const existing = await pool.query(leagueQueries.checkMembership, [
+    userId,
+    leagueId,
+  ]);
+  if (existing.rows.length) return;
+  await pool.query(leagueQueries.ensurePortfolio, [
+    userId,
+    leagueId,
+    await getLeagueStartingBalance(leagueId),
+  ]);
 }
 
 async function ensureSoloLeagueForUser(userId) {
@@ -247,440 +596,91 @@ async function getOrCreateCurrentLeagueId(req) {
   return leagueId;
 }
 
-async function getCurrentPrice(coinId) {
-  const id = normalizeCoinId(coinId);
-  const { rows } = await pool.query(priceQueries.getLatestPrice, [id]);
-  return rows[0]?.price_usd ?? null;
+/**
+ * Halt fields for API payloads, from a getTradingStatuses entry.
+ */
+function haltFields(status) {
+  return {
+    trading_halted: status ? status.halted : false,
+    halt_reason: status?.reason ?? null,
+    halt_message: status?.message ?? null,
+    halted_until: status?.haltedUntil ?? null,
+  };
 }
 
-function validateSymbol(raw) {
+function validateSymbol(raw, allowed = COIN_WHITELIST) {
   const s = normalizeCoinId(raw);
-  if (!s || !COIN_WHITELIST.includes(s)) return null;
+  if (!s || !allowed.includes(s)) return null;
   return s;
 }
 
-function normalizeLeagueSettings(rawSettings) {
-  if (!rawSettings) return {};
-  if (typeof rawSettings === "object") return rawSettings;
-  try {
-    return JSON.parse(rawSettings);
-  } catch {
-    return {};
-  }
-}
-
-function computeLeagueSchedule({ league, members }) {
-  const settings = normalizeLeagueSettings(league.settings);
-  const freq = (settings.matchupFrequency || "WEEKLY").toUpperCase();
-  const isDaily = freq === "DAILY";
-
-  const intervalMs = isDaily
-    ? FAST_SCHEDULE
-      ? 5 * 60 * 1000
-      : 24 * 60 * 60 * 1000 // 5 min or 1 day
-    : FAST_SCHEDULE
-    ? 5 * 60 * 1000
-    : 7 * 24 * 60 * 60 * 1000;
-
-  const startDate = league.created_at
-    ? new Date(league.created_at)
-    : new Date();
-
-  if (!members || members.length < 2) {
-    return [];
-  }
-
-  const players = members.map((m) => ({ id: m.id, username: m.username }));
-
-  if (players.length % 2 === 1) {
-    players.push({ id: null, username: "BYE" });
-  }
-
-  const numPlayers = players.length;
-  const baseRounds = numPlayers - 1;
-
-  const baseRoundMatchups = [];
-  let arr = players.slice();
-
-  for (let r = 0; r < baseRounds; r++) {
-    const matchups = [];
-    const half = numPlayers / 2;
-
-    for (let i = 0; i < half; i++) {
-      const home = arr[i];
-      const away = arr[numPlayers - 1 - i];
-
-      const homeHasPlayer = home && home.id != null;
-      const awayHasPlayer = away && away.id != null;
-
-      if (homeHasPlayer && awayHasPlayer) {
-        matchups.push({
-          homeUserId: home.id,
-          awayUserId: away.id,
-          homeUsername: home.username,
-          awayUsername: away.username,
-        });
-      } else if (homeHasPlayer || awayHasPlayer) {
-        const bye = homeHasPlayer ? home : away;
-        matchups.push({
-          byeUserId: bye.id,
-          byeUsername: bye.username,
-        });
-      }
-    }
-
-    baseRoundMatchups.push(matchups);
-
-    const fixed = arr[0];
-    const rest = arr.slice(1);
-    rest.unshift(rest.pop());
-    arr = [fixed, ...rest];
-  }
-
-  let totalRounds;
-  const matchupCountSetting = Number(settings.matchupCount);
-
-  if (Number.isInteger(matchupCountSetting) && matchupCountSetting > 0) {
-    totalRounds = Math.min(matchupCountSetting, 1000);
-  } else {
-    totalRounds = baseRounds;
-  }
-
-  if (!Number.isInteger(totalRounds) || totalRounds <= 0) {
-    totalRounds = baseRounds;
-  }
-
-  const schedule = [];
-
-  for (let r = 0; r < totalRounds; r++) {
-    const patternIndex = r % baseRounds;
-    const roundStart = new Date(startDate.getTime() + r * intervalMs);
-    const roundEnd = new Date(roundStart.getTime() + intervalMs - 1);
-
-    const templateMatchups = baseRoundMatchups[patternIndex];
-    const matchups = templateMatchups.map((m) => ({ ...m }));
-
-    schedule.push({
-      roundIndex: r + 1,
-      label: isDaily ? `Day ${r + 1}` : `Week ${r + 1}`,
-      start: roundStart.toISOString(),
-      end: roundEnd.toISOString(),
-      matchups,
-    });
-  }
-
-  return schedule;
-}
-
-async function getPriceAtOrBefore(symbol, asOf) {
-  if (!pool) return 0;
-
-  const asOfDate = asOf instanceof Date ? asOf : new Date(asOf);
-  if (Number.isNaN(asOfDate.getTime())) {
-    throw new Error("Invalid asOf timestamp");
-  }
-  const asOfIso = asOfDate.toISOString();
-
-  try {
-    const histRes = await pool.query(
-      `
-      SELECT price_usd
-      FROM price_points_min
-      WHERE symbol = $1
-        AND ts_min <= $2
-      ORDER BY ts_min DESC
-      LIMIT 1
-      `,
-      [symbol, asOfIso]
-    );
-
-    if (histRes.rows.length) {
-      return Number(histRes.rows[0].price_usd);
-    }
-  } catch (e) {
-    console.error("getPriceAtOrBefore historical error:", e);
-  }
-
-  try {
-    const latestRes = await pool.query(
-      `
-      SELECT price_usd
-      FROM prices_latest
-      WHERE symbol = $1
-      `,
-      [symbol]
-    );
-    if (latestRes.rows.length) {
-      return Number(latestRes.rows[0].price_usd);
-    }
-  } catch (e) {
-    console.error("getPriceAtOrBefore latest fallback error:", e);
-  }
-
-  return 0;
-}
-
-async function getPortfolioValueAtTime({ userId, leagueId, asOf }) {
-  if (!pool) {
-    const err = new Error("Database not configured");
-    err.status = 500;
-    throw err;
-  }
-
-  const asOfDate = asOf instanceof Date ? asOf : new Date(asOf);
-  if (Number.isNaN(asOfDate.getTime())) {
-    const err = new Error("Invalid asOf timestamp");
-    err.status = 400;
-    throw err;
-  }
-
-  let cash = 100000;
-  const holdings = {}; // symbol -> qty
+/**
+ * Coins tradable in a league: its coin_symbols, restricted to what the price
+ * worker tracks. Leagues created before coin_symbols existed get the whole
+ * whitelist.
+ */
+async function getLeagueCoinSymbols(leagueId) {
+  if (!pool || !leagueId) return [...COIN_WHITELIST];
 
-  const tradesRes = await pool.query(portfolioHistoryQueries.getTrades, [
-    userId,
+  const { rows } = await pool.query(leagueQueries.getLeagueCoinSymbols, [
     leagueId,
   ]);
+  const symbols = rows[0]?.coin_symbols;
+  if (!Array.isArray(symbols) || !symbols.length) return [...COIN_WHITELIST];
 
-  const asOfMs = asOfDate.getTime();
-  const trades = tradesRes.rows.filter(
-    (t) => new Date(t.created_at).getTime() <= asOfMs
-  );
-
-  for (const trade of trades) {
-    const symbol = trade.symbol;
-    const qty = Number(trade.qty);
-    const price = Number(trade.price_usd);
-    const cost = qty * price;
-
-    if (trade.side === "BUY") {
-      cash -= cost;
-      holdings[symbol] = (holdings[symbol] || 0) + qty;
-    } else if (trade.side === "SELL") {
-      cash += cost;
-      holdings[symbol] = (holdings[symbol] || 0) - qty;
-      if (holdings[symbol] <= 0) {
-        delete holdings[symbol];
-      }
-    }
-  }
-
-  let cryptoValue = 0;
-  const prices = {};
-  const symbols = Object.keys(holdings);
-
-  for (const sym of symbols) {
-    const px = await getPriceAtOrBefore(sym, asOfDate);
-    prices[sym] = px;
-    cryptoValue += holdings[sym] * px;
-  }
-
-  const totalValue = cash + cryptoValue;
-
-  return {
-    userId,
-    leagueId,
-    asOf: asOfDate.toISOString(),
-    cash,
-    cryptoValue,
-    totalValue,
-    holdings,
-    prices,
-  };
+  return symbols
+    .map((s) => normalizeCoinId(s))
+    .filter((s) => COIN_WHITELIST.includes(s));
 }
 
-async function scoreHeadToHeadMatchup({
-  leagueId,
-  round,
-  homeUserId,
-  awayUserId,
-}) {
-  const roundStart = new Date(round.start);
-  const roundEnd = new Date(round.end);
-
-  if (Number.isNaN(roundStart.getTime()) || Number.isNaN(roundEnd.getTime())) {
-    const err = new Error("Invalid round start/end");
-    err.status = 500;
+/**
+ * Parse a `from` / `to` query parameter: an ISO date or epoch milliseconds.
+ * Returns `fallback` when absent; throws a 400 when unparseable.
+ */
+function parseTimeParam(raw, name, fallback) {
+  if (raw === undefined || raw === "") return fallback;
+  const s = String(raw);
+  const date = new Date(/^\d+$/.test(s) ? Number(s) : s);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`${name} must be an ISO date or epoch milliseconds`);
+    err.status = 400;
     throw err;
   }
+  return date;
+}
 
-  const now = new Date();
-  const effectiveEnd = now.getTime() < roundEnd.getTime() ? now : roundEnd;
-
-  const [homeStart, homeEnd, awayStart, awayEnd] = await Promise.all([
-    getPortfolioValueAtTime({
-      userId: homeUserId,
-      leagueId,
-      asOf: roundStart,
-    }),
-    getPortfolioValueAtTime({
-      userId: homeUserId,
-      leagueId,
-      asOf: effectiveEnd,
-    }),
-    getPortfolioValueAtTime({
-      userId: awayUserId,
-      leagueId,
-      asOf: roundStart,
-    }),
-    getPortfolioValueAtTime({
-      userId: awayUserId,
-      leagueId,
-      asOf: effectiveEnd,
-    }),
-  ]);
-
-  const homeProfit = homeEnd.totalValue - homeStart.totalValue;
-  const awayProfit = awayEnd.totalValue - awayStart.totalValue;
-
-  const EPS = 0.0001;
-  const diff = homeProfit - awayProfit;
-
-  let winnerUserId = null;
-  let result = "TIE";
-
-  if (Math.abs(diff) > EPS) {
-    if (diff > 0) {
-      winnerUserId = homeUserId;
-      result = "HOME_WIN";
-    } else {
-      winnerUserId = awayUserId;
-      result = "AWAY_WIN";
-    }
-  } else {
-    const valueDiff = homeEnd.totalValue - awayEnd.totalValue;
-    if (Math.abs(valueDiff) > EPS) {
-      winnerUserId = valueDiff > 0 ? homeUserId : awayUserId;
-      result = winnerUserId === homeUserId ? "HOME_WIN" : "AWAY_WIN";
-    } else {
-      winnerUserId = null;
-      result = "TIE";
-    }
-  }
+/**
+ * Parse a league creator's coin selection (array or comma-separated string).
+ * Returns null when nothing was chosen; throws a 400 for untracked coins.
+ */
+function parseLeagueCoinSymbols(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
 
-  return {
-    leagueId,
-    roundIndex: round.roundIndex,
-    label: round.label,
-    start: roundStart.toISOString(),
-    end: roundEnd.toISOString(),
-    effectiveEnd: effectiveEnd.toISOString(),
-    home: {
-      userId: homeUserId,
-      startValue: homeStart.totalValue,
-      endValue: homeEnd.totalValue,
-      profit: homeProfit,
-    },
-    away: {
-      userId: awayUserId,
-      startValue: awayStart.totalValue,
-      endValue: awayEnd.totalValue,
-      profit: awayProfit,
-    },
-    winnerUserId,
-    result, // "HOME_WIN", "AWAY_WIN", or "TIE"
-  };
-}
+  const list = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((s) => normalizeCoinId(s))
+    .filter(Boolean);
+  if (!list.length) return null;
 
-async function computeLeagueStandings({ leagueId, league, members, asOf }) {
-  const nowDate = asOf ? new Date(asOf) : new Date();
-  if (Number.isNaN(nowDate.getTime())) {
-    const err = new Error("Invalid asOf timestamp");
+  const unknown = list.filter((s) => !COIN_WHITELIST.includes(s));
+  if (unknown.length) {
+    const err = new Error(`Coins not tracked: ${unknown.join(", ")}`);
     err.status = 400;
     throw err;
   }
 
-  const schedule = computeLeagueSchedule({ league, members });
-
-  const standingsMap = new Map();
-  for (const m of members) {
-    standingsMap.set(m.id, {
-      userId: m.id,
-      username: m.username,
-      wins: 0,
-      losses: 0,
-      ties: 0,
-      games: 0,
-      pointsFor: 0,
-      pointsAgainst: 0,
-      byes: 0,
-    });
-  }
-
-  for (const round of schedule) {
-    const roundEnd = new Date(round.end);
-    if (Number.isNaN(roundEnd.getTime())) continue;
-
-    // Only count fully finished rounds
-    if (roundEnd.getTime() > nowDate.getTime()) continue;
-
-    for (const m of round.matchups) {
-      // BYE week – track but don't change record
-      if (m.byeUserId) {
-        const byeEntry = standingsMap.get(m.byeUserId);
-        if (byeEntry) byeEntry.byes += 1;
-        continue;
-      }
-
-      const score = await scoreHeadToHeadMatchup({
-        leagueId,
-        round,
-        homeUserId: m.homeUserId,
-        awayUserId: m.awayUserId,
-      });
-
-      const homeEntry = standingsMap.get(m.homeUserId);
-      const awayEntry = standingsMap.get(m.awayUserId);
-      if (!homeEntry || !awayEntry) continue; // safety
-
-      homeEntry.games += 1;
-      awayEntry.games += 1;
-
-      const homePoints = score.home.profit;
-      const awayPoints = score.away.profit;
-
-      homeEntry.pointsFor += homePoints;
-      homeEntry.pointsAgainst += awayPoints;
-      awayEntry.pointsFor += awayPoints;
-      awayEntry.pointsAgainst += homePoints;
-
-      if (score.result === "TIE" || score.winnerUserId == null) {
-        homeEntry.ties += 1;
-        awayEntry.ties += 1;
-      } else if (score.winnerUserId === m.homeUserId) {
-        homeEntry.wins += 1;
-        awayEntry.losses += 1;
-      } else if (score.winnerUserId === m.awayUserId) {
-        awayEntry.wins += 1;
-        homeEntry.losses += 1;
-      }
-    }
-  }
-
-  const standings = Array.from(standingsMap.values()).map((e) => ({
-    ...e,
-    pointsFor: Number(e.pointsFor.toFixed(2)),
-    pointsAgainst: Number(e.pointsAgainst.toFixed(2)),
-    pointDiff: Number((e.pointsFor - e.pointsAgainst).toFixed(2)),
-  }));
-
-  standings.sort((a, b) => {
-    // primary: wins
-    if (b.wins !== a.wins) return b.wins - a.wins;
-    // secondary: point differential
-    const bDiff = b.pointDiff;
-    const aDiff = a.pointDiff;
-    if (bDiff !== aDiff) return bDiff - aDiff;
-    // tertiary: points for
-    if (b.pointsFor !== a.pointsFor) return b.pointsFor - a.pointsFor;
-    // final: username
-    return a.username.localeCompare(b.username);
-  });
+  return [...new Set(list)];
+}
 
-  return {
-    asOf: nowDate.toISOString(),
-    standings,
-  };
+/**
+ * Starting cash for every member of a league, used to seed portfolios and
+ * as the origin of every trade replay.
+ */
+async function getLeagueStartingBalance(leagueId) {
+  if (!pool || !leagueId) return DEFAULT_STARTING_BALANCE;
+  const { rows } = await pool.query(leagueQueries.getLeagueSettings, [
+    leagueId,
+  ]);
+  return getLeagueRules(rows[0]?.settings).startingBalance;
 }
 
 // Redirect root to login if not authenticated, otherwise to dashboard
@@ -695,23 +695,43 @@ app.get("/", (req, res) => {
 // Public routes (no auth required)
 app.get("/login", (_req, res) => res.render("login"));
 app.get("/register", (_req, res) => res.render("register"));
+app.get("/forgot-password", (_req, res) => res.render("forgot-password"));
+app.get("/reset-password", (_req, res) => res.render("reset-password"));
+
+// Link from the verification email; works whether or not the user is
+// signed in on this browser
+app.get("/verify-email", async (req, res) => {
+  let verified = false;
+  try {
+    if (pool) {
+      const userId = await consumeToken(pool, req.query.token, "EMAIL_VERIFY");
+      if (userId !== null) {
+        await pool.query(userQueries.markEmailVerified, [userId]);
+        verified = true;
+      }
+    }
+  } catch (e) {
+    console.error("verify email error:", e);
+  }
+  res.status(verified ? 200 : 400).render("verify-email", { verified });
+});
 
 // Protected routes - require authentication
 app.get("/index", requireAuth, (req, res) =>
   res.render("index", { activePage: "index" })
 );
 app.get("/league", requireAuth, (req, res) =>
-  res.render("league", { activePage: "league" })
+  res.render("league", { activePage: "league", trackedCoins: COIN_WHITELIST })
 );
 app.get("/matchups", requireAuth, (req, res) =>
   res.render("matchups", { activePage: "matchups" })
 );
 app.get("/league/join/:code", async (req, res) => {
   const joinCode = req.params.code;
-  if (!req.session.userId) {
-    return res.redirect(`/login?join=${encodeURIComponent(joinCode)}`);
-  }
   try {
+    if (!(await getCurrentSession(req))) {
+      return res.redirect(`/login?join=${encodeURIComponent(joinCode)}`);
+    }
     const league = await joinLeagueForUserByCode(req.session.userId, joinCode);
     req.session.currentLeagueId = league.id;
     return res.redirect("/portfolio");
@@ -733,12 +753,24 @@ app.get("/coin-detail", requireAuth, (req, res) =>
 app.get("/portfolio", requireAuth, (req, res) =>
   res.render("portfolio", { activePage: "portfolio" })
 );
+app.get("/trades", requireAuth, (req, res) =>
+  res.render("trades", { activePage: "trades" })
+);
+app.get("/account", requireAuth, (req, res) =>
+  res.render("account", {
+    activePage: "account",
+    currencies: DISPLAY_CURRENCIES,
+    maxAvatarBytes: MAX_AVATAR_BYTES,
+  })
+);
 
 // use trade routes module to keep logic out of server.js
 const tradeRoutes = makeTradeRoutes({
   pool,
   COIN_WHITELIST,
   getOrCreateCurrentLeagueId,
+  getLeagueCoinSymbols,
+  ensurePortfolio,
 });
 app.get("/trade", requireAuth, tradeRoutes.tradeGet);
 
@@ -785,6 +817,14 @@ async function initDB() {
       console.log("Portfolio tables initialized");
     }
 
+    // Watchlists, price alerts and notifications from scripts/alerts.sql
+    const alertsSqlPath = path.join(__dirname, "scripts", "alerts.sql");
+    if (fs.existsSync(alertsSqlPath)) {
+      const sql3 = fs.readFileSync(alertsSqlPath, "utf8");
+      await pool.query(sql3);
+      console.log("Alert tables initialized");
+    }
+
     console.log("Database tables initialized");
   } catch (e) {
     console.error("Error initializing database:", e);
@@ -821,6 +861,15 @@ app.post("/api/register", async (req, res) => {
 
     const user = result.rows[0];
     req.session.userId = user.id;
+    req.session.sessionVersion = user.session_version;
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (e) {
+        console.error("verification email error:", e);
+      }
+    }
 
     res.json({
       success: true,
@@ -865,6 +914,7 @@ app.post("/api/login", async (req, res) => {
     }
 
     req.session.userId = user.id;
+    req.session.sessionVersion = user.session_version;
 
     res.json({
       success: true,
@@ -895,23 +945,343 @@ app.get("/api/me", requireAuth, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    res.json({ user: result.rows[0] });
+    const { email_verified_at, avatar_updated_at, ...user } = result.rows[0];
+    res.json({
+      user: {
+        ...user,
+        email_verified: email_verified_at !== null,
+        avatar_url: avatarUrl(user.id, avatar_updated_at),
+      },
+      emailVerificationRequired: REQUIRE_EMAIL_VERIFICATION,
+    });
   } catch (e) {
     res.status(500).json({ error: "Failed to get user" });
   }
 });
 
+// ----------------------
+// ACCOUNT SETTINGS
+// ----------------------
+
+// Display name and display currency: { displayName, displayCurrency }
+app.put("/api/account/profile", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { displayName, displayCurrency } = parseProfileInput(req.body);
+    const { rows } = await pool.query(accountQueries.updateProfile, [
+      req.session.userId,
+      displayName,
+      displayCurrency,
+    ]);
+    res.json({ success: true, profile: rows[0] });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Update profile error:", e);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// Username and email: { username, email, currentPassword }. A new email
+// address has to be confirmed again.
+app.put("/api/account/credentials", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { username, email } = parseCredentialsInput(req.body);
+    await assertCurrentPassword(
+      pool,
+      req.session.userId,
+      req.body.currentPassword
+    );
+
+    const user = await updateCredentials(pool, req.session.userId, {
+      username,
+      email,
+    });
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (e) {
+        console.error("verification email error:", e);
+      }
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        email_verified: user.email_verified_at !== null,
+      },
+    });
+  } catch (e) {
+    if (e.code === "23505") {
+      return res
+        .status(409)
+        .json({ error: "That username or email is already taken" });
+    }
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Update credentials error:", e);
+    res.status(500).json({ error: "Failed to update account" });
+  }
+});
+
+// { currentPassword, newPassword }. Other sessions are signed out; this
+// one carries on with the new session version.
+app.put("/api/account/password", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { currentPassword, newPassword } = req.body;
+    validateNewPassword(newPassword);
+    await assertCurrentPassword(pool, req.session.userId, currentPassword);
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    req.session.sessionVersion = await changePassword(
+      pool,
+      req.session.userId,
+      passwordHash
+    );
+    res.json({ success: true });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Change password error:", e);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Avatar upload: the raw image as the request body
+app.put(
+  "/api/account/avatar",
+  requireAuth,
+  express.raw({ type: "image/*", limit: MAX_AVATAR_BYTES }),
+  async (req, res) => {
+    try {
+      if (!pool)
+        return res.status(500).json({ error: "Database not configured" });
+
+      const updatedAt = await saveAvatar(pool, req.session.userId, req.body);
+      res.json({
+        success: true,
+        avatar_url: avatarUrl(req.session.userId, updatedAt),
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error("Avatar upload error:", e);
+      res.status(500).json({ error: "Failed to save avatar" });
+    }
+  }
+);
+
+app.delete("/api/account/avatar", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    await pool.query(accountQueries.deleteAvatar, [req.session.userId]);
+    res.json({ success: true });
+  } catch (e) {
+    console.error("Avatar delete error:", e);
+    res.status(500).json({ error: "Failed to remove avatar" });
+  }
+});
+
+app.get("/api/users/:id/avatar", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId)) {
+      return res.status(404).json({ error: "No avatar" });
+    }
+    const { rows } = await pool.query(accountQueries.getAvatar, [userId]);
+    if (!rows.length) return res.status(404).json({ error: "No avatar" });
+
+    // URLs carry the upload time, so each one can be cached for good
+    res.setHeader("Content-Type", rows[0].content_type);
+    res.set({
+      "Cache-Control": "private, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.end(rows[0].image);
+  } catch (e) {
+    console.error("Avatar fetch error:", e);
+    res.status(500).json({ error: "Failed to load avatar" });
+  }
+});
+
+// What deleting the account would do to each of the user's leagues
+app.get("/api/account/deletion-summary", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    res.json({
+      leagues: await getAccountDeletionSummary(pool, req.session.userId),
+    });
+  } catch (e) {
+    console.error("Deletion summary error:", e);
+    res.status(500).json({ error: "Failed to load account summary" });
+  }
+});
+
+// Delete the account: { password }
+app.delete("/api/account", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const userId = req.session.userId;
+    await assertCurrentPassword(pool, userId, req.body.password);
+    const leagues = await deleteAccount(pool, userId);
+
+    for (const league of leagues) {
+      leagueAnalyticsCache.delete(String(league.id));
+      leagueMedianCache.delete(String(league.id));
+      leagueStandingsCache.delete(String(league.id));
+    }
+    req.session.destroy(() => res.json({ success: true, leagues }));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Delete account error:", e);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+// Email a reset link if an account uses `email`
+async function sendPasswordResetEmail(email) {
+  const base = accountLinkBase();
+  const { rows } = await pool.query(userQueries.getUserByEmail, [email]);
+  if (!rows.length) return;
+
+  const user = rows[0];
+  const token = await issueToken(pool, user.id, "PASSWORD_RESET");
+  if (!token) return;
+  await mailer.send(
+    user.email,
+    passwordResetEmail({
+      username: user.username,
+      resetUrl: `${base}/reset-password?token=${token}`,
+      expiresMinutes: TOKEN_TTL_MINUTES.PASSWORD_RESET,
+    })
+  );
+}
+
+// Start a password reset: { email }. The answer is the same whether or not
+// an account uses the address, and comes before any lookup or mail is
+// sent, so neither it nor its timing can be used to find accounts.
+app.post("/api/password/forgot", async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const email = String(req.body.email || "").trim();
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+    accountLinkBase();
+
+    res.json({
+      success: true,
+      message: "If an account uses that email, a reset link is on its way.",
+    });
+    sendPasswordResetEmail(email).catch((e) =>
+      console.error("password reset email error:", e)
+    );
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Forgot password error:", e);
+    res.status(500).json({ error: "Failed to start password reset" });
+  }
+});
+
+// Finish a password reset: { token, password }. Signs out every session.
+app.post("/api/password/reset", async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { token, password } = req.body;
+    if (!password || password.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const userId = await resetPasswordWithToken(pool, token, passwordHash);
+    if (userId === null) {
+      return res
+        .status(400)
+        .json({ error: "This reset link is invalid or has expired" });
+    }
+
+    if (req.session.userId) req.session.destroy(() => {});
+    res.json({ success: true });
+  } catch (e) {
+    console.error("Reset password error:", e);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+// Send a fresh verification link to the signed-in user
+app.post("/api/email/verify/resend", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { rows } = await pool.query(userQueries.getEmailVerification, [
+      req.session.userId,
+    ]);
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    if (rows[0].email_verified_at) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    const sent = await sendVerificationEmail({
+      id: req.session.userId,
+      ...rows[0],
+    });
+    if (!sent) {
+      return res
+        .status(429)
+        .json({ error: "Too many emails sent; try again in an hour" });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("Resend verification error:", e);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+});
+
 app.post("/api/leagues", requireAuth, async (req, res) => {
   try {
     if (!pool) {
       return res.status(500).json({ error: "Database not configured" });
     }
 
-    const { name, memberCount, matchupCount, matchupFrequency } = req.body;
+    const { name, memberCount, matchupCount, matchupFrequency, coinSymbols } =
+      req.body;
     const trimmedName = (name || "").trim();
     if (!trimmedName) {
       return res.status(400).json({ error: "League name is required" });
     }
+    // The name goes into email subjects, so no header-breaking characters
+    if (/[\u0000-\u001f\u007f]/.test(trimmedName)) {
+      return res
+        .status(400)
+        .json({ error: "League name contains invalid characters" });
+    }
+
+    await assertCanJoinLeagues(req.session.userId);
 
     let memberLimit = null;
     if (
@@ -949,24 +1319,56 @@ app.post("/api/leagues", requireAuth, async (req, res) => {
       freq = "WEEKLY";
     }
 
+    let rules;
+    try {
+      rules = {
+        ...parseLeagueRulesInput(req.body),
+        ...parsePlayoffSettingsInput(req.body),
+        ...parseScoringInput(req.body),
+        ...parseLeagueFormatInput(req.body),
+      };
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+
+    if (rules.format && rules.playoffSeeds) {
+      return res.status(400).json({
+        error: "Playoffs are only available for head-to-head leagues",
+      });
+    }
+
     const settings = {
       matchupCount: totalMatchups,
       matchupFrequency: freq,
+      ...rules,
     };
+    if (
+      req.body.allowLateJoins === true ||
+      req.body.allowLateJoins === "true"
+    ) {
+      settings.allowLateJoins = true;
+    }
 
     let leagueId = null;
     let joinCode = null;
 
-    const leagueCoinSymbols = await getDefaultLeagueCoinSymbols();
+    let leagueCoinSymbols;
+    try {
+      leagueCoinSymbols =
+        parseLeagueCoinSymbols(coinSymbols) ||
+        (await getDefaultLeagueCoinSymbols());
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
 
     // Keep trying until we get a unique join code
     while (!leagueId) {
       joinCode = generateJoinCode();
       try {
         const result = await pool.query(
-          `insert into leagues (name, owner_user_id, join_code, member_limit, coin_symbols, settings)
-           values ($1, $2, $3, $4, $5, $6)
-           returning id, coin_symbols, settings`,
+          `insert into leagues (name, owner_user_id, join_code, member_limit, coin_symbols, settings, status)
+           values ($1, $2, $3, $4, $5, $6, 'DRAFT')
+           returning id, coin_symbols, settings, status`,
           [
             trimmedName,
             req.session.userId,
@@ -1002,9 +1404,11 @@ app.post("/api/leagues", requireAuth, async (req, res) => {
         inviteUrl,
         coinSymbols: leagueCoinSymbols,
         settings,
+        status: "DRAFT",
       },
     });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("Create league error:", e);
     if (!res.headersSent) {
       return res.status(500).json({ error: "Failed to create league" });
@@ -1038,6 +1442,89 @@ app.post("/api/leagues/join", requireAuth, async (req, res) => {
   }
 });
 
+const MAX_INVITE_EMAILS = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Email the league's invite link: { emails: "a@x.io, b@y.io" | [...], leagueId? }
+app.post("/api/leagues/invite", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const raw = Array.isArray(req.body.emails)
+      ? req.body.emails.join(",")
+      : String(req.body.emails || "");
+    const emails = [
+      ...new Set(
+        raw
+          .split(/[\s,;]+/)
+          .map((e) => e.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    if (!emails.length) {
+      return res.status(400).json({ error: "Enter at least one email" });
+    }
+    if (emails.length > MAX_INVITE_EMAILS) {
+      return res.status(400).json({
+        error: `You can invite at most ${MAX_INVITE_EMAILS} people at once`,
+      });
+    }
+    const invalid = emails.find((e) => !EMAIL_PATTERN.test(e));
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid email: ${invalid}` });
+    }
+
+    const leagueId = req.body.leagueId
+      ? Number(req.body.leagueId)
+      : await getOrCreateCurrentLeagueId(req);
+    const memberRes = await pool.query(leagueQueries.checkMembership, [
+      req.session.userId,
+      leagueId,
+    ]);
+    if (!memberRes.rows.length) {
+      return res.status(403).json({ error: "You are not in that league" });
+    }
+
+    const [{ rows: leagues }, { rows: users }] = await Promise.all([
+      pool.query(leagueQueries.getLeagueById, [leagueId]),
+      pool.query(userQueries.getUserById, [req.session.userId]),
+    ]);
+    const league = leagues[0];
+    if (!league || !league.join_code) {
+      return res.status(404).json({ error: "League not found" });
+    }
+    if (league.status === "COMPLETED") {
+      return res.status(409).json({ error: "League is already completed" });
+    }
+
+    const message = leagueInviteEmail({
+      inviterName: users[0].display_name || users[0].username,
+      leagueName: league.name,
+      inviteUrl: buildInviteUrl(req, league.join_code),
+    });
+
+    const failed = [];
+    for (const email of emails) {
+      try {
+        await mailer.send(email, message);
+      } catch (e) {
+        console.error(`invite email to ${email} error:`, e.message || e);
+        failed.push(email);
+      }
+    }
+
+    if (failed.length === emails.length) {
+      return res.status(502).json({ error: "Failed to send invite emails" });
+    }
+    res.json({ success: true, sent: emails.length - failed.length, failed });
+  } catch (e) {
+    console.error("Send league invites error:", e);
+    res.status(500).json({ error: "Failed to send invites" });
+  }
+});
+
 // Get generated schedule for the current active league
 app.get("/api/leagues/schedule", requireAuth, async (req, res) => {
   try {
@@ -1049,7 +1536,8 @@ app.get("/api/leagues/schedule", requireAuth, async (req, res) => {
 
     const leagueRes = await pool.query(
       `
-      SELECT id, name, settings, created_at, status, winner_user_id, completed_at, join_code, owner_user_id
+      SELECT id, name, settings, created_at, status, winner_user_id, completed_at, join_code, owner_user_id,
+             season_start_at, schedule_locked_at
       FROM leagues
       WHERE id = $1
       `,
@@ -1076,7 +1564,12 @@ app.get("/api/leagues/schedule", requireAuth, async (req, res) => {
     const members = membersRes.rows;
 
     const settings = normalizeLeagueSettings(league.settings);
-    const schedule = computeLeagueSchedule({ league, members });
+    const schedule = (await getLeagueSchedule(pool, { league, members })).map(
+      ({ id, closedAt, matchups, ...round }) => ({
+        ...round,
+        matchups: matchups.map(({ stored, ...m }) => m),
+      })
+    );
     const matchupFrequencyResolved = (
       settings.matchupFrequency || "WEEKLY"
     ).toUpperCase();
@@ -1094,6 +1587,11 @@ app.get("/api/leagues/schedule", requireAuth, async (req, res) => {
         owner_user_id: league.owner_user_id || null,
         joinCode,
         inviteUrl,
+        coinSymbols: await getLeagueCoinSymbols(league.id),
+        status: league.status,
+        season_start_at: league.season_start_at,
+        scoring: describeScoring(getScoringMethod(league.settings)),
+        format: describeFormat(getLeagueFormat(league.settings)),
         isOwner:
           req.session.userId && league.owner_user_id === req.session.userId,
       },
@@ -1108,6 +1606,26 @@ app.get("/api/leagues/schedule", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Scores for the league's round in progress, or null between rounds.
+ */
+async function loadLiveRoundScores(leagueId) {
+  const now = Date.now();
+  try {
+    return await getRoundScores(pool, leagueId, (schedule) =>
+      schedule.find(
+        (r) =>
+          r.status !== "CLOSED" &&
+          new Date(r.start).getTime() <= now &&
+          now < new Date(r.end).getTime()
+      )
+    );
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
 // Get scores for a specific round in the current active league
 app.get(
   "/api/leagues/round/:roundIndex/scores",
@@ -1127,95 +1645,15 @@ app.get(
 
       const leagueId = await getOrCreateCurrentLeagueId(req);
 
-      const leagueRes = await pool.query(
-        `
-      SELECT id, name, settings, created_at, status, winner_user_id, completed_at
-      FROM leagues
-      WHERE id = $1
-      `,
-        [leagueId]
-      );
-
-      if (!leagueRes.rows.length) {
-        return res.status(404).json({ error: "League not found" });
-      }
-
-      const league = leagueRes.rows[0];
-
-      const membersRes = await pool.query(
-        `
-      SELECT u.id, u.username
-      FROM portfolios p
-      JOIN users u ON u.id = p.user_id
-      WHERE p.league_id = $1
-      ORDER BY u.username ASC
-      `,
-        [leagueId]
+      res.json(
+        await getRoundScores(pool, leagueId, (schedule) =>
+          schedule.find((r) => r.roundIndex === roundIndex)
+        )
       );
-
-      const members = membersRes.rows;
-      const memberById = new Map(members.map((m) => [m.id, m]));
-
-      const settings = normalizeLeagueSettings(league.settings);
-      const schedule = computeLeagueSchedule({ league, members });
-
-      const round = schedule.find((r) => r.roundIndex === roundIndex);
-      if (!round) {
-        return res.status(404).json({ error: "Round not found in schedule" });
-      }
-
-      const scoredMatchups = [];
-
-      for (const m of round.matchups) {
-        if (m.byeUserId) {
-          const byeMember = memberById.get(m.byeUserId);
-          scoredMatchups.push({
-            type: "BYE",
-            byeUserId: m.byeUserId,
-            byeUsername: m.byeUsername,
-            byeDisplayName: byeMember ? byeMember.username : m.byeUsername,
-          });
-          continue;
-        }
-
-        const result = await scoreHeadToHeadMatchup({
-          leagueId,
-          round,
-          homeUserId: m.homeUserId,
-          awayUserId: m.awayUserId,
-        });
-
-        const homeMember = memberById.get(m.homeUserId);
-        const awayMember = memberById.get(m.awayUserId);
-
-        scoredMatchups.push({
-          type: "HEAD_TO_HEAD",
-          homeUserId: m.homeUserId,
-          awayUserId: m.awayUserId,
-          homeUsername: m.homeUsername,
-          awayUsername: m.awayUsername,
-          homeDisplayName: homeMember ? homeMember.username : m.homeUsername,
-          awayDisplayName: awayMember ? awayMember.username : m.awayUsername,
-          score: result,
-        });
-      }
-
-      return res.json({
-        league: {
-          id: league.id,
-          name: league.name,
-          settings,
-          created_at: league.created_at,
-        },
-        round: {
-          roundIndex: round.roundIndex,
-          label: round.label,
-          start: round.start,
-          end: round.end,
-        },
-        matchups: scoredMatchups,
-      });
     } catch (e) {
+      if (e.status === 404) {
+        return res.status(404).json({ error: e.message });
+      }
       console.error("Get round scores error:", e);
       return res.status(500).json({ error: "Failed to compute round scores" });
     }
@@ -1232,7 +1670,8 @@ app.get("/api/leagues/standings", requireAuth, async (req, res) => {
 
     const leagueRes = await pool.query(
       `
-      SELECT id, name, settings, created_at, status, winner_user_id, completed_at
+      SELECT id, name, settings, created_at, status, winner_user_id, completed_at,
+             season_start_at, schedule_locked_at
       FROM leagues
       WHERE id = $1
       `,
@@ -1258,28 +1697,36 @@ app.get("/api/leagues/standings", requireAuth, async (req, res) => {
 
     const members = membersRes.rows;
 
-    const { asOf, standings } = await computeLeagueStandings({
-      leagueId,
-      league,
-      members,
-    });
+    let season;
+    if (getLeagueFormat(league.settings) === "TOTAL_RETURN") {
+      const now = Date.now();
+      const memberIds = members.map((m) => m.id).join(",");
+      let cached = leagueStandingsCache.get(String(leagueId));
+      if (
+        !cached ||
+        now - cached.ts >= LEAGUE_STANDINGS_TTL_MS ||
+        cached.memberIds !== memberIds
+      ) {
+        cached = {
+          ts: now,
+          memberIds,
+          season: await computeSeasonStandings(pool, { league, members }),
+        };
+        leagueStandingsCache.set(String(leagueId), cached);
+      }
+      season = cached.season;
+    } else {
+      season = await computeSeasonStandings(pool, { league, members });
+    }
+    const { asOf, format, scoring, standings } = season;
 
     let champion = null;
     if (league.status === "COMPLETED" && standings.length > 0) {
-      const top = standings[0];
-
-      champion = {
-        userId: top.userId,
-        username: top.username,
-        wins: top.wins,
-        losses: top.losses,
-        ties: top.ties,
-        games: top.games,
-        pointsFor: top.pointsFor,
-        pointsAgainst: top.pointsAgainst,
-        pointDiff: top.pointDiff,
-        byes: top.byes,
-      };
+      const top =
+        standings.find((s) => s.userId === league.winner_user_id) ||
+        standings[0];
+
+      champion = { ...top };
     }
 
     return res.json({
@@ -1296,6 +1743,8 @@ app.get("/api/leagues/standings", requireAuth, async (req, res) => {
           req.session.userId && league.owner_user_id === req.session.userId,
       },
       asOf,
+      format: describeFormat(format),
+      scoring,
       standings,
       champion, // null unless league is completed
     });
@@ -1325,6 +1774,33 @@ app.get("/api/leagues/leaderboard", requireAuth, async (req, res) => {
   }
 });
 
+// Every member's analytics summary in the current league, side by side
+app.get("/api/leagues/analytics", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+
+    const now = Date.now();
+    let cached = leagueAnalyticsCache.get(String(leagueId));
+    if (!cached || now - cached.ts >= LEAGUE_ANALYTICS_TTL_MS) {
+      cached = { ts: now, members: await getLeagueAnalytics(pool, leagueId) };
+      leagueAnalyticsCache.set(String(leagueId), cached);
+    }
+
+    res.json({
+      leagueId,
+      as_of: new Date(cached.ts).toISOString(),
+      members: cached.members,
+    });
+  } catch (e) {
+    console.error("league analytics error:", e);
+    res.status(500).json({ error: "Failed to load league analytics" });
+  }
+});
+
 app.post("/api/leagues/complete", requireAuth, async (req, res) => {
   try {
     if (!pool) {
@@ -1337,7 +1813,8 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
 
     const leagueRes = await pool.query(
       `
-      SELECT id, name, owner_user_id, settings, created_at, status, winner_user_id, completed_at
+      SELECT id, name, owner_user_id, settings, created_at, status, winner_user_id, completed_at,
+             season_start_at, schedule_locked_at
       FROM leagues
       WHERE id = $1
       `,
@@ -1356,6 +1833,10 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
         .json({ error: "Only the league owner can complete this league" });
     }
 
+    if (league.status === "DRAFT" || league.status === "LOCKED") {
+      return res.status(400).json({ error: "Season has not started yet" });
+    }
+
     if (league.status === "COMPLETED") {
       return res.status(400).json({
         error: "League is already completed",
@@ -1385,7 +1866,7 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "League has no members" });
     }
 
-    const schedule = computeLeagueSchedule({ league, members });
+    const schedule = await getLeagueSchedule(pool, { league, members });
     if (!schedule.length) {
       return res
         .status(400)
@@ -1407,8 +1888,9 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
       });
     }
 
-    const { asOf, standings } = await computeLeagueStandings({
-      leagueId,
+    // Score any rounds the worker hasn't closed yet before finalizing
+    await refreshLeagueResults(pool, { league, members });
+    const { asOf, standings } = await computeSeasonStandings(pool, {
       league,
       members,
       asOf: now.toISOString(),
@@ -1420,7 +1902,19 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
         .json({ error: "No standings available to finalize" });
     }
 
-    const champion = standings[0];
+    // With playoffs the final decides the champion, not the standings
+    let champion = standings[0];
+    if (getPlayoffSettings(league.settings).enabled) {
+      await updatePlayoffs(pool, { league, members });
+      const bracket = await getPlayoffBracket(pool, { league });
+      if (!bracket.championUserId) {
+        return res.status(400).json({ error: "Playoffs are not finished yet" });
+      }
+      champion = standings.find((s) => s.userId === bracket.championUserId) || {
+        userId: bracket.championUserId,
+        username: "unknown",
+      };
+    }
 
     const finalizeRes = await pool.query(leagueQueries.finalizeLeague, [
       leagueId,
@@ -1428,6 +1922,15 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
     ]);
 
     const finalized = finalizeRes.rows[0];
+    leagueStandingsCache.delete(String(leagueId));
+
+    await notifyLeague(leagueId, {
+      type: "SEASON_COMPLETE",
+      title: `${league.name} season is over`,
+      body: `${champion.username} won the league.`,
+      link: "/league",
+      data: { winnerUserId: champion.userId },
+    });
 
     return res.json({
       success: true,
@@ -1443,11 +1946,126 @@ app.post("/api/leagues/complete", requireAuth, async (req, res) => {
       finalStandings: standings,
     });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("Complete league error:", e);
     return res.status(500).json({ error: "Failed to complete league" });
   }
 });
 
+// Playoff bracket for the current active league
+app.get("/api/leagues/playoffs", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+
+    const leagueRes = await pool.query(
+      `
+      SELECT id, name, settings, created_at, status, winner_user_id, completed_at,
+             season_start_at, schedule_locked_at
+      FROM leagues
+      WHERE id = $1
+      `,
+      [leagueId]
+    );
+
+    if (!leagueRes.rows.length) {
+      return res.status(404).json({ error: "League not found" });
+    }
+
+    const league = leagueRes.rows[0];
+    const bracket = await getPlayoffBracket(pool, { league });
+
+    return res.json({
+      league: {
+        id: league.id,
+        name: league.name,
+        status: league.status,
+        winner_user_id: league.winner_user_id,
+      },
+      scoring: describeScoring(getScoringMethod(league.settings)),
+      ...bracket,
+    });
+  } catch (e) {
+    console.error("Get playoffs error:", e);
+    return res.status(500).json({ error: "Failed to load playoffs" });
+  }
+});
+
+// Owner locks the schedule and starts the season for a DRAFT league
+app.post("/api/leagues/start", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const bodyLeagueId =
+      req.body && req.body.leagueId ? Number(req.body.leagueId) : null;
+    const leagueId = bodyLeagueId || (await getOrCreateCurrentLeagueId(req));
+
+    const { rows } = await pool.query(leagueQueries.getLeagueById, [leagueId]);
+    if (!rows.length) {
+      return res.status(404).json({ error: "League not found" });
+    }
+    if (rows[0].owner_user_id !== req.session.userId) {
+      return res
+        .status(403)
+        .json({ error: "Only the league owner can start the season" });
+    }
+
+    let startAt = new Date();
+    if (req.body && req.body.startAt) {
+      startAt = new Date(req.body.startAt);
+      if (Number.isNaN(startAt.getTime())) {
+        return res.status(400).json({ error: "Invalid startAt timestamp" });
+      }
+      if (startAt.getTime() < Date.now()) startAt = new Date();
+    }
+
+    const membersRes = await pool.query(leagueQueries.getLeagueMembers, [
+      leagueId,
+    ]);
+
+    const league = await startLeagueSeason(pool, {
+      leagueId,
+      members: membersRes.rows,
+      startAt,
+    });
+
+    await notifyLeague(
+      leagueId,
+      {
+        type: "LEAGUE_UPDATE",
+        title: `${league.name} season is scheduled`,
+        body: `The schedule is locked and the first round starts ${new Date(
+          league.season_start_at
+        ).toUTCString()}.`,
+        link: "/matchups",
+      },
+      { exceptUserId: req.session.userId }
+    );
+
+    return res.json({
+      success: true,
+      league: {
+        id: league.id,
+        name: league.name,
+        status: league.status,
+        season_start_at: league.season_start_at,
+        schedule_locked_at: league.schedule_locked_at,
+      },
+    });
+  } catch (e) {
+    console.error("Start league season error:", e);
+    if (e.status) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    return res.status(500).json({ error: "Failed to start season" });
+  }
+});
+
 app.get("/api/leagues/mine", requireAuth, async (req, res) => {
   try {
     if (!pool)
@@ -1527,27 +2145,20 @@ app.post("/api/leagues/active", requireAuth, async (req, res) => {
   }
 });
 
-// Get current coin data for the app's configured (env-based) list
+// Get current coin data for the active league's coin universe
+// (the env whitelist when not signed in)
 app.get("/api/cg/coins", async (req, res) => {
   try {
-    if (!COIN_WHITELIST.length) {
+    const coinIds = req.session.userId
+      ? await getLeagueCoinSymbols(await getOrCreateCurrentLeagueId(req))
+      : COIN_WHITELIST;
+
+    if (!coinIds.length) {
       return res.json([]);
     }
 
-    const idsParam = COIN_WHITELIST.join(",");
-
-    const url =
-      `https://api.coingecko.com/api/v3/coins/markets` +
-      `?vs_currency=usd` +
-      `&ids=${encodeURIComponent(idsParam)}` +
-      `&order=market_cap_desc&per_page=250&page=1&sparkline=false`;
-
-    const headers = CG_API_KEY ? { "x-cg-demo-api-key": CG_API_KEY } : {};
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) throw new Error(`CoinGecko ${response.status}`);
-
-    const data = await response.json();
+    const data = await priceProvider.getMarkets(coinIds);
+    const statuses = pool ? await getTradingStatuses(pool, coinIds) : new Map();
 
     const payload = data.map((c) => ({
       id: c.id, // CoinGecko ID (e.g. "bitcoin")
@@ -1556,6 +2167,9 @@ app.get("/api/cg/coins", async (req, res) => {
       name: c.name,
       current_price: c.current_price,
       price_change_percentage_24h: c.price_change_percentage_24h,
+      market_cap: c.market_cap ?? null,
+      total_volume: c.total_volume ?? null,
+      ...haltFields(statuses.get(c.id)),
     }));
 
     res.json(payload);
@@ -1565,40 +2179,80 @@ app.get("/api/cg/coins", async (req, res) => {
   }
 });
 
-// Get historical coin chart data
-app.get("/api/cg/coins/:id/market_chart", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const days = req.query.days;
-    const key = `${id}|${days}`;
-    const now = Date.now();
-
-    const cached = cgChartCache.get(key);
-    if (cached && now - cached.ts < CG_CACHE_TTL_MS) {
-      return res.json(cached.data);
-    }
-
-    const url = `https://api.coingecko.com/api/v3/coins/${id}/market_chart?vs_currency=usd&days=${days}`;
-    const headers = CG_API_KEY ? { "x-cg-demo-api-key": CG_API_KEY } : {};
+// Chart data for a coin over a range preset (1D, 7D, 30D, ALL), from our
+// own stored prices so charts match the prices trades used, downsampled to
+// `points` (default 500). The price provider's chart is only a fallback
+// for ranges we have no stored prices for, cached for five minutes.
+app.get("/api/coins/:id/chart", async (req, res) => {
+  const coinId = validateSymbol(req.params.id);
+  if (!coinId) return res.status(404).json({ error: "Coin not tracked" });
+
+  const range = String(req.query.range || "1D").toUpperCase();
+  const maxPoints = Math.min(
+    Math.max(Number(req.query.points) || DEFAULT_CHART_POINTS, 2),
+    MAX_CHART_POINTS
+  );
 
-    const response = await fetch(url, { headers });
-    const txt = await response.text();
+  // Stored prices, used when they cover the range or the provider fails
+  let stored = null;
+  const sendStored = () =>
+    res.json({
+      id: coinId,
+      range,
+      source: "store",
+      interval: stored.interval,
+      prices: stored.points.map((p) => [p.ts.getTime(), p.close]),
+    });
 
-    if (!response.ok) {
-      console.error("CG market_chart error:", response.status, txt);
-      return res
-        .status(response.status)
-        .json({ error: `CoinGecko ${response.status}`, details: txt });
+  try {
+    if (pool) {
+      stored = await getChartSeries(pool, coinId, { range, maxPoints });
+      if (stored.complete) return sendStored();
+    } else if (!(range in CHART_RANGES)) {
+      return res.status(400).json({ error: "Invalid range" });
     }
 
-    const data = JSON.parse(txt);
+    const days = CHART_RANGES[range] ?? "max";
+    const key = `${coinId}|${days}`;
+    const now = Date.now();
 
-    cgChartCache.set(key, { ts: now, data });
+    let cached = cgChartCache.get(key);
+    if (!cached || now - cached.ts >= CG_CACHE_TTL_MS) {
+      const data = await priceProvider.getMarketChart(coinId, days);
+      cached = { ts: now, data };
+      cgChartCache.set(key, cached);
+    }
 
-    res.json(data);
+    res.json({
+      id: coinId,
+      range,
+      source: priceProvider.name,
+      interval: null,
+      prices: downsamplePoints(
+        (cached.data.prices || []).map(([ms, price]) => ({
+          ts: new Date(ms),
+          close: price,
+        })),
+        maxPoints
+      ).map((p) => [p.ts.getTime(), p.close]),
+    });
   } catch (err) {
-    console.error("Error fetching CoinGecko market_chart:", err);
-    res.status(500).json({ error: "Failed to fetch market data" });
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    // the provider failed; part of the range beats none of it
+    if (err.status && stored?.points.length) return sendStored();
+    if (err.status === 404) {
+      return res.status(404).json({ error: "no data" });
+    }
+    if (err.status) {
+      console.error("chart fallback error:", err.status, err.details);
+      return res
+        .status(502)
+        .json({ error: "No stored prices for this range and upstream failed" });
+    }
+    console.error("chart error:", err);
+    res.status(500).json({ error: "Failed to fetch chart data" });
   }
 });
 
@@ -1615,13 +2269,22 @@ app.get("/api/price/:id", async (req, res) => {
       [coinId]
     );
     if (rows.length === 0) return res.status(404).json({ error: "not found" });
-    res.json(rows[0]);
+
+    const status = (await getTradingStatuses(pool, [coinId])).get(coinId);
+    res.json({
+      ...rows[0],
+      age_seconds: status.ageSeconds,
+      ...haltFields(status),
+    });
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
 });
 
-// Get all historical prices for a coin
+// Historical prices for a coin between `from` and `to` (default: the last
+// day). `interval` is 1m, 1h, 1d or auto, which picks the finest interval
+// still kept for the range. Points keep the minute shape (ts_min, price_usd
+// as the close) with OHLC fields added.
 app.get("/api/prices/:id", async (req, res) => {
   if (!pool) return res.status(500).json({ error: "Database not configured" });
 
@@ -1629,55 +2292,266 @@ app.get("/api/prices/:id", async (req, res) => {
   if (!coinId) return res.status(400).json({ error: "id required" });
 
   try {
-    const { rows } = await pool.query(coinQueries.getPriceHistory, [coinId]);
-    if (rows.length === 0) return res.status(404).json({ error: "no data" });
-    res.json({ id: coinId, count: rows.length, points: rows });
+    const to = parseTimeParam(req.query.to, "to", new Date());
+    const from = parseTimeParam(
+      req.query.from,
+      "from",
+      new Date(to.getTime() - 24 * 60 * 60 * 1000)
+    );
+    if (from > to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const series = await getPriceSeries(pool, [coinId], {
+      from,
+      to,
+      interval: req.query.interval,
+    });
+    if (series.points.length === 0) {
+      return res.status(404).json({ error: "no data" });
+    }
+
+    res.json({
+      id: coinId,
+      interval: series.interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: series.points.length,
+      truncated: series.truncated,
+      points: series.points.map((p) => ({
+        symbol: p.symbol,
+        ts_min: p.ts.toISOString(),
+        price_usd: p.close,
+        open: p.open,
+        high: p.high,
+        low: p.low,
+        close: p.close,
+      })),
+    });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     res.status(500).json({ error: String(e) });
   }
 });
 
-// Get portfolio: cash, holdings with live value, totals
-app.get("/api/portfolio", requireAuth, async (req, res) => {
+/**
+ * Cash, holdings at latest prices, totals and margin for one portfolio: the
+ * /api/portfolio payload, also pushed to open pages on each price tick.
+ */
+async function buildPortfolioPayload(
+  userId,
+  leagueId,
+  { costBasis = DEFAULT_COST_BASIS_METHOD } = {}
+) {
+  // cash
+  const cashRow = await pool.query(portfolioQueries.getCash, [
+    userId,
+    leagueId,
+  ]);
+  const cash = cashRow.rows.length ? Number(cashRow.rows[0].cash_usd) : 0;
+
+  // holdings joined to latest price for THIS league
+  const { rows } = await pool.query(portfolioQueries.getHoldings, [
+    userId,
+    leagueId,
+  ]);
+
+  const cryptoValue = rows.reduce(
+    (sum, r) => sum + Number(r.market_value || 0),
+    0
+  );
+  const totalValue = cash + cryptoValue;
+
+  const startingBalance = await getLeagueStartingBalance(leagueId);
+
+  const margin = computeMarginStatus(
+    cash,
+    rows.map((r) => ({ qty: r.qty, price: r.price_usd }))
+  );
+  const settingsRes = await pool.query(leagueQueries.getLeagueSettings, [
+    leagueId,
+  ]);
+  const rules = getLeagueRules(settingsRes.rows[0]?.settings);
+
+  const performance = await getPositionPerformance(pool, {
+    userId,
+    leagueId,
+    holdings: rows,
+    method: costBasis,
+  });
+
+  return {
+    league_id: leagueId,
+    cash_usd: cash.toFixed(2),
+    crypto_value_usd: cryptoValue.toFixed(2),
+    total_value_usd: totalValue.toFixed(2),
+    starting_balance_usd: startingBalance.toFixed(2),
+    long_value_usd: margin.longValue.toFixed(2),
+    short_value_usd: margin.shortValue.toFixed(2),
+    margin: rules.shorts.enabled
+      ? {
+          shorts_enabled: true,
+          equity_usd: margin.equity.toFixed(2),
+          initial_margin_pct: rules.shorts.initialMarginPct,
+          maintenance_margin_pct: rules.shorts.maintenanceMarginPct,
+          maintenance_required_usd: (
+            (rules.shorts.maintenanceMarginPct / 100) *
+            margin.shortValue
+          ).toFixed(2),
+          below_maintenance: isBelowMaintenance(margin, rules),
+        }
+      : { shorts_enabled: false },
+    pnl: performance.pnl,
+    holdings: performance.holdings,
+    closed_positions: performance.closedPositions,
+  };
+}
+
+// Live updates for open pages as Server-Sent Events: price ticks, this
+// user's portfolio and the active league's live matchup scores
+app.get("/api/live", requireAuth, async (req, res) => {
   try {
-    if (!pool)
+    if (!liveHub)
       return res.status(500).json({ error: "Database not configured" });
 
+    const costBasis = parseCostBasisMethod(req.query.costBasis);
     const leagueId = await getOrCreateCurrentLeagueId(req);
     await ensurePortfolio(req.session.userId, leagueId);
 
-    // cash
-    const cashRow = await pool.query(portfolioQueries.getCash, [
-      req.session.userId,
+    await liveHub.subscribe(req, res, {
+      userId: req.session.userId,
       leagueId,
-    ]);
-    const cash = cashRow.rows.length ? Number(cashRow.rows[0].cash_usd) : 0;
+      costBasis,
+      sessionVersion: req.session.sessionVersion || 0,
+    });
+  } catch (e) {
+    if (e.status && !res.headersSent) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error("live updates error:", e);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to open live updates" });
+    }
+  }
+});
 
-    // holdings joined to latest price for THIS league
-    const { rows } = await pool.query(portfolioQueries.getHoldings, [
-      req.session.userId,
-      leagueId,
-    ]);
+// Get portfolio: cash, holdings with live value and P&L, totals.
+// ?costBasis=AVERAGE (default) or FIFO picks the cost basis method.
+app.get("/api/portfolio", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
 
-    const cryptoValue = rows.reduce(
-      (sum, r) => sum + Number(r.market_value || 0),
-      0
-    );
-    const totalValue = cash + cryptoValue;
+    const costBasis = parseCostBasisMethod(req.query.costBasis);
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+    await ensurePortfolio(req.session.userId, leagueId);
 
-    res.json({
-      league_id: leagueId,
-      cash_usd: cash.toFixed(2),
-      crypto_value_usd: cryptoValue.toFixed(2),
-      total_value_usd: totalValue.toFixed(2),
-      holdings: rows,
-    });
+    res.json(
+      await buildPortfolioPayload(req.session.userId, leagueId, { costBasis })
+    );
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("portfolio error:", e);
     res.status(500).json({ error: String(e) });
   }
 });
 
+// Daily returns, volatility, drawdown, Sharpe-style ratio, beta against
+// BTC, win rate and allocation over time for the current league
+app.get("/api/portfolio/analytics", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const method = parseCostBasisMethod(req.query.costBasis);
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+    await ensurePortfolio(req.session.userId, leagueId);
+
+    const analytics = await getPortfolioAnalytics(pool, {
+      userId: req.session.userId,
+      leagueId,
+      method,
+    });
+    res.json({ league_id: leagueId, ...analytics });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("portfolio analytics error:", e);
+    res.status(500).json({ error: "Failed to load portfolio analytics" });
+  }
+});
+
+// The league median over [from, to]. Entries are kept per league and per
+// day the window starts on, each computed from the start of that day, so a
+// short history isn't sampled from a longer chart's window. Concurrent
+// requests for the same window share one computation.
+const DAY_MS = 24 * 60 * 60 * 1000;
+function getLeagueMedian(leagueId, from, to) {
+  const now = Date.now();
+  const windowStart = Math.floor(from / DAY_MS) * DAY_MS;
+  let windows = leagueMedianCache.get(String(leagueId));
+  if (!windows) {
+    windows = new Map();
+    leagueMedianCache.set(String(leagueId), windows);
+  }
+  const cached = windows.get(windowStart);
+  if (cached && now - cached.ts < LEAGUE_MEDIAN_TTL_MS) return cached.series;
+
+  const entry = {
+    ts: now,
+    series: getLeagueMedianSeries(pool, leagueId, { from: windowStart, to }),
+  };
+  windows.set(windowStart, entry);
+  // A failed computation isn't cached
+  entry.series.catch(() => {
+    if (windows.get(windowStart) === entry) windows.delete(windowStart);
+  });
+  return entry.series;
+}
+
+/**
+ * A history series plus the benchmark overlays at the same timestamps, with
+ * runs of points where no series moved collapsed to their first point (the
+ * last point is always kept so the chart reaches now).
+ */
+async function withBenchmarks(leagueId, startingBalance, history) {
+  const times = history.map((h) => h.timestamp);
+  const series = await getBenchmarkSeries(pool, {
+    coins: await getLeagueCoinSymbols(leagueId),
+    startingBalance,
+    times,
+    leagueMedian: times.length
+      ? await getLeagueMedian(leagueId, times[0], times[times.length - 1])
+      : null,
+  });
+  const keys = Object.keys(series).filter((key) => series[key]);
+
+  const kept = [];
+  history.forEach((h, i) => {
+    const prev = kept[kept.length - 1];
+    if (
+      prev === undefined ||
+      i === history.length - 1 ||
+      h.value !== history[prev].value ||
+      keys.some((key) => series[key][i] !== series[key][prev])
+    ) {
+      kept.push(i);
+    }
+  });
+
+  return {
+    history: kept.map((i) => history[i]),
+    benchmarks: Object.fromEntries(
+      Object.entries(series).map(([key, values]) => [
+        key,
+        values && kept.map((i) => ({ timestamp: times[i], value: values[i] })),
+      ])
+    ),
+  };
+}
+
+// Value history for the chart, with benchmark overlays: buy-and-hold BTC,
+// an equal-weight basket of the league's coins, all cash and the league's
+// median member
 app.get("/api/portfolio/history", requireAuth, async (req, res) => {
   try {
     if (!pool)
@@ -1686,17 +2560,22 @@ app.get("/api/portfolio/history", requireAuth, async (req, res) => {
     const leagueId = await getOrCreateCurrentLeagueId(req);
     await ensurePortfolio(req.session.userId, leagueId);
 
+    const startingBalance = await getLeagueStartingBalance(leagueId);
+
     // Get all trades for this user in this league
     const tradesResult = await getUserTrades(req.session.userId, leagueId);
 
     if (tradesResult.rows.length === 0) {
       // No trades yet - return starting balance
-      return res.json({
-        history: [
-          { timestamp: Date.now() - 24 * 60 * 60 * 1000, value: 100000 },
-          { timestamp: Date.now(), value: 100000 },
-        ],
-      });
+      return res.json(
+        await withBenchmarks(leagueId, startingBalance, [
+          {
+            timestamp: Date.now() - 24 * 60 * 60 * 1000,
+            value: startingBalance,
+          },
+          { timestamp: Date.now(), value: startingBalance },
+        ])
+      );
     }
 
     // Get the first trade timestamp
@@ -1719,33 +2598,25 @@ app.get("/api/portfolio/history", requireAuth, async (req, res) => {
     });
 
     // Fetch historical price points for all traded symbols between
-    // a small buffer before the first trade and now. We'll use these
-    // timestamps to compute portfolio value across time so intra-day
-    // fluctuations are visible.
+    // a small buffer before the first trade and now, at the finest interval
+    // still kept for that range. We'll use these timestamps to compute
+    // portfolio value across time so intra-day fluctuations are visible.
     const bufferMs = 12 * 60 * 60 * 1000; // 12 hours buffer before first trade
     const priceWindowStart = new Date(Math.max(0, firstTradeTime - bufferMs));
     const priceWindowEnd = new Date(now);
 
-    const pricePointsRes = await pool.query(
-      `
-      SELECT symbol, ts_min::text AS ts_min, price_usd::numeric AS price
-      FROM price_points_min
-      WHERE symbol = ANY($1)
-        AND ts_min >= $2
-        AND ts_min <= $3
-      ORDER BY ts_min ASC
-      `,
-      [symbols, priceWindowStart.toISOString(), priceWindowEnd.toISOString()]
-    );
+    const { points: pricePoints } = await getPriceSeries(pool, symbols, {
+      from: priceWindowStart,
+      to: priceWindowEnd,
+    });
 
-    // Organize price points by symbol
+    // Organize price points by symbol, each at the time its close was known
     const priceMap = new Map();
-    for (const r of pricePointsRes.rows) {
-      const s = r.symbol;
-      if (!priceMap.has(s)) priceMap.set(s, []);
+    for (const p of pricePoints) {
+      if (!priceMap.has(p.symbol)) priceMap.set(p.symbol, []);
       priceMap
-        .get(s)
-        .push({ ts: new Date(r.ts_min).getTime(), price: Number(r.price) });
+        .get(p.symbol)
+        .push({ ts: Math.min(p.closeAt.getTime(), now), price: p.close });
     }
 
     // Build a sorted list of unique timestamps from all price series
@@ -1761,7 +2632,7 @@ app.get("/api/portfolio/history", requireAuth, async (req, res) => {
     const allTimestamps = Array.from(allTimestampsSet).sort((a, b) => a - b);
 
     // Replay trades across the timeline and compute portfolio value at each timestamp
-    let cash = 100000;
+    let cash = startingBalance;
     const holdings = {};
     const history = [];
 
@@ -1783,14 +2654,16 @@ app.get("/api/portfolio/history", requireAuth, async (req, res) => {
         const q = Number(tr.qty);
         const px = Number(tr.price_usd);
         const cost = q * px;
+        const fee = Number(tr.fee_usd || 0);
         if (tr.side === "BUY") {
-          cash -= cost;
+          cash -= cost + fee;
           holdings[s] = (holdings[s] || 0) + q;
         } else {
-          cash += cost;
+          cash += cost - fee;
           holdings[s] = (holdings[s] || 0) - q;
-          if (holdings[s] <= 0) delete holdings[s];
         }
+        // negative qty is a short; only drop positions that are fully closed
+        if (Math.abs(holdings[s]) < 1e-9) delete holdings[s];
         tradeIdx++;
       }
 
@@ -1818,27 +2691,7 @@ app.get("/api/portfolio/history", requireAuth, async (req, res) => {
       history.push({ timestamp: ts, value: cash + cryptoValue });
     }
 
-    // Ensure history is trimmed and deduped (some timestamps may duplicate)
-    const deduped = [];
-    let lastVal = null;
-    for (const h of history) {
-      if (lastVal == null || h.value !== lastVal) {
-        deduped.push(h);
-        lastVal = h.value;
-      }
-    }
-
-    // If we ended up with no deduped points, return starting and current
-    if (deduped.length === 0) {
-      return res.json({
-        history: [
-          { timestamp: Date.now() - 24 * 60 * 60 * 1000, value: 100000 },
-          { timestamp: Date.now(), value: 100000 },
-        ],
-      });
-    }
-
-    res.json({ history: deduped });
+    res.json(await withBenchmarks(leagueId, startingBalance, history));
   } catch (e) {
     console.error("portfolio history error:", e);
     res.status(500).json({ error: String(e) });
@@ -1850,168 +2703,66 @@ app.post("/api/trade", requireAuth, async (req, res) => {
     if (!pool)
       return res.status(500).json({ error: "Database not configured" });
 
-    const { symbol, side, amountUsd } = req.body;
+    const { symbol, side, amountUsd, qty } = req.body;
     const sideU = (side || "").toUpperCase();
     const usdAmount = Number(amountUsd);
+    // an exact quantity (e.g. covering a whole short) instead of a USD amount
+    const qtyAmount =
+      qty !== undefined && qty !== null && qty !== "" ? Number(qty) : null;
 
     const leagueId = await getOrCreateCurrentLeagueId(req);
     await ensurePortfolio(req.session.userId, leagueId);
 
-    const coinId = validateSymbol(symbol);
+    const coinId = validateSymbol(symbol, await getLeagueCoinSymbols(leagueId));
     if (!coinId) {
-      return res
-        .status(400)
-        .json({ error: "coin not allowed (not in global whitelist)" });
+      return res.status(400).json({ error: "coin not allowed in this league" });
     }
 
     if (sideU !== "BUY" && sideU !== "SELL") {
       return res.status(400).json({ error: "side must be BUY or SELL" });
     }
 
-    if (!Number.isFinite(usdAmount) || usdAmount <= 0) {
+    if (qtyAmount != null) {
+      if (!Number.isFinite(qtyAmount) || qtyAmount <= 0) {
+        return res.status(400).json({ error: "qty must be a positive number" });
+      }
+    } else if (!Number.isFinite(usdAmount) || usdAmount <= 0) {
       return res
         .status(400)
         .json({ error: "amountUsd must be a positive number" });
     }
 
-    // Single source of truth for price: DB
-    const price = await getCurrentPrice(coinId);
-    if (!price) {
-      return res.status(400).json({ error: "no current price; try later" });
+    // Single source of truth for price: DB, unless stale or halted
+    let price;
+    try {
+      price = await getTradablePrice(pool, coinId);
+    } catch (e) {
+      if (e.status !== 503) throw e;
+      return res.status(503).json({ error: e.message, ...haltFields(e.halt) });
     }
-    const px = Number(price);
-    const EPS = 1e-6;
-
-    await pool.query("BEGIN");
 
-    // Lock cash row
-    const cashRow = await pool.query(portfolioQueries.getCashForUpdate, [
-      req.session.userId,
-      leagueId,
-    ]);
-    const cash = cashRow.rows.length ? Number(cashRow.rows[0].cash_usd) : 0;
-
-    let qty, cost;
-
-    if (sideU === "BUY") {
-      if (cash <= 0) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "insufficient cash" });
-      }
-
-      // Don't allow spending more than you actually have
-      if (usdAmount > cash + EPS) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "insufficient cash" });
-      }
-
-      const budget = Math.min(usdAmount, cash);
-
-      // Compute quantity on the server, floored so cost <= budget
-      qty = Math.floor((budget / px) * 1e8) / 1e8;
-      if (qty <= 0) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "trade too small" });
-      }
-
-      cost = +(px * qty).toFixed(8);
-      if (cash + EPS < cost) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "insufficient cash" });
-      }
-
-      const newCash = cash - cost;
-
-      // Lock holding row
-      const hRow = await pool.query(portfolioQueries.getHoldingForUpdate, [
-        req.session.userId,
-        leagueId,
-        coinId,
-      ]);
-      const curQty = hRow.rows[0] ? Number(hRow.rows[0].qty) : 0;
-
-      await pool.query(portfolioQueries.updateCash, [
-        req.session.userId,
-        leagueId,
-        newCash,
-      ]);
-      await pool.query(portfolioQueries.upsertHolding, [
-        req.session.userId,
-        leagueId,
-        coinId,
-        curQty + qty,
-      ]);
-      await pool.query(portfolioQueries.insertTrade, [
-        req.session.userId,
-        leagueId,
-        coinId,
-        "BUY",
-        qty,
-        px,
-        cost,
-      ]);
-    } else {
-      const hRow = await pool.query(portfolioQueries.getHoldingForUpdate, [
-        req.session.userId,
-        leagueId,
-        coinId,
-      ]);
-      const curQty = hRow.rows[0] ? Number(hRow.rows[0].qty) : 0;
-
-      if (curQty <= 0) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "insufficient quantity" });
-      }
-
-      qty = Math.floor((usdAmount / px) * 1e8) / 1e8;
-      if (qty <= 0) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "trade too small" });
-      }
-
-      if (qty > curQty + EPS) {
-        await pool.query("ROLLBACK");
-        return res.status(400).json({ error: "insufficient quantity" });
-      }
-
-      if (qty > curQty) qty = curQty;
-
-      cost = +(px * qty).toFixed(8);
-      const newCash = cash + cost;
-      const newQty = curQty - qty;
-
-      await pool.query(portfolioQueries.updateCash, [
-        req.session.userId,
-        leagueId,
-        newCash,
-      ]);
-
-      if (newQty <= 0) {
-        await pool.query(portfolioQueries.deleteHolding, [
-          req.session.userId,
-          leagueId,
-          coinId,
-        ]);
-      } else {
-        await pool.query(portfolioQueries.upsertHolding, [
-          req.session.userId,
-          leagueId,
-          coinId,
-          newQty,
-        ]);
-      }
-      await pool.query(portfolioQueries.insertTrade, [
-        req.session.userId,
+    let fill;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      fill = await executeFill(client, {
+        userId: req.session.userId,
         leagueId,
-        coinId,
-        "SELL",
-        qty,
-        px,
-        cost,
-      ]);
+        symbol: coinId,
+        side: sideU,
+        price,
+        amountUsd: usdAmount,
+        qty: qtyAmount,
+      });
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
+    } finally {
+      client.release();
     }
-
-    await pool.query("COMMIT");
+    const px = fill.price;
 
     const { rows } = await pool.query(portfolioQueries.getHoldings, [
       req.session.userId,
@@ -2031,15 +2782,16 @@ app.post("/api/trade", requireAuth, async (req, res) => {
       success: true,
       league_id: leagueId,
       price_used_usd: px.toFixed(8),
+      market_price_usd: fill.marketPrice.toFixed(8),
+      qty: fill.qty,
+      fee_usd: fill.fee.toFixed(2),
+      slippage_usd: fill.slippage.toFixed(2),
       cash_usd: cash2.toFixed(2),
       crypto_value_usd: cryptoValue.toFixed(2),
       total_value_usd: (cash2 + cryptoValue).toFixed(2),
       holdings: rows,
     });
   } catch (e) {
-    try {
-      await pool.query("ROLLBACK");
-    } catch {}
     console.error("trade error:", e);
     res.status(500).json({ error: String(e) });
   }
@@ -2054,16 +2806,547 @@ app.get("/api/trades/recent", requireAuth, async (req, res) => {
     const leagueId = await getOrCreateCurrentLeagueId(req);
     await ensurePortfolio(req.session.userId, leagueId);
 
-    const tradeResult = await getUserTrades(req.session.userId, leagueId);
-    const recent = tradeResult.rows.slice(-4).reverse();
+    const { trades } = await listTrades(pool, {
+      userId: req.session.userId,
+      leagueId,
+      limit: 4,
+    });
 
-    res.json({ trades: recent });
+    res.json({ trades });
   } catch (e) {
     console.error("recent trades error:", e);
     res.status(500).json({ error: "Failed to load recent trades" });
   }
 });
 
+/**
+ * League for the trade-history routes: `?league=<id>` if the user plays in
+ * it (403 otherwise), else their current league.
+ */
+async function resolveHistoryLeagueId(req) {
+  if (req.query.league === undefined || req.query.league === "") {
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+    await ensurePortfolio(req.session.userId, leagueId);
+    return leagueId;
+  }
+
+  const leagueId = Number(req.query.league);
+  const { rows } = Number.isInteger(leagueId)
+    ? await pool.query(leagueQueries.checkMembership, [
+        req.session.userId,
+        leagueId,
+      ])
+    : { rows: [] };
+  if (!rows.length) {
+    const err = new Error("You are not in that league");
+    err.status = 403;
+    throw err;
+  }
+  return leagueId;
+}
+
+/**
+ * symbol / side / from / to filters shared by the trade list and export.
+ */
+function parseTradeFilters(query) {
+  const filters = {};
+  if (query.symbol) filters.symbol = normalizeCoinId(query.symbol);
+  if (query.side) {
+    filters.side = String(query.side).toUpperCase();
+    if (filters.side !== "BUY" && filters.side !== "SELL") {
+      const err = new Error("side must be BUY or SELL");
+      err.status = 400;
+      throw err;
+    }
+  }
+  filters.from = parseTimeParam(query.from, "from", null);
+  filters.to = parseTimeParam(query.to, "to", null);
+  return filters;
+}
+
+function sendExport(res, format, { filename, columns, rows, key }) {
+  if (format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(columns, rows));
+  }
+  res.set("Content-Disposition", `attachment; filename="${filename}.json"`);
+  res.json({ [key]: rows });
+}
+
+// A user's trades in one league, newest first, `limit` per page (default
+// 50, max 200). Pass the response's nextCursor as `cursor` for the next page.
+app.get("/api/trades", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const leagueId = await resolveHistoryLeagueId(req);
+    const filters = parseTradeFilters(req.query);
+    const limit = Math.min(
+      Math.max(Number(req.query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const page = await listTrades(pool, {
+      userId: req.session.userId,
+      leagueId,
+      filters,
+      cursor: req.query.cursor || null,
+      limit,
+    });
+
+    res.json({ league_id: leagueId, ...page });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("list trades error:", e);
+    res.status(500).json({ error: "Failed to load trades" });
+  }
+});
+
+// Every trade matching the /api/trades filters as a CSV or JSON download
+app.get("/api/trades/export", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({ error: "format must be csv or json" });
+    }
+
+    const leagueId = await resolveHistoryLeagueId(req);
+    const rows = await exportTrades(pool, {
+      userId: req.session.userId,
+      leagueId,
+      filters: parseTradeFilters(req.query),
+    });
+
+    sendExport(res, format, {
+      filename: `trades-league-${leagueId}`,
+      columns: TRADE_COLUMNS,
+      rows,
+      key: "trades",
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("export trades error:", e);
+    res.status(500).json({ error: "Failed to export trades" });
+  }
+});
+
+// The user's portfolio in each of their leagues at latest prices; add
+// ?format=csv (or json) to download it
+app.get("/api/portfolio/snapshots", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const format = req.query.format
+      ? String(req.query.format).toLowerCase()
+      : null;
+    if (format && format !== "csv" && format !== "json") {
+      return res.status(400).json({ error: "format must be csv or json" });
+    }
+
+    const snapshots = await getPortfolioSnapshots(pool, req.session.userId);
+    if (!format) return res.json({ snapshots });
+
+    sendExport(res, format, {
+      filename: "portfolio-snapshots",
+      columns: SNAPSHOT_COLUMNS,
+      rows: snapshots,
+      key: "snapshots",
+    });
+  } catch (e) {
+    console.error("portfolio snapshots error:", e);
+    res.status(500).json({ error: "Failed to load portfolio snapshots" });
+  }
+});
+
+// ----------------------
+// WATCHLISTS, PRICE ALERTS, NOTIFICATIONS
+// ----------------------
+
+app.get("/api/watchlist", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const { rows } = await pool.query(watchlistQueries.getWatchlist, [
+      req.session.userId,
+    ]);
+    res.json({ symbols: rows.map((r) => r.symbol) });
+  } catch (e) {
+    console.error("get watchlist error:", e);
+    res.status(500).json({ error: "Failed to load watchlist" });
+  }
+});
+
+app.post("/api/watchlist", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const symbol = validateSymbol(req.body.symbol);
+    if (!symbol) return res.status(400).json({ error: "Coin not tracked" });
+
+    await pool.query(watchlistQueries.addToWatchlist, [
+      req.session.userId,
+      symbol,
+    ]);
+    res.json({ success: true, symbol });
+  } catch (e) {
+    console.error("add to watchlist error:", e);
+    res.status(500).json({ error: "Failed to update watchlist" });
+  }
+});
+
+app.delete("/api/watchlist/:symbol", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    await pool.query(watchlistQueries.removeFromWatchlist, [
+      req.session.userId,
+      normalizeCoinId(req.params.symbol),
+    ]);
+    res.json({ success: true });
+  } catch (e) {
+    console.error("remove from watchlist error:", e);
+    res.status(500).json({ error: "Failed to update watchlist" });
+  }
+});
+
+app.get("/api/alerts", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const { rows } = await pool.query(alertQueries.listAlerts, [
+      req.session.userId,
+    ]);
+    res.json({ alerts: rows });
+  } catch (e) {
+    console.error("list alerts error:", e);
+    res.status(500).json({ error: "Failed to load alerts" });
+  }
+});
+
+// Create a price alert: { symbol, type, threshold, windowMinutes?, repeat? }.
+// Holding alerts watch the position in the current league.
+app.post("/api/alerts", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const symbol = validateSymbol(req.body.symbol);
+    if (!symbol) return res.status(400).json({ error: "Coin not tracked" });
+    const input = parseAlertInput(req.body);
+
+    const { rows: counted } = await pool.query(alertQueries.countActiveAlerts, [
+      req.session.userId,
+    ]);
+    if (counted[0].count >= MAX_ACTIVE_ALERTS) {
+      return res.status(409).json({
+        error: `You can have at most ${MAX_ACTIVE_ALERTS} active alerts`,
+      });
+    }
+
+    const leagueId =
+      input.type === "HOLDING_DRAWDOWN"
+        ? await getOrCreateCurrentLeagueId(req)
+        : null;
+
+    const { rows } = await pool.query(alertQueries.createAlert, [
+      req.session.userId,
+      symbol,
+      input.type,
+      input.threshold,
+      input.windowMinutes,
+      leagueId,
+      input.repeat,
+    ]);
+    res.status(201).json({ alert: rows[0] });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("create alert error:", e);
+    res.status(500).json({ error: "Failed to create alert" });
+  }
+});
+
+app.delete("/api/alerts/:id", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const result = await pool.query(alertQueries.deleteAlert, [
+      id,
+      req.session.userId,
+    ]);
+    if (!result.rowCount) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error("delete alert error:", e);
+    res.status(500).json({ error: "Failed to delete alert" });
+  }
+});
+
+// Inbox, newest first; pass the last id shown as `before` for older ones
+app.get("/api/notifications", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const limit = Math.min(
+      Math.max(Number(req.query.limit) || DEFAULT_NOTIFICATION_LIMIT, 1),
+      MAX_NOTIFICATION_LIMIT
+    );
+    res.json(
+      await listNotifications(pool, req.session.userId, {
+        before: req.query.before || null,
+        limit,
+      })
+    );
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("list notifications error:", e);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+});
+
+app.get("/api/notifications/unread-count", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    res.json({ unread: await getUnreadCount(pool, req.session.userId) });
+  } catch (e) {
+    console.error("unread notifications error:", e);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+});
+
+// Which notification types the user gets: [{ type, label, enabled }]
+app.get("/api/notifications/preferences", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    res.json({
+      preferences: await getNotificationPreferences(pool, req.session.userId),
+    });
+  } catch (e) {
+    console.error("get notification preferences error:", e);
+    res.status(500).json({ error: "Failed to load notification preferences" });
+  }
+});
+
+// Body: { preferences: { ROUND_RESULT: false, ... } }
+app.put("/api/notifications/preferences", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    res.json({
+      preferences: await updateNotificationPreferences(
+        pool,
+        req.session.userId,
+        req.body.preferences
+      ),
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("update notification preferences error:", e);
+    res
+      .status(500)
+      .json({ error: "Failed to update notification preferences" });
+  }
+});
+
+app.post("/api/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const marked = await markAllNotificationsRead(pool, req.session.userId);
+    res.json({ success: true, marked });
+  } catch (e) {
+    console.error("mark notifications read error:", e);
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+app.post("/api/notifications/:id/read", requireAuth, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const marked = await markNotificationRead(
+      pool,
+      req.session.userId,
+      req.params.id
+    );
+    res.json({ success: true, marked });
+  } catch (e) {
+    console.error("mark notification read error:", e);
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+// Place a resting limit / stop-loss / take-profit order in the current league
+app.post("/api/orders", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const { symbol, side, orderType, triggerPrice, amountUsd, qty } = req.body;
+    const sideU = (side || "").toUpperCase();
+
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+    await ensurePortfolio(req.session.userId, leagueId);
+
+    const coinId = validateSymbol(symbol, await getLeagueCoinSymbols(leagueId));
+    if (!coinId) {
+      return res.status(400).json({ error: "coin not allowed in this league" });
+    }
+
+    if (sideU !== "BUY" && sideU !== "SELL") {
+      return res.status(400).json({ error: "side must be BUY or SELL" });
+    }
+
+    const type = validateOrderType(orderType, sideU);
+    if (!type) {
+      return res.status(400).json({
+        error:
+          "orderType must be LIMIT, or STOP_LOSS / TAKE_PROFIT for SELL orders",
+      });
+    }
+
+    const trigger = Number(triggerPrice);
+    if (!Number.isFinite(trigger) || trigger <= 0) {
+      return res
+        .status(400)
+        .json({ error: "triggerPrice must be a positive number" });
+    }
+
+    let usd = null;
+    let orderQty = null;
+    if (amountUsd !== undefined && amountUsd !== null && amountUsd !== "") {
+      usd = Number(amountUsd);
+      if (!Number.isFinite(usd) || usd <= 0) {
+        return res
+          .status(400)
+          .json({ error: "amountUsd must be a positive number" });
+      }
+    }
+    if (sideU === "SELL" && qty !== undefined && qty !== null && qty !== "") {
+      orderQty = Number(qty);
+      if (!Number.isFinite(orderQty) || orderQty <= 0) {
+        return res.status(400).json({ error: "qty must be a positive number" });
+      }
+    }
+    if (usd == null && orderQty == null) {
+      return res.status(400).json({
+        error:
+          sideU === "BUY"
+            ? "amountUsd is required"
+            : "amountUsd or qty required",
+      });
+    }
+
+    const leagueRes = await pool.query(leagueQueries.getLeagueSettings, [
+      leagueId,
+    ]);
+    assertLeagueTrading(leagueRes.rows[0] || {});
+
+    const { rows } = await pool.query(orderQueries.createOrder, [
+      req.session.userId,
+      leagueId,
+      coinId,
+      sideU,
+      type,
+      trigger,
+      usd,
+      orderQty,
+    ]);
+
+    res.json({ success: true, league_id: leagueId, order: rows[0] });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("place order error:", e);
+    res.status(500).json({ error: "Failed to place order" });
+  }
+});
+
+// List orders in the current league (open only unless ?status=all)
+app.get("/api/orders", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const leagueId = await getOrCreateCurrentLeagueId(req);
+    const query =
+      String(req.query.status || "").toLowerCase() === "all"
+        ? orderQueries.getOrders
+        : orderQueries.getOpenOrders;
+
+    const { rows } = await pool.query(query, [req.session.userId, leagueId]);
+
+    res.json({ league_id: leagueId, orders: rows });
+  } catch (e) {
+    console.error("list orders error:", e);
+    res.status(500).json({ error: "Failed to load orders" });
+  }
+});
+
+app.post("/api/orders/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    if (!pool)
+      return res.status(500).json({ error: "Database not configured" });
+
+    const orderId = Number(req.params.id);
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({ error: "invalid order id" });
+    }
+
+    const { rows } = await pool.query(orderQueries.cancelOrder, [
+      orderId,
+      req.session.userId,
+    ]);
+    if (!rows.length) {
+      return res.status(404).json({ error: "Open order not found" });
+    }
+
+    res.json({ success: true, order: rows[0] });
+  } catch (e) {
+    console.error("cancel order error:", e);
+    res.status(500).json({ error: "Failed to cancel order" });
+  }
+});
+
 async function getUserTrades(userId, leagueId) {
   if (!pool) {
     const err = new Error("Database not configured");
@@ -2082,4 +3365,5 @@ async function getUserTrades(userId, leagueId) {
 app.listen(PORT, () => {
   console.log(`listening on :${PORT}`);
   initDB();
+  refreshExchangeRates();
 });